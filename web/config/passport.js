@@ -0,0 +1,136 @@
+/**
+ * Passport Configuration
+ *
+ * Registers the OAuth strategies used for social sign-in. A provider is only
+ * enabled when its client id and secret are configured. Every provider URL can
+ * be overridden through the environment so the flow can run against a local
+ * mock OAuth server in development and tests.
+ */
+
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LinkedInStrategy = require('passport-linkedin-oauth2').Strategy;
+
+const PROVIDERS = {
+  google: {
+    name: 'Google',
+    envPrefix: 'GOOGLE',
+    scope: ['profile', 'email'],
+    createStrategy: (options, verify) => new GoogleStrategy({
+      ...options,
+      userProfileURL: process.env.GOOGLE_PROFILE_URL
+    }, verify)
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    envPrefix: 'LINKEDIN',
+    scope: ['r_emailaddress', 'r_liteprofile'],
+    createStrategy: (options, verify) => {
+      const strategy = new LinkedInStrategy(options, verify);
+
+      // The LinkedIn strategy has no options for its API endpoints
+      if (process.env.LINKEDIN_PROFILE_URL) {
+        strategy.profileUrl = process.env.LINKEDIN_PROFILE_URL;
+      }
+      if (process.env.LINKEDIN_EMAIL_URL) {
+        strategy.emailUrl = process.env.LINKEDIN_EMAIL_URL;
+      }
+
+      return strategy;
+    }
+  }
+};
+
+/**
+ * Reduce a passport profile to the fields used for sign-in and provisioning
+ * @param {string} provider - Provider key
+ * @param {Object} profile - Profile from the passport strategy
+ */
+const normalizeProfile = (provider, profile) => {
+  const primaryEmail = profile.emails && profile.emails.length > 0 ? profile.emails[0] : null;
+  const name = profile.name || {};
+
+  return {
+    provider,
+    providerUserId: String(profile.id),
+    email: primaryEmail ? primaryEmail.value.toLowerCase() : null,
+    // Google reports verification per address; LinkedIn only returns the verified primary address
+    emailVerified: provider === 'linkedin' ? Boolean(primaryEmail) : Boolean(primaryEmail && primaryEmail.verified),
+    firstName: name.givenName || null,
+    lastName: name.familyName || null,
+    displayName: profile.displayName || null,
+    avatarUrl: profile.photos && profile.photos.length > 0 ? profile.photos[0].value : null
+  };
+};
+
+const enabledProviders = [];
+
+/**
+ * Register a strategy for every configured provider
+ * Verification only normalizes the profile; the route decides whether to
+ * sign in, provision or link.
+ */
+const configurePassport = () => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  Object.keys(PROVIDERS).forEach(provider => {
+    const { envPrefix, scope, createStrategy } = PROVIDERS[provider];
+    const clientID = process.env[`${envPrefix}_CLIENT_ID`];
+    const clientSecret = process.env[`${envPrefix}_CLIENT_SECRET`];
+
+    if (!clientID || !clientSecret) {
+      return;
+    }
+
+    const options = {
+      clientID,
+      clientSecret,
+      callbackURL: process.env[`${envPrefix}_CALLBACK_URL`] || `${apiUrl}/api/auth/oauth/${provider}/callback`,
+      scope,
+      // Keeps the OAuth state nonce in the express session to stop login CSRF
+      state: true
+    };
+
+    if (process.env[`${envPrefix}_AUTH_URL`]) {
+      options.authorizationURL = process.env[`${envPrefix}_AUTH_URL`];
+    }
+    if (process.env[`${envPrefix}_TOKEN_URL`]) {
+      options.tokenURL = process.env[`${envPrefix}_TOKEN_URL`];
+    }
+
+    passport.use(provider, createStrategy(options, (accessToken, refreshToken, profile, done) => {
+      done(null, normalizeProfile(provider, profile));
+    }));
+
+    enabledProviders.push(provider);
+  });
+
+  return passport;
+};
+
+const isProviderEnabled = (provider) => enabledProviders.includes(provider);
+
+/**
+ * Providers available for sign-in, for rendering login buttons
+ */
+const getEnabledProviders = () => {
+  return enabledProviders.map(provider => ({ provider, name: PROVIDERS[provider].name }));
+};
+
+const getProviderName = (provider) => {
+  if (PROVIDERS[provider]) {
+    return PROVIDERS[provider].name;
+  }
+
+  // Company identity providers are stored as 'sso:<companyId>'
+  return provider.startsWith('sso:') ? 'single sign-on' : provider;
+};
+
+module.exports = {
+  passport,
+  configurePassport,
+  isProviderEnabled,
+  getEnabledProviders,
+  getProviderName,
+  normalizeProfile
+};
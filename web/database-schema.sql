@@ -11,11 +11,14 @@ USE signinsoft_db;
 -- =============================================
 
 -- Roles table
+-- admin, hr and candidate are built in; admins can add custom roles such as 'hiring_manager'
 CREATE TABLE roles (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(50) NOT NULL UNIQUE,
     description TEXT,
     permissions JSON,
+    base_role VARCHAR(50) NULL, -- built-in role whose role checks a custom role also passes ('hr' or 'candidate')
+    is_system BOOLEAN DEFAULT FALSE, -- built-in roles cannot be renamed or deleted
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
@@ -24,40 +27,103 @@ CREATE TABLE roles (
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     email VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NULL, -- NULL for accounts that only sign in through an OAuth provider
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     phone VARCHAR(20),
     avatar_url VARCHAR(500),
+    bio TEXT,
+    location VARCHAR(100),
+    website VARCHAR(500),
+    linkedin_url VARCHAR(500),
+    github_url VARCHAR(500),
+    profile_visibility JSON, -- per-field 'public'/'private' for the public profile; unset fields use the defaults in the User model
     role_id INT NOT NULL,
     is_active BOOLEAN DEFAULT TRUE,
     email_verified BOOLEAN DEFAULT FALSE,
+    password_changed_at TIMESTAMP NULL, -- for the password policy's maximum age
     last_login TIMESTAMP NULL,
+    erased_at TIMESTAMP NULL, -- set when the account's personal data was anonymized (right to erasure)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE RESTRICT
 );
 
 -- User sessions for authentication
+-- One row per issued refresh token; rows rotated from the same login share a family_id
 CREATE TABLE user_sessions (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
+    family_id VARCHAR(36) NOT NULL,
     session_token VARCHAR(255) NOT NULL UNIQUE,
-    refresh_token VARCHAR(255) NOT NULL UNIQUE,
+    refresh_token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the refresh token
     expires_at TIMESTAMP NOT NULL,
+    rotated_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
     ip_address VARCHAR(45),
     user_agent TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Admin "log in as user" sessions, the audit trail for impersonation
+-- Impersonation tokens reference session_token in their `imp` claim and stop working once ended_at is set
+CREATE TABLE impersonation_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_token VARCHAR(36) NOT NULL UNIQUE,
+    impersonator_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reason VARCHAR(500) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Asymmetric keys for signing access tokens, published at /.well-known/jwks.json
+-- The newest 'active' key signs; 'retiring' keys only verify until verify_until
+CREATE TABLE jwt_signing_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    kid VARCHAR(64) NOT NULL UNIQUE,
+    algorithm VARCHAR(10) NOT NULL, -- RS256 or ES256
+    public_key TEXT NOT NULL, -- PEM (SPKI)
+    private_key_encrypted TEXT NULL, -- cleared once the key stops signing
+    status ENUM('active', 'retiring') NOT NULL DEFAULT 'active',
+    verify_until TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Previous password hashes, so the password policy can refuse recent passwords
+CREATE TABLE password_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Password reset tokens
 CREATE TABLE password_resets (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
-    token VARCHAR(255) NOT NULL UNIQUE,
+    token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the emailed token
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Passwordless sign-in links (roles enabled through MAGIC_LINK_ROLES)
+CREATE TABLE magic_link_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the emailed token
     expires_at TIMESTAMP NOT NULL,
     used BOOLEAN DEFAULT FALSE,
+    ip_address VARCHAR(45), -- where the link was requested from
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -66,13 +132,88 @@ CREATE TABLE password_resets (
 CREATE TABLE email_verifications (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
-    token VARCHAR(255) NOT NULL UNIQUE,
+    token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the emailed token
     expires_at TIMESTAMP NOT NULL,
     verified BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Login attempts for brute-force protection
+-- Keyed by the submitted email so unknown accounts are throttled exactly like real ones
+CREATE TABLE login_attempts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45),
+    outcome ENUM('success', 'failure', 'unlock') NOT NULL,
+    user_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Account unlock tokens (emailed when an account is locked out)
+CREATE TABLE account_unlock_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the emailed token
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Two-factor authentication (TOTP) settings
+CREATE TABLE user_mfa (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL UNIQUE,
+    secret_encrypted VARCHAR(255) NOT NULL,
+    enabled BOOLEAN DEFAULT FALSE,
+    enabled_at TIMESTAMP NULL,
+    last_used_step BIGINT NULL, -- last accepted TOTP time step, prevents code replay
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Single-use two-factor recovery codes
+CREATE TABLE mfa_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- External sign-in identities (Google, LinkedIn) linked to a user
+CREATE TABLE user_identities (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    display_name VARCHAR(255),
+    avatar_url VARCHAR(500),
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_provider_identity (provider, provider_user_id),
+    UNIQUE KEY unique_user_provider (user_id, provider)
+);
+
+-- Single-use codes exchanged for a session after an OAuth or SSO redirect
+CREATE TABLE oauth_login_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the code in the redirect
+    provider VARCHAR(50) NOT NULL,
+    remember_me BOOLEAN DEFAULT FALSE,
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- =============================================
 -- COMPANY AND DEPARTMENT MANAGEMENT
 -- =============================================
@@ -89,12 +230,66 @@ CREATE TABLE companies (
     email VARCHAR(255),
     industry VARCHAR(100),
     size_range VARCHAR(50), -- e.g., '1-10', '11-50', '51-200', etc.
+    mfa_required BOOLEAN DEFAULT FALSE, -- force two-factor auth for admin and HR users
     created_by INT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT
 );
 
+-- Single sign-on configuration, one identity provider per company
+CREATE TABLE company_sso_configs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    company_id INT NOT NULL UNIQUE,
+    protocol ENUM('oidc', 'saml') NOT NULL,
+    enabled BOOLEAN DEFAULT FALSE,
+    oidc_discovery_url VARCHAR(500),
+    oidc_client_id VARCHAR(255),
+    oidc_client_secret_encrypted TEXT,
+    saml_metadata_xml MEDIUMTEXT,
+    saml_entry_point VARCHAR(500),
+    saml_idp_issuer VARCHAR(500),
+    saml_idp_cert TEXT,
+    groups_attribute VARCHAR(255) DEFAULT 'groups', -- claim / attribute holding the user's IdP groups
+    role_mappings JSON, -- e.g. {"Recruiters": "hr"}
+    default_role VARCHAR(50) NULL, -- role for users in no mapped group; NULL refuses them
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+);
+
+-- Email domains routed to a company's identity provider
+CREATE TABLE company_domains (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    company_id INT NOT NULL,
+    domain VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+);
+
+-- API keys for integrations, owned by either a user or a company
+-- Scopes are permission strings ('jobs:read'); user keys never exceed their owner's role
+CREATE TABLE api_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NULL,
+    company_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL, -- first characters of the key, shown to identify it
+    key_hash VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the key
+    scopes JSON NOT NULL,
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45),
+    created_by INT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- Departments table
 CREATE TABLE departments (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -124,6 +319,32 @@ CREATE TABLE user_companies (
     FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL
 );
 
+-- Invitations for colleagues to join a company with a given role
+CREATE TABLE company_invitations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    company_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL, -- roles.name given to the user on acceptance
+    position VARCHAR(255),
+    department_id INT NULL,
+    token VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 hash of the emailed token
+    expires_at TIMESTAMP NOT NULL,
+    invited_by INT NOT NULL,
+    send_count INT DEFAULT 1,
+    last_sent_at TIMESTAMP NULL,
+    accepted_at TIMESTAMP NULL,
+    accepted_user_id INT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_company_invitations_email (company_id, email)
+);
+
 -- =============================================
 -- JOB MANAGEMENT
 -- =============================================
@@ -193,6 +414,7 @@ CREATE TABLE job_skills (
 CREATE TABLE candidates (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL UNIQUE,
+    headline VARCHAR(255), -- one-line summary shown to recruiters, e.g. 'Senior backend engineer'
     resume_url VARCHAR(500),
     cover_letter TEXT,
     portfolio_url VARCHAR(500),
@@ -206,9 +428,12 @@ CREATE TABLE candidates (
     availability_date DATE,
     willing_to_relocate BOOLEAN DEFAULT FALSE,
     preferred_locations JSON, -- Array of location preferences
+    resume_text MEDIUMTEXT, -- text extracted from the uploaded resume, for search
+    resume_parsed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FULLTEXT INDEX idx_candidates_resume_text (resume_text)
 );
 
 -- Candidate skills
@@ -497,6 +722,43 @@ CREATE TABLE system_settings (
     FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
+-- =============================================
+-- PRIVACY REQUESTS
+-- =============================================
+
+-- Personal data exports ("download my data"), built in the background
+-- The ZIP is deleted once its download link expires
+CREATE TABLE data_exports (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    status ENUM('pending', 'processing', 'ready', 'failed', 'expired') DEFAULT 'pending',
+    token VARCHAR(255) NULL UNIQUE, -- SHA-256 hash of the emailed download token, set once the ZIP is ready
+    file_path VARCHAR(500),
+    file_size BIGINT,
+    error_message TEXT,
+    expires_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    downloaded_at TIMESTAMP NULL,
+    download_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_data_exports_user (user_id, created_at)
+);
+
+-- Right-to-erasure audit trail
+-- The user row is kept, anonymized, so hiring records and statistics survive
+CREATE TABLE data_erasures (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    erased_by INT NULL, -- the admin who erased the account, or the user themselves
+    reason TEXT,
+    records_anonymized JSON, -- rows changed or deleted per table
+    files_deleted INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (erased_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- =============================================
 -- INDEXES FOR PERFORMANCE
 -- =============================================
@@ -510,6 +772,10 @@ CREATE INDEX idx_users_active ON users(is_active);
 CREATE INDEX idx_sessions_token ON user_sessions(session_token);
 CREATE INDEX idx_sessions_user ON user_sessions(user_id);
 CREATE INDEX idx_sessions_expires ON user_sessions(expires_at);
+CREATE INDEX idx_sessions_family ON user_sessions(family_id);
+CREATE INDEX idx_mfa_recovery_user ON mfa_recovery_codes(user_id);
+CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at);
 
 -- Job indexes
 CREATE INDEX idx_jobs_company ON jobs(company_id);
@@ -560,10 +826,10 @@ CREATE INDEX idx_notifications_created ON notifications(created_at);
 -- =============================================
 
 -- Insert default roles
-INSERT INTO roles (name, description, permissions) VALUES
-('admin', 'System Administrator', '{"all": true}'),
-('hr', 'Human Resources Manager', '{"jobs": ["create", "read", "update", "delete"], "applications": ["read", "update"], "interviews": ["create", "read", "update", "delete"], "candidates": ["read"], "projects": ["read", "update"], "content": ["create", "read", "update", "delete"]}'),
-('candidate', 'Job Candidate', '{"applications": ["create", "read"], "profile": ["read", "update"], "interviews": ["read"]}');
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+('admin', 'System Administrator', '{"all": true}', TRUE),
+('hr', 'Human Resources Manager', '{"jobs": ["create", "read", "update", "delete"], "applications": ["read", "update"], "interviews": ["create", "read", "update", "delete"], "candidates": ["read"], "projects": ["read", "update"], "content": ["create", "read", "update", "delete"]}', TRUE),
+('candidate', 'Job Candidate', '{"applications": ["create", "read"], "profile": ["read", "update"], "interviews": ["read"]}', TRUE);
 
 -- Insert job categories
 INSERT INTO job_categories (name, description) VALUES
@@ -617,6 +883,13 @@ INSERT INTO system_settings (setting_key, setting_value, description) VALUES
 ('allowed_file_types', 'pdf,doc,docx,jpg,jpeg,png', 'Allowed file extensions for uploads'),
 ('session_timeout', '86400', 'Session timeout in seconds (24 hours)'),
 ('password_min_length', '8', 'Minimum password length'),
+('password_require_lowercase', 'true', 'Passwords must contain a lowercase letter'),
+('password_require_uppercase', 'true', 'Passwords must contain an uppercase letter'),
+('password_require_number', 'true', 'Passwords must contain a number'),
+('password_require_symbol', 'true', 'Passwords must contain a symbol'),
+('password_max_age_days', '0', 'Days before a password must be changed (0 = never)'),
+('password_history_count', '5', 'Number of previous passwords that cannot be reused'),
+('password_block_breached', 'true', 'Reject passwords found in the breached password list'),
 ('email_verification_required', 'true', 'Whether email verification is required for new accounts');
 
 -- =============================================
@@ -790,6 +1063,10 @@ BEGIN
     -- Remove expired email verification tokens
     DELETE FROM email_verifications WHERE expires_at < NOW();
     
+    -- Remove expired account unlock tokens and old login attempts
+    DELETE FROM account_unlock_tokens WHERE expires_at < NOW();
+    DELETE FROM login_attempts WHERE created_at < DATE_SUB(NOW(), INTERVAL 30 DAY);
+    
     -- Remove old notifications (older than 90 days)
     DELETE FROM notifications WHERE created_at < DATE_SUB(NOW(), INTERVAL 90 DAY);
 END //
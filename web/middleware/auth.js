@@ -1,22 +1,197 @@
 /**
  * Authentication and Authorization Middleware
  * 
- * Provides JWT token validation and role-based access control
+ * Provides JWT and API key validation, role-based and resource-level access control
  * for the SignInSoft API endpoints.
  */
 
-const jwt = require('jsonwebtoken');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../utils/tokens');
+const { resolvePermissions } = require('../utils/permissions');
+const { checkAccess } = require('../utils/policies');
 const { createConnection } = require('../setup-database');
-const { logger } = require('../utils/logger');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const USER_QUERY = `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.email_verified, 
+              u.is_active, u.company_id, u.created_at, r.name as role_name, r.base_role, r.permissions
+       FROM users u 
+       JOIN roles r ON u.role_id = r.id 
+       WHERE u.id = ? AND u.is_active = true`;
+
+/**
+ * Read the credential sent with a request
+ * Integrations may send API keys as a Bearer token or in an X-API-Key header.
+ */
+const getRequestToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  
+  return token || req.headers['x-api-key'];
+};
+
+/**
+ * Build req.user from a users row joined with its role
+ * @param {Object} user - Row from USER_QUERY
+ * @param {Object} extra - Additional request user fields (e.g. sessionId)
+ */
+const formatRequestUser = (user, extra = {}) => {
+  // Parse permissions if they exist
+  let permissions = [];
+  if (user.permissions) {
+    try {
+      permissions = resolvePermissions(user.permissions);
+    } catch (error) {
+      logger.warn(`Failed to parse permissions for user ${user.id}:`, error.message);
+    }
+  }
+  
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    phone: user.phone,
+    role: user.role_name,
+    // Role checks treat a custom role like the built-in role it is based on
+    baseRole: user.base_role || user.role_name,
+    companyId: user.company_id,
+    permissions: permissions,
+    emailVerified: user.email_verified,
+    isActive: user.is_active,
+    createdAt: user.created_at,
+    ...extra
+  };
+};
+
+/**
+ * Resolve the principal behind an API key
+ * User keys act as their owner, limited to the key's scopes (and to what the
+ * owner is still allowed to do). Company keys act as a 'service' principal of
+ * the company holding only the key's scopes, so they pass authorizePermissions
+ * checks but no role checks. Either kind only reaches routes that check its
+ * scopes (see authorizeScopes), and access policies only grant it what its
+ * scopes cover.
+ * @param {string} token - Raw API key
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} The request user, or null for an unknown, expired or revoked key
+ */
+const authenticateApiKey = async (token, req) => {
+  const apiKey = await ApiKey.findActiveByKey(token);
+  if (!apiKey) {
+    return null;
+  }
+  
+  let principal;
+  
+  if (apiKey.userId) {
+    const connection = await createConnection(true);
+    const [users] = await connection.execute(USER_QUERY, [apiKey.userId]);
+    await connection.end();
+    
+    if (users.length === 0) {
+      return null;
+    }
+    
+    const user = formatRequestUser(users[0]);
+    principal = {
+      ...user,
+      permissions: user.permissions.filter(permission => apiKey.scopes.includes(permission))
+    };
+  } else {
+    principal = {
+      id: null,
+      email: null,
+      firstName: apiKey.name,
+      lastName: '',
+      phone: null,
+      role: 'service',
+      baseRole: 'service',
+      companyId: apiKey.companyId,
+      permissions: apiKey.scopes,
+      emailVerified: true,
+      isActive: true,
+      createdAt: apiKey.createdAt
+    };
+  }
+  
+  await ApiKey.recordUse(apiKey.id, req.ip);
+  
+  return {
+    ...principal,
+    apiKeyId: apiKey.id
+  };
+};
+
+/**
+ * Check whether the session an access token was issued with has been revoked
+ * Tokens without a `sid` claim predate session tracking and are not checked.
+ * @param {Object} connection - Open database connection
+ * @param {Object} decoded - Verified JWT payload
+ */
+const isSessionRevoked = async (connection, decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+  
+  const [sessions] = await connection.execute(
+    'SELECT revoked_at FROM user_sessions WHERE session_token = ? AND user_id = ?',
+    [decoded.sid, decoded.userId]
+  );
+  
+  return sessions.length === 0 || sessions[0].revoked_at !== null;
+};
+
+/**
+ * Load the admin behind an impersonation token
+ * Returns null once the impersonation has been stopped or has expired, or
+ * when the admin is no longer an active administrator, which ends it at once.
+ * @param {Object} connection - Open database connection
+ * @param {Object} decoded - Verified JWT payload carrying `imp`
+ */
+const findImpersonator = async (connection, decoded) => {
+  const [sessions] = await connection.execute(
+    `SELECT impersonator_id FROM impersonation_sessions
+     WHERE session_token = ? AND user_id = ? AND ended_at IS NULL AND expires_at > NOW()`,
+    [decoded.imp, decoded.userId]
+  );
+  
+  if (sessions.length === 0 || sessions[0].impersonator_id !== decoded.impersonatorId) {
+    return null;
+  }
+  
+  const [admins] = await connection.execute(USER_QUERY, [decoded.impersonatorId]);
+  
+  return admins.length > 0 && admins[0].role_name === 'admin' ? admins[0] : null;
+};
+
+/**
+ * Request user fields describing an impersonation, or none for a normal sign-in
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object|null} impersonator - Row from findImpersonator
+ */
+const formatImpersonation = (decoded, impersonator) => {
+  if (!impersonator) {
+    return {};
+  }
+  
+  return {
+    impersonationId: decoded.imp,
+    impersonator: {
+      id: impersonator.id,
+      email: impersonator.email,
+      firstName: impersonator.first_name,
+      lastName: impersonator.last_name
+    }
+  };
+};
 
 /**
- * Middleware to authenticate JWT tokens
+ * Middleware to authenticate JWT tokens and API keys
  * Validates the token and adds user information to the request object
  */
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = getRequestToken(req);
     
     if (!token) {
       return res.status(401).json({
@@ -25,19 +200,29 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (ApiKey.isApiKey(token)) {
+      const principal = await authenticateApiKey(token, req);
+      
+      if (!principal) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'Invalid, expired or revoked API key'
+        });
+      }
+      
+      req.user = principal;
+      return next();
+    }
+    
+    // Verify JWT token against the current signing keys
+    const decoded = await verifyAccessToken(token);
     
     // Get user details from database
     const connection = await createConnection(true);
-    const [users] = await connection.execute(
-      `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.email_verified, 
-              u.is_active, u.created_at, r.name as role_name, r.permissions
-       FROM users u 
-       JOIN roles r ON u.role_id = r.id 
-       WHERE u.id = ? AND u.is_active = true`,
-      [decoded.userId]
-    );
+    const [users] = await connection.execute(USER_QUERY, [decoded.userId]);
+    
+    const sessionRevoked = await isSessionRevoked(connection, decoded);
+    const impersonator = decoded.imp ? await findImpersonator(connection, decoded) : null;
     
     await connection.end();
     
@@ -48,31 +233,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    const user = users[0];
+    if (sessionRevoked) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session has been revoked'
+      });
+    }
     
-    // Parse permissions if they exist
-    let permissions = [];
-    if (user.permissions) {
-      try {
-        permissions = JSON.parse(user.permissions);
-      } catch (error) {
-        logger.warn(`Failed to parse permissions for user ${user.id}:`, error.message);
-      }
+    if (decoded.imp && !impersonator) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Impersonation session has ended'
+      });
     }
     
     // Add user info to request object
-    req.user = {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      phone: user.phone,
-      role: user.role_name,
-      permissions: permissions,
-      emailVerified: user.email_verified,
-      isActive: user.is_active,
-      createdAt: user.created_at
-    };
+    req.user = formatRequestUser(users[0], {
+      sessionId: decoded.sid,
+      ...formatImpersonation(decoded, impersonator)
+    });
     
     next();
     
@@ -101,6 +280,7 @@ const authenticateToken = async (req, res, next) => {
 
 /**
  * Middleware to authorize users based on roles
+ * Custom roles are allowed by their own name or by the built-in role they are based on.
  * @param {string|string[]} allowedRoles - Single role or array of allowed roles
  */
 const authorizeRoles = (allowedRoles) => {
@@ -116,7 +296,16 @@ const authorizeRoles = (allowedRoles) => {
       const userRole = req.user.role;
       const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
       
-      if (!roles.includes(userRole)) {
+      // A role never authorizes an API key by itself; the route must have checked its scopes first
+      if (req.user.apiKeyId && !req.scopesAuthorized) {
+        logger.warn(`API key ${req.user.apiKeyId} refused on ${req.method} ${req.originalUrl}: no scope check`);
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'This endpoint cannot be used with an API key'
+        });
+      }
+      
+      if (!roles.includes(userRole) && !roles.includes(req.user.baseRole)) {
         logger.warn(`Access denied for user ${req.user.id} with role ${userRole}. Required roles: ${roles.join(', ')}`);
         return res.status(403).json({
           error: 'Access denied',
@@ -138,6 +327,74 @@ const authorizeRoles = (allowedRoles) => {
   };
 };
 
+/**
+ * Middleware to require a verified email address
+ * Use after authenticateToken on routes that unverified accounts must not reach
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'User not authenticated'
+    });
+  }
+  
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Email address must be verified',
+      emailVerified: false
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to keep API keys off routes that list no scopes
+ * Unlike requireInteractiveAuth, admins impersonating a user still get through.
+ */
+const rejectApiKeys = (req, res, next) => {
+  if (req.user && req.user.apiKeyId) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to keep API keys and impersonating admins away from account and
+ * security management
+ * Changing credentials, sessions, two-factor settings or API keys requires
+ * the account owner to have signed in themselves.
+ */
+const requireInteractiveAuth = (req, res, next) => {
+  if (req.user && req.user.apiKeyId) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This action cannot be performed with an API key'
+    });
+  }
+  
+  if (req.user && req.user.impersonator) {
+    logSecurityEvent('impersonation_action_blocked', {
+      impersonatorId: req.user.impersonator.id,
+      userId: req.user.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This action is not available while impersonating a user'
+    });
+  }
+  
+  next();
+};
+
 /**
  * Middleware to authorize users based on specific permissions
  * @param {string|string[]} requiredPermissions - Single permission or array of required permissions
@@ -155,8 +412,8 @@ const authorizePermissions = (requiredPermissions) => {
       const userPermissions = req.user.permissions || [];
       const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
       
-      // Admin role has all permissions
-      if (req.user.role === 'admin') {
+      // Admin role has all permissions, except through an API key, which is limited to its scopes
+      if (req.user.role === 'admin' && !req.user.apiKeyId) {
         return next();
       }
       
@@ -175,6 +432,10 @@ const authorizePermissions = (requiredPermissions) => {
         });
       }
       
+      if (req.user.apiKeyId) {
+        req.scopesAuthorized = true;
+      }
+      
       next();
       
     } catch (error) {
@@ -188,12 +449,50 @@ const authorizePermissions = (requiredPermissions) => {
 };
 
 /**
- * Middleware to check if user owns the resource or has admin privileges
- * @param {string} resourceIdParam - The parameter name containing the resource ID
- * @param {string} resourceTable - The database table to check ownership
- * @param {string} ownerColumn - The column name that contains the owner ID (default: 'user_id')
+ * Middleware to limit API keys to the routes their scopes grant
+ * API key principals must hold every listed scope, as with authorizePermissions.
+ * Signed-in users are not affected and go on to the route's role checks, which
+ * only let an API key through after this check. Every route an API key may use
+ * starts with it; the others either check roles or use rejectApiKeys.
+ * @param {string|string[]} requiredScopes - Permission strings, e.g. 'profile:update'
  */
-const authorizeOwnership = (resourceIdParam, resourceTable, ownerColumn = 'user_id') => {
+const authorizeScopes = (requiredScopes) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'User not authenticated'
+      });
+    }
+    
+    if (!req.user.apiKeyId) {
+      return next();
+    }
+    
+    const scopes = Array.isArray(requiredScopes) ? requiredScopes : [requiredScopes];
+    const missing = scopes.filter(scope => !(req.user.permissions || []).includes(scope));
+    
+    if (missing.length > 0) {
+      logger.warn(`API key ${req.user.apiKeyId} is missing scopes ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'API key is missing required scopes',
+        requiredScopes: scopes
+      });
+    }
+    
+    req.scopesAuthorized = true;
+    next();
+  };
+};
+
+/**
+ * Middleware to check a resource-level access policy (see utils/policies)
+ * @param {string} resource - Policy name: 'job', 'application', 'project', 'file' or 'event'
+ * @param {string} action - Policy action, e.g. 'read', 'update' or 'delete'
+ * @param {string} resourceIdParam - The parameter name containing the resource ID (default: 'id')
+ */
+const authorizeResource = (resource, action, resourceIdParam = 'id') => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -203,11 +502,6 @@ const authorizeOwnership = (resourceIdParam, resourceTable, ownerColumn = 'user_
         });
       }
       
-      // Admin can access all resources
-      if (req.user.role === 'admin') {
-        return next();
-      }
-      
       const resourceId = req.params[resourceIdParam];
       
       if (!resourceId) {
@@ -217,39 +511,30 @@ const authorizeOwnership = (resourceIdParam, resourceTable, ownerColumn = 'user_
         });
       }
       
-      // Check ownership in database
-      const connection = await createConnection(true);
-      const [rows] = await connection.execute(
-        `SELECT ${ownerColumn} FROM ${resourceTable} WHERE id = ?`,
-        [resourceId]
-      );
-      
-      await connection.end();
+      const { exists, allowed } = await checkAccess(req.user, resource, action, resourceId);
       
-      if (rows.length === 0) {
+      if (!exists) {
         return res.status(404).json({
           error: 'Not found',
           message: 'Resource not found'
         });
       }
       
-      const ownerId = rows[0][ownerColumn];
-      
-      if (ownerId !== req.user.id) {
-        logger.warn(`Ownership denied for user ${req.user.id} accessing resource ${resourceId} owned by ${ownerId}`);
+      if (!allowed) {
+        logger.warn(`Access denied for user ${req.user.id} to ${action} ${resource} ${resourceId}`);
         return res.status(403).json({
           error: 'Access denied',
-          message: 'You can only access your own resources'
+          message: `You do not have permission to ${action} this ${resource}`
         });
       }
       
       next();
       
     } catch (error) {
-      logger.error('Ownership authorization error:', error);
+      logger.error('Resource authorization error:', error);
       return res.status(500).json({
         error: 'Internal server error',
-        message: 'Ownership check failed'
+        message: 'Access check failed'
       });
     }
   };
@@ -261,57 +546,38 @@ const authorizeOwnership = (resourceIdParam, resourceTable, ownerColumn = 'user_
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = getRequestToken(req);
     
     if (!token) {
       req.user = null;
       return next();
     }
     
+    if (ApiKey.isApiKey(token)) {
+      req.user = await authenticateApiKey(token, req);
+      return next();
+    }
+    
     // Use the same logic as authenticateToken
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     
     const connection = await createConnection(true);
-    const [users] = await connection.execute(
-      `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.email_verified, 
-              u.is_active, u.created_at, r.name as role_name, r.permissions
-       FROM users u 
-       JOIN roles r ON u.role_id = r.id 
-       WHERE u.id = ? AND u.is_active = true`,
-      [decoded.userId]
-    );
+    const [users] = await connection.execute(USER_QUERY, [decoded.userId]);
+    
+    const sessionRevoked = await isSessionRevoked(connection, decoded);
+    const impersonator = decoded.imp ? await findImpersonator(connection, decoded) : null;
     
     await connection.end();
     
-    if (users.length === 0) {
+    if (users.length === 0 || sessionRevoked || (decoded.imp && !impersonator)) {
       req.user = null;
       return next();
     }
     
-    const user = users[0];
-    let permissions = [];
-    
-    if (user.permissions) {
-      try {
-        permissions = JSON.parse(user.permissions);
-      } catch (error) {
-        logger.warn(`Failed to parse permissions for user ${user.id}:`, error.message);
-      }
-    }
-    
-    req.user = {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      phone: user.phone,
-      role: user.role_name,
-      permissions: permissions,
-      emailVerified: user.email_verified,
-      isActive: user.is_active,
-      createdAt: user.created_at
-    };
+    req.user = formatRequestUser(users[0], {
+      sessionId: decoded.sid,
+      ...formatImpersonation(decoded, impersonator)
+    });
     
     next();
     
@@ -325,7 +591,11 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   authorizeRoles,
+  requireVerifiedEmail,
+  requireInteractiveAuth,
+  rejectApiKeys,
   authorizePermissions,
-  authorizeOwnership,
+  authorizeScopes,
+  authorizeResource,
   optionalAuth
 };
\ No newline at end of file
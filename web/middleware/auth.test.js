@@ -0,0 +1,113 @@
+jest.mock('../setup-database', () => ({ createConnection: jest.fn() }), { virtual: true });
+jest.mock('../config/database', () => ({}));
+jest.mock('../utils/logger', () => ({
+  logger: { warn: jest.fn(), error: jest.fn() },
+  logSecurityEvent: jest.fn()
+}));
+
+const { authorizeRoles, authorizeScopes, authorizePermissions, rejectApiKeys, requireInteractiveAuth } = require('./auth');
+
+const run = (middlewares, user) => {
+  const req = { user, method: 'GET', originalUrl: '/test' };
+  const res = {
+    statusCode: 200,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(() => res)
+  };
+
+  let passed = false;
+  const next = (index) => () => {
+    if (index === middlewares.length) {
+      passed = true;
+      return;
+    }
+    middlewares[index](req, res, next(index + 1));
+  };
+  next(0)();
+
+  return { passed, status: res.statusCode };
+};
+
+const candidate = { id: 1, role: 'candidate', baseRole: 'candidate', permissions: ['profile:read', 'profile:update'] };
+const admin = { id: 2, role: 'admin', baseRole: 'admin', permissions: [] };
+const userKey = (owner, scopes) => ({ ...owner, permissions: scopes, apiKeyId: 10 });
+const companyKey = (scopes) => ({ id: null, role: 'service', baseRole: 'service', companyId: 3, permissions: scopes, apiKeyId: 11 });
+
+describe('API key authorization', () => {
+  describe('authorizeRoles', () => {
+    it('lets signed-in users with an allowed role through', () => {
+      expect(run([authorizeRoles(['candidate'])], candidate).passed).toBe(true);
+    });
+
+    it('refuses API keys when the route did not check scopes', () => {
+      expect(run([authorizeRoles(['candidate'])], userKey(candidate, ['profile:read'])))
+        .toEqual({ passed: false, status: 403 });
+      expect(run([authorizeRoles(['admin'])], userKey(admin, [])))
+        .toEqual({ passed: false, status: 403 });
+    });
+
+    it('still checks the owner role after the scope check', () => {
+      const key = userKey(candidate, ['profile:read']);
+
+      expect(run([authorizeScopes('profile:read'), authorizeRoles(['candidate'])], key).passed).toBe(true);
+      expect(run([authorizeScopes('profile:read'), authorizeRoles(['hr'])], key).status).toBe(403);
+    });
+
+    it('never lets company keys through a role check', () => {
+      expect(run([authorizeScopes('jobs:read'), authorizeRoles(['admin', 'hr'])], companyKey(['jobs:read'])).status)
+        .toBe(403);
+    });
+  });
+
+  describe('authorizeScopes', () => {
+    it('does not affect signed-in users', () => {
+      expect(run([authorizeScopes('profile:update')], { ...candidate, permissions: [] }).passed).toBe(true);
+    });
+
+    it('requires every listed scope from API keys', () => {
+      expect(run([authorizeScopes('profile:update')], userKey(candidate, ['profile:read'])).status).toBe(403);
+      expect(run([authorizeScopes(['profile:read', 'profile:update'])], userKey(candidate, ['profile:read'])).status)
+        .toBe(403);
+      expect(run([authorizeScopes(['profile:read', 'profile:update'])], userKey(candidate, candidate.permissions)).passed)
+        .toBe(true);
+    });
+
+    it('does not give an admin key more than its scopes', () => {
+      expect(run([authorizeScopes('jobs:delete'), authorizeRoles(['admin'])], userKey(admin, ['jobs:read'])).status)
+        .toBe(403);
+    });
+  });
+
+  describe('authorizePermissions', () => {
+    it('lets admins through without listing permissions', () => {
+      expect(run([authorizePermissions('jobs:delete')], admin).passed).toBe(true);
+    });
+
+    it('limits admin keys to their scopes', () => {
+      expect(run([authorizePermissions('jobs:delete')], userKey(admin, ['jobs:read'])).status).toBe(403);
+    });
+
+    it('counts as the scope check for a later role check', () => {
+      expect(run([authorizePermissions('profile:read'), authorizeRoles(['candidate'])], userKey(candidate, ['profile:read'])).passed)
+        .toBe(true);
+    });
+  });
+
+  describe('rejectApiKeys', () => {
+    it('refuses API keys whatever their scopes', () => {
+      expect(run([rejectApiKeys], userKey(admin, ['jobs:read'])).status).toBe(403);
+      expect(run([rejectApiKeys], companyKey(['jobs:read'])).status).toBe(403);
+    });
+
+    it('lets signed-in and impersonated users through', () => {
+      const impersonated = { ...candidate, impersonator: { id: admin.id } };
+
+      expect(run([rejectApiKeys], candidate).passed).toBe(true);
+      expect(run([rejectApiKeys], impersonated).passed).toBe(true);
+      expect(run([requireInteractiveAuth], impersonated).status).toBe(403);
+    });
+  });
+});
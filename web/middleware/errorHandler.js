@@ -76,9 +76,21 @@ class ConflictError extends ApiError {
  * Custom error class for rate limiting errors
  */
 class RateLimitError extends ApiError {
-  constructor(message = 'Too many requests') {
+  constructor(message = 'Too many requests', retryAfter = null) {
     super(message, 429);
     this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Custom error class for temporarily locked accounts
+ */
+class AccountLockedError extends ApiError {
+  constructor(message = 'Account temporarily locked', retryAfter = null) {
+    super(message, 423);
+    this.name = 'AccountLockedError';
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -109,6 +121,10 @@ const formatErrorResponse = (error, req) => {
     response.userPermissions = error.userPermissions;
   }
   
+  if (error.retryAfter) {
+    response.retryAfter = error.retryAfter;
+  }
+  
   // Add request ID if available
   if (req.id) {
     response.requestId = req.id;
@@ -274,6 +290,10 @@ const errorHandler = (error, req, res, next) => {
     delete errorResponse.stack;
   }
   
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+  
   res.status(apiError.statusCode).json(errorResponse);
 };
 
@@ -303,6 +323,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  AccountLockedError,
   errorHandler,
   asyncHandler,
   notFoundHandler
@@ -6,6 +6,7 @@
  */
 
 const Joi = require('joi');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
 const { logger } = require('../utils/logger');
 
 /**
@@ -55,9 +56,9 @@ const schemas = {
       'string.email': 'Please provide a valid email address',
       'any.required': 'Email is required'
     }),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]')).required().messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+    // Strength rules are admin-configurable and enforced by the PasswordPolicy model
+    password: Joi.string().max(128).required().messages({
+      'string.max': 'Password cannot exceed 128 characters',
       'any.required': 'Password is required'
     }),
     firstName: Joi.string().min(2).max(50).required().messages({
@@ -70,10 +71,9 @@ const schemas = {
       'string.max': 'Last name cannot exceed 50 characters',
       'any.required': 'Last name is required'
     }),
-    phone: Joi.string().pattern(new RegExp('^[+]?[1-9]\d{1,14}$')).optional().messages({
+    phone: Joi.string().pattern(/^[+]?[1-9]\d{1,14}$/).optional().messages({
       'string.pattern.base': 'Please provide a valid phone number'
-    }),
-    role: Joi.string().valid('admin', 'hr', 'candidate').default('candidate')
+    })
   }),
   
   // User login schema
@@ -101,10 +101,131 @@ const schemas = {
     token: Joi.string().required().messages({
       'any.required': 'Reset token is required'
     }),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]')).required().messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+    // Strength rules are admin-configurable and enforced by the PasswordPolicy model
+    password: Joi.string().max(128).required().messages({
+      'string.max': 'Password cannot exceed 128 characters',
+      'any.required': 'Password is required'
+    })
+  }),
+  
+  // Email verification schema
+  emailVerification: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Verification token is required'
+    })
+  }),
+  
+  // Magic link request schema
+  magicLinkRequest: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+  
+  // Magic link sign-in schema
+  magicLinkVerify: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Sign-in token is required'
+    }),
+    rememberMe: Joi.boolean().default(false)
+  }),
+  
+  // Account unlock schema
+  accountUnlock: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Unlock token is required'
+    })
+  }),
+  
+  // Expired password replacement schema
+  passwordExpiredChange: Joi.object({
+    passwordChangeToken: Joi.string().required().messages({
+      'any.required': 'Password change token is required'
+    }),
+    newPassword: Joi.string().max(128).required().messages({
+      'string.max': 'Password cannot exceed 128 characters',
+      'any.required': 'New password is required'
+    })
+  }),
+  
+  // OAuth sign-in completion schema
+  oauthComplete: Joi.object({
+    code: Joi.string().required().messages({
+      'any.required': 'Sign-in code is required'
+    })
+  }),
+  
+  // OAuth pending link confirmation schema
+  oauthLink: Joi.object({
+    linkToken: Joi.string().required().messages({
+      'any.required': 'Link token is required'
+    })
+  }),
+  
+  // Refresh token schema
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  }),
+  
+  // Password change schema (authenticated user)
+  passwordChange: Joi.object({
+    currentPassword: Joi.string().required().messages({
+      'any.required': 'Current password is required'
+    }),
+    // Strength rules are admin-configurable and enforced by the PasswordPolicy model
+    newPassword: Joi.string().max(128).invalid(Joi.ref('currentPassword')).required().messages({
+      'string.max': 'Password cannot exceed 128 characters',
+      'any.invalid': 'New password must be different from the current password',
+      'any.required': 'New password is required'
+    })
+  }),
+  
+  // Two-factor code schema
+  mfaCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
+    })
+  }),
+  
+  // Two-factor enrollment schemas (mfaToken is used when enrolling during login)
+  mfaSetup: Joi.object({
+    mfaToken: Joi.string().optional()
+  }),
+  
+  mfaEnable: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
+    }),
+    mfaToken: Joi.string().optional()
+  }),
+  
+  // Two-factor login step schema
+  mfaVerify: Joi.object({
+    mfaToken: Joi.string().required().messages({
+      'any.required': 'MFA token is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Either a code or a recovery code is required',
+    'object.xor': 'Provide either a code or a recovery code, not both'
+  }),
+  
+  // Two-factor disable schema
+  mfaDisable: Joi.object({
+    password: Joi.string().required().messages({
       'any.required': 'Password is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
     })
   }),
   
@@ -112,12 +233,72 @@ const schemas = {
   userProfileUpdate: Joi.object({
     firstName: Joi.string().min(2).max(50).optional(),
     lastName: Joi.string().min(2).max(50).optional(),
-    phone: Joi.string().pattern(new RegExp('^[+]?[1-9]\d{1,14}$')).optional().allow(''),
+    phone: Joi.string().pattern(/^[+]?[1-9]\d{1,14}$/).optional().allow(''),
     bio: Joi.string().max(500).optional().allow(''),
     location: Joi.string().max(100).optional().allow(''),
     website: Joi.string().uri().optional().allow(''),
     linkedinUrl: Joi.string().uri().optional().allow(''),
-    githubUrl: Joi.string().uri().optional().allow('')
+    githubUrl: Joi.string().uri().optional().allow(''),
+    profileVisibility: Joi.object({
+      email: Joi.string().valid('public', 'private'),
+      phone: Joi.string().valid('public', 'private'),
+      bio: Joi.string().valid('public', 'private'),
+      location: Joi.string().valid('public', 'private'),
+      website: Joi.string().valid('public', 'private'),
+      linkedinUrl: Joi.string().valid('public', 'private'),
+      githubUrl: Joi.string().valid('public', 'private')
+    }).optional()
+  }),
+  
+  // Candidate profile schema
+  candidateProfile: Joi.object({
+    headline: Joi.string().trim().max(255).optional().allow(''),
+    currentPosition: Joi.string().trim().max(255).optional().allow(''),
+    currentCompany: Joi.string().trim().max(255).optional().allow(''),
+    experienceYears: Joi.number().integer().min(0).max(70).optional(),
+    expectedSalary: Joi.number().positive().precision(2).optional().allow(null),
+    currency: Joi.string().length(3).uppercase().optional(),
+    availabilityDate: Joi.date().iso().optional().allow(null),
+    willingToRelocate: Joi.boolean().optional(),
+    preferredLocations: Joi.array().items(Joi.string().trim().max(100)).max(20).unique().optional(),
+    portfolioUrl: Joi.string().uri().optional().allow(''),
+    linkedinUrl: Joi.string().uri().optional().allow(''),
+    githubUrl: Joi.string().uri().optional().allow(''),
+    coverLetter: Joi.string().max(5000).optional().allow('')
+  }).min(1),
+  
+  // Candidate skills schema (replaces the whole list)
+  candidateSkills: Joi.object({
+    skills: Joi.array().items(Joi.object({
+      name: Joi.string().trim().min(1).max(100).required(),
+      proficiency: Joi.string().valid('basic', 'intermediate', 'advanced', 'expert').default('intermediate'),
+      yearsExperience: Joi.number().integer().min(0).max(70).default(0)
+    })).max(100).unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()).required()
+  }),
+  
+  // Work experience schema
+  workExperience: Joi.object({
+    companyName: Joi.string().trim().max(255).required(),
+    position: Joi.string().trim().max(255).required(),
+    description: Joi.string().max(5000).optional().allow(''),
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().allow(null).messages({
+      'date.min': 'End date cannot be before the start date'
+    }),
+    isCurrent: Joi.boolean().default(false)
+  }),
+  
+  // Education schema
+  education: Joi.object({
+    institution: Joi.string().trim().max(255).required(),
+    degree: Joi.string().trim().max(255).required(),
+    fieldOfStudy: Joi.string().trim().max(255).optional().allow(''),
+    startDate: Joi.date().iso().optional().allow(null),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().allow(null).messages({
+      'date.min': 'End date cannot be before the start date'
+    }),
+    gpa: Joi.number().min(0).max(9.99).precision(2).optional().allow(null),
+    description: Joi.string().max(5000).optional().allow('')
   }),
   
   // Job posting schema
@@ -173,6 +354,13 @@ const schemas = {
     foundedYear: Joi.number().integer().min(1800).max(new Date().getFullYear()).optional()
   }),
   
+  // Company security policy schema
+  securityPolicy: Joi.object({
+    mfaRequired: Joi.boolean().required().messages({
+      'any.required': 'mfaRequired is required'
+    })
+  }),
+  
   // Content schema
   content: Joi.object({
     title: Joi.string().min(5).max(200).required(),
@@ -216,6 +404,116 @@ const schemas = {
     reminderMinutes: Joi.number().integer().min(0).max(10080).optional() // Max 1 week
   }),
   
+  // Signing key rotation schema
+  keyRotation: Joi.object({
+    revokePrevious: Joi.boolean().default(false)
+  }),
+  
+  // Password policy schema
+  passwordPolicy: Joi.object({
+    minLength: Joi.number().integer().min(8).max(128),
+    requireLowercase: Joi.boolean(),
+    requireUppercase: Joi.boolean(),
+    requireNumber: Joi.boolean(),
+    requireSymbol: Joi.boolean(),
+    maxAgeDays: Joi.number().integer().min(0).max(3650),
+    historyCount: Joi.number().integer().min(0).max(24),
+    blockBreached: Joi.boolean()
+  }).min(1),
+  
+  // Role creation schema
+  roleCreate: Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{1,49}$/).required()
+      .messages({ 'string.pattern.base': 'Role name must start with a letter and contain only letters, numbers and underscores' }),
+    description: Joi.string().trim().max(500).allow('', null),
+    baseRole: Joi.string().valid('hr', 'candidate').allow(null).default(null),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique().required()
+  }),
+  
+  // Role update schema
+  roleUpdate: Joi.object({
+    description: Joi.string().trim().max(500).allow('', null),
+    baseRole: Joi.string().valid('hr', 'candidate').allow(null),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique()
+  }).min(1),
+  
+  // User role assignment schema
+  userRoleUpdate: Joi.object({
+    role: Joi.string().trim().max(50).required()
+  }),
+  
+  // Impersonation schema
+  impersonationStart: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+  
+  // API key creation schema
+  apiKeyCreate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).min(1).unique().required(),
+    expiresAt: Joi.date().iso().greater('now').allow(null).default(null)
+  }),
+  
+  // Company API key parameters schema
+  companyApiKeyParams: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    keyId: Joi.number().integer().positive().required()
+  }),
+  
+  // Company invitation schema
+  invitationCreate: Joi.object({
+    email: Joi.string().email().lowercase().required(),
+    role: Joi.string().trim().max(50).default('hr'),
+    position: Joi.string().trim().max(255).allow('', null)
+  }),
+  
+  // Company invitation parameters schema
+  invitationParams: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    invitationId: Joi.number().integer().positive().required()
+  }),
+  
+  // Invitation token schema
+  invitationToken: Joi.object({
+    token: Joi.string().required()
+  }),
+  
+  // Invitation acceptance schema; names and password are only needed for new accounts
+  invitationAccept: Joi.object({
+    token: Joi.string().required(),
+    firstName: Joi.string().min(2).max(50),
+    lastName: Joi.string().min(2).max(50),
+    // Strength rules are admin-configurable and enforced by the PasswordPolicy model
+    password: Joi.string().max(128),
+    rememberMe: Joi.boolean().default(false)
+  }),
+  
+  // Company single sign-on configuration schema
+  ssoConfig: Joi.object({
+    protocol: Joi.string().valid('oidc', 'saml').required(),
+    enabled: Joi.boolean().default(false),
+    oidcDiscoveryUrl: Joi.string().uri().when('protocol', { is: 'oidc', then: Joi.required(), otherwise: Joi.forbidden() }),
+    oidcClientId: Joi.string().max(255).when('protocol', { is: 'oidc', then: Joi.required(), otherwise: Joi.forbidden() }),
+    oidcClientSecret: Joi.string().max(1000).when('protocol', { is: 'oidc', otherwise: Joi.forbidden() }),
+    samlMetadataXml: Joi.string().max(1000000).when('protocol', { is: 'saml', otherwise: Joi.forbidden() }),
+    samlEntryPoint: Joi.string().uri().when('protocol', { is: 'saml', otherwise: Joi.forbidden() }),
+    samlIdpIssuer: Joi.string().max(500).when('protocol', { is: 'saml', otherwise: Joi.forbidden() }),
+    samlIdpCert: Joi.string().max(10000).when('protocol', { is: 'saml', otherwise: Joi.forbidden() }),
+    groupsAttribute: Joi.string().max(255).default('groups'),
+    roleMappings: Joi.object().pattern(Joi.string().max(255), Joi.string().trim().lowercase().max(50)).default({}),
+    defaultRole: Joi.string().trim().lowercase().max(50).allow(null).default(null)
+  }),
+  
+  // Company single sign-on domains schema
+  ssoDomains: Joi.object({
+    domains: Joi.array().items(Joi.string().domain()).max(20).required()
+  }),
+  
+  // Single sign-on discovery schema
+  ssoDiscovery: Joi.object({
+    email: Joi.string().email().required()
+  }),
+  
   // Pagination schema
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
@@ -226,6 +524,45 @@ const schemas = {
     filter: Joi.object().optional()
   }),
   
+  // Applicant ranking schema (pagination plus an application status filter)
+  applicantMatches: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid(
+      'submitted', 'under_review', 'shortlisted', 'interview_scheduled',
+      'interviewed', 'offered', 'hired', 'rejected', 'withdrawn'
+    ).optional()
+  }),
+  
+  // User import options schema (multipart form fields sent with the file)
+  userImportOptions: Joi.object({
+    dryRun: Joi.boolean().default(true),
+    companyId: Joi.number().integer().positive().when('sendInvitations', {
+      is: true,
+      then: Joi.required().messages({ 'any.required': 'A company is required to send invitations' })
+    }),
+    sendInvitations: Joi.boolean().default(false)
+  }),
+  
+  // Data export download schema
+  dataExportDownload: Joi.object({
+    token: Joi.string().required()
+  }),
+  
+  // Admin erasure schema
+  userErasure: Joi.object({
+    reason: Joi.string().trim().max(1000).allow('', null)
+  }),
+  
+  // Self-service erasure schema (confirms the account, and its password when it has one)
+  erasureRequest: Joi.object({
+    email: Joi.string().email().lowercase().required().messages({
+      'any.required': 'Type your email address to confirm'
+    }),
+    password: Joi.string().max(128).optional(),
+    reason: Joi.string().trim().max(1000).allow('', null)
+  }),
+  
   // ID parameter schema
   idParam: Joi.object({
     id: Joi.number().integer().positive().required().messages({
@@ -237,6 +574,21 @@ const schemas = {
   })
 };
 
+// User search schema: pagination plus user filters
+schemas.userSearch = schemas.pagination.keys({
+  role: Joi.string().max(50).optional(),
+  companyId: Joi.number().integer().positive().optional(),
+  isActive: Joi.boolean().optional()
+});
+
+// Resume suggestion schema: the parsed profile as confirmed (and possibly edited) by the candidate
+schemas.resumeSuggestion = Joi.object({
+  profile: schemas.candidateProfile.min(0).default({}),
+  experiences: Joi.array().items(schemas.workExperience).max(20).default([]),
+  educations: Joi.array().items(schemas.education).max(10).default([]),
+  skills: schemas.candidateSkills.extract('skills').optional().default([])
+});
+
 // Convenience functions for common validations
 const validateBody = (schema) => validateRequest(schema, 'body');
 const validateQuery = (schema) => validateRequest(schema, 'query');
@@ -249,9 +601,33 @@ const validations = {
   validateLogin: validateBody(schemas.userLogin),
   validatePasswordResetRequest: validateBody(schemas.passwordResetRequest),
   validatePasswordReset: validateBody(schemas.passwordReset),
+  validatePasswordChange: validateBody(schemas.passwordChange),
+  validatePasswordExpiredChange: validateBody(schemas.passwordExpiredChange),
+  validateRefreshToken: validateBody(schemas.refreshToken),
+  validateEmailVerification: validateBody(schemas.emailVerification),
+  validateAccountUnlock: validateBody(schemas.accountUnlock),
+  validateMagicLinkRequest: validateBody(schemas.magicLinkRequest),
+  validateMagicLinkVerify: validateBody(schemas.magicLinkVerify),
+  validateOAuthComplete: validateBody(schemas.oauthComplete),
+  validateOAuthLink: validateBody(schemas.oauthLink),
+  validateMfaCode: validateBody(schemas.mfaCode),
+  validateMfaSetup: validateBody(schemas.mfaSetup),
+  validateMfaEnable: validateBody(schemas.mfaEnable),
+  validateMfaVerify: validateBody(schemas.mfaVerify),
+  validateMfaDisable: validateBody(schemas.mfaDisable),
   
   // User validations
   validateProfileUpdate: validateBody(schemas.userProfileUpdate),
+  validateCandidateProfile: validateBody(schemas.candidateProfile),
+  validateCandidateSkills: validateBody(schemas.candidateSkills),
+  validateWorkExperience: validateBody(schemas.workExperience),
+  validateEducation: validateBody(schemas.education),
+  validateResumeSuggestion: validateBody(schemas.resumeSuggestion),
+  validateRoleCreate: validateBody(schemas.roleCreate),
+  validateRoleUpdate: validateBody(schemas.roleUpdate),
+  validateUserRoleUpdate: validateBody(schemas.userRoleUpdate),
+  validateImpersonationStart: validateBody(schemas.impersonationStart),
+  validatePasswordPolicy: validateBody(schemas.passwordPolicy),
   
   // Job validations
   validateJobPosting: validateBody(schemas.jobPosting),
@@ -259,6 +635,17 @@ const validations = {
   
   // Company validations
   validateCompany: validateBody(schemas.company),
+  validateSecurityPolicy: validateBody(schemas.securityPolicy),
+  validateKeyRotation: validateBody(schemas.keyRotation),
+  validateApiKeyCreate: validateBody(schemas.apiKeyCreate),
+  validateCompanyApiKeyParams: validateParams(schemas.companyApiKeyParams),
+  validateInvitationCreate: validateBody(schemas.invitationCreate),
+  validateInvitationParams: validateParams(schemas.invitationParams),
+  validateInvitationToken: validateBody(schemas.invitationToken),
+  validateInvitationAccept: validateBody(schemas.invitationAccept),
+  validateSsoConfig: validateBody(schemas.ssoConfig),
+  validateSsoDomains: validateBody(schemas.ssoDomains),
+  validateSsoDiscovery: validateBody(schemas.ssoDiscovery),
   
   // Content validations
   validateContent: validateBody(schemas.content),
@@ -271,6 +658,12 @@ const validations = {
   
   // Common validations
   validatePagination: validateQuery(schemas.pagination),
+  validateUserSearch: validateQuery(schemas.userSearch),
+  validateApplicantMatches: validateQuery(schemas.applicantMatches),
+  validateUserImportOptions: validateBody(schemas.userImportOptions),
+  validateDataExportDownload: validateQuery(schemas.dataExportDownload),
+  validateUserErasure: validateBody(schemas.userErasure),
+  validateErasureRequest: validateBody(schemas.erasureRequest),
   validateIdParam: validateParams(schemas.idParam)
 };
 
@@ -0,0 +1,214 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError, RateLimitError, AccountLockedError } = require('../middleware/errorHandler');
+
+const settings = () => {
+  const lockoutSeconds = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+
+  return {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60,
+    lockoutSeconds,
+    // Failures older than this stop counting; never shorter than the lockout itself
+    windowSeconds: Math.max((parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60, lockoutSeconds),
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20
+  };
+};
+
+class AccountLockout {
+  /**
+   * Failures for an email since its last successful login or unlock
+   */
+  static async getAccountFailures(email) {
+    const { windowSeconds } = settings();
+
+    const sql = `
+      SELECT COUNT(*) as failures,
+             TIMESTAMPDIFF(SECOND, MAX(la.created_at), NOW()) as seconds_since_last
+      FROM login_attempts la
+      WHERE la.email = ?
+        AND la.outcome = 'failure'
+        AND la.created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+        AND la.created_at > COALESCE((
+          SELECT MAX(r.created_at) FROM login_attempts r
+          WHERE r.email = ? AND r.outcome IN ('success', 'unlock')
+        ), '1970-01-01')
+    `;
+
+    const [row] = await database.query(sql, [email, windowSeconds, email]);
+
+    return {
+      failures: Number(row.failures),
+      secondsSinceLast: row.seconds_since_last === null ? null : Number(row.seconds_since_last)
+    };
+  }
+
+  static async getIpFailures(ipAddress) {
+    const { windowSeconds } = settings();
+
+    const [{ failures }] = await database.query(
+      `SELECT COUNT(*) as failures FROM login_attempts
+       WHERE ip_address = ? AND outcome = 'failure' AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [ipAddress, windowSeconds]
+    );
+
+    return Number(failures);
+  }
+
+  /**
+   * Progressive delay before the next attempt is allowed, doubling with each failure
+   */
+  static getDelaySeconds(failures) {
+    const { delayAfter, maxDelaySeconds } = settings();
+
+    if (failures < delayAfter) {
+      return 0;
+    }
+
+    return Math.min(2 ** (failures - delayAfter + 1), maxDelaySeconds);
+  }
+
+  /**
+   * Throw if a login attempt for this email / IP must be refused right now
+   */
+  static async assertCanAttempt(email, ipAddress) {
+    const { maxFailures, lockoutSeconds, ipMaxFailures } = settings();
+
+    const ipFailures = ipAddress ? await this.getIpFailures(ipAddress) : 0;
+    if (ipFailures >= ipMaxFailures) {
+      logger.logRateLimit(ipAddress, 'login', { reason: 'too_many_failed_logins' });
+      logger.logSecurityEvent('login_ip_blocked', { ip: ipAddress, failures: ipFailures, lockoutSeconds });
+      throw new RateLimitError('Too many failed login attempts from this IP, please try again later', lockoutSeconds);
+    }
+
+    const { failures, secondsSinceLast } = await this.getAccountFailures(email);
+    if (failures === 0) {
+      return;
+    }
+
+    if (failures >= maxFailures) {
+      const retryAfter = lockoutSeconds - secondsSinceLast;
+      if (retryAfter > 0) {
+        throw new AccountLockedError('Account temporarily locked due to too many failed login attempts', retryAfter);
+      }
+      return;
+    }
+
+    const retryAfter = this.getDelaySeconds(failures) - secondsSinceLast;
+    if (retryAfter > 0) {
+      throw new RateLimitError('Please wait before trying again', retryAfter);
+    }
+  }
+
+  static async record(email, ipAddress, outcome, userId = null) {
+    await database.insert('login_attempts', {
+      email,
+      ip_address: ipAddress,
+      outcome,
+      user_id: userId,
+      created_at: new Date()
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * Any failure at or over the limit starts a lockout period, including the
+   * first failure after an earlier lockout ran out.
+   * @returns {Promise<boolean>} true when this failure locked the account
+   */
+  static async recordFailure(email, ipAddress, user = null) {
+    const { maxFailures, lockoutSeconds } = settings();
+
+    const previous = await this.getAccountFailures(email);
+    const wasLocked = previous.failures >= maxFailures && previous.secondsSinceLast < lockoutSeconds;
+
+    await this.record(email, ipAddress, 'failure', user ? user.id : null);
+
+    const failures = previous.failures + 1;
+    if (failures < maxFailures || wasLocked) {
+      return false;
+    }
+
+    logger.logSecurityEvent('account_locked', {
+      email,
+      userId: user ? user.id : null,
+      ip: ipAddress,
+      failures,
+      lockoutSeconds
+    });
+
+    return true;
+  }
+
+  static async recordSuccess(email, ipAddress, userId) {
+    await this.record(email, ipAddress, 'success', userId);
+  }
+
+  /**
+   * Clear the failure count for an account
+   * @param {string} email - Account email
+   * @param {Object} details - Who unlocked it, for the security log
+   */
+  static async unlock(email, details = {}) {
+    await this.record(email, details.ipAddress || null, 'unlock', details.userId || null);
+
+    logger.logSecurityEvent('account_unlocked', { email, ...details });
+    return true;
+  }
+
+  /**
+   * Issue a single-use token for the unlock-by-email link
+   */
+  static async createUnlockToken(userId) {
+    const token = generateToken(32);
+    const { lockoutSeconds } = settings();
+
+    await database.query(
+      'UPDATE account_unlock_tokens SET used = true WHERE user_id = ? AND used = false',
+      [userId]
+    );
+
+    await database.insert('account_unlock_tokens', {
+      user_id: userId,
+      token: hashToken(token),
+      // The link is only useful while the lockout lasts
+      expires_at: new Date(Date.now() + lockoutSeconds * 1000),
+      used: false,
+      created_at: new Date()
+    });
+
+    return token;
+  }
+
+  /**
+   * Redeem an unlock token
+   * @returns {Promise<number>} The unlocked user's id
+   */
+  static async unlockWithToken(token, ipAddress) {
+    const unlock = await database.findOne('account_unlock_tokens', {
+      token: hashToken(token)
+    });
+
+    if (!unlock || unlock.used || new Date(unlock.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired unlock token');
+    }
+
+    const affectedRows = await database.update('account_unlock_tokens',
+      { used: true },
+      { id: unlock.id, used: false }
+    );
+
+    if (affectedRows === 0) {
+      throw new ValidationError('Invalid or expired unlock token');
+    }
+
+    const user = await database.findById('users', unlock.user_id, 'id, email');
+    await this.unlock(user.email, { userId: user.id, ipAddress, method: 'email' });
+
+    return user.id;
+  }
+}
+
+module.exports = AccountLockout;
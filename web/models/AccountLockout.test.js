@@ -0,0 +1,123 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../utils/logger', () => ({ logRateLimit: jest.fn(), logSecurityEvent: jest.fn() }));
+
+const logger = require('../utils/logger');
+const AccountLockout = require('./AccountLockout');
+
+const ENV_KEYS = [
+  'LOGIN_MAX_FAILED_ATTEMPTS',
+  'LOGIN_DELAY_AFTER_FAILURES',
+  'LOGIN_MAX_DELAY_SECONDS',
+  'LOGIN_LOCKOUT_MINUTES',
+  'LOGIN_IP_MAX_FAILURES'
+];
+
+describe('AccountLockout', () => {
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('getDelaySeconds', () => {
+    it('has no delay before the third failure', () => {
+      expect(AccountLockout.getDelaySeconds(0)).toBe(0);
+      expect(AccountLockout.getDelaySeconds(2)).toBe(0);
+    });
+
+    it('doubles the delay with each failure from the third', () => {
+      expect(AccountLockout.getDelaySeconds(3)).toBe(2);
+      expect(AccountLockout.getDelaySeconds(4)).toBe(4);
+      expect(AccountLockout.getDelaySeconds(5)).toBe(8);
+    });
+
+    it('caps the delay at LOGIN_MAX_DELAY_SECONDS', () => {
+      expect(AccountLockout.getDelaySeconds(20)).toBe(60);
+
+      process.env.LOGIN_MAX_DELAY_SECONDS = '10';
+      expect(AccountLockout.getDelaySeconds(20)).toBe(10);
+    });
+
+    it('starts delaying after LOGIN_DELAY_AFTER_FAILURES', () => {
+      process.env.LOGIN_DELAY_AFTER_FAILURES = '1';
+
+      expect(AccountLockout.getDelaySeconds(0)).toBe(0);
+      expect(AccountLockout.getDelaySeconds(1)).toBe(2);
+    });
+  });
+
+  describe('assertCanAttempt', () => {
+    const withFailures = (failures, secondsSinceLast) => {
+      jest.spyOn(AccountLockout, 'getIpFailures').mockResolvedValue(0);
+      jest.spyOn(AccountLockout, 'getAccountFailures').mockResolvedValue({ failures, secondsSinceLast });
+    };
+
+    it('allows accounts without recent failures', async () => {
+      withFailures(0, null);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1')).resolves.toBeUndefined();
+    });
+
+    it('asks to wait for the rest of the progressive delay', async () => {
+      withFailures(4, 1);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1'))
+        .rejects.toMatchObject({ name: 'RateLimitError', retryAfter: 3 });
+    });
+
+    it('allows the attempt once the delay has passed', async () => {
+      withFailures(4, 4);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1')).resolves.toBeUndefined();
+    });
+
+    it('locks the account for the lockout period after the maximum failures', async () => {
+      withFailures(5, 60);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1'))
+        .rejects.toMatchObject({ name: 'AccountLockedError', retryAfter: 15 * 60 - 60 });
+    });
+
+    it('lifts the lockout once the lockout period is over', async () => {
+      withFailures(5, 15 * 60);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1')).resolves.toBeUndefined();
+    });
+
+    it('refuses and reports IP addresses with too many failures across accounts', async () => {
+      jest.spyOn(AccountLockout, 'getIpFailures').mockResolvedValue(20);
+      await expect(AccountLockout.assertCanAttempt('a@example.com', '127.0.0.1'))
+        .rejects.toMatchObject({ name: 'RateLimitError' });
+      expect(logger.logSecurityEvent).toHaveBeenCalledWith('login_ip_blocked', expect.objectContaining({ ip: '127.0.0.1', failures: 20 }));
+    });
+  });
+
+  describe('recordFailure', () => {
+    const afterFailures = (failures, secondsSinceLast) => {
+      jest.spyOn(AccountLockout, 'record').mockResolvedValue();
+      jest.spyOn(AccountLockout, 'getAccountFailures').mockResolvedValue({ failures, secondsSinceLast });
+    };
+
+    it('does not lock below the maximum failures', async () => {
+      afterFailures(3, 5);
+      await expect(AccountLockout.recordFailure('a@example.com', '127.0.0.1')).resolves.toBe(false);
+      expect(logger.logSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    it('locks and reports the account on the failure that reaches the maximum', async () => {
+      afterFailures(4, 5);
+      await expect(AccountLockout.recordFailure('a@example.com', '127.0.0.1', { id: 9 })).resolves.toBe(true);
+      expect(logger.logSecurityEvent).toHaveBeenCalledWith('account_locked', expect.objectContaining({ userId: 9, failures: 5 }));
+    });
+
+    it('locks and reports the account again after an earlier lockout ran out', async () => {
+      afterFailures(5, 15 * 60);
+      await expect(AccountLockout.recordFailure('a@example.com', '127.0.0.1')).resolves.toBe(true);
+      expect(logger.logSecurityEvent).toHaveBeenCalledWith('account_locked', expect.objectContaining({ failures: 6 }));
+    });
+
+    it('does not report a lockout that is still running', async () => {
+      afterFailures(5, 60);
+      await expect(AccountLockout.recordFailure('a@example.com', '127.0.0.1')).resolves.toBe(false);
+      expect(logger.logSecurityEvent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Keys are recognisable at a glance (and by secret scanners) by their prefix
+const KEY_PREFIX = 'ssk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_ACTIVE_KEYS = 25;
+
+// Last-used tracking is written at most once a minute per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Keys belong to either a user or a company
+ * @param {Object} owner - { userId } or { companyId }
+ */
+const ownerConditions = (owner) => {
+  return owner.companyId ? { company_id: owner.companyId } : { user_id: owner.userId };
+};
+
+class ApiKey {
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Mint a new API key
+   * The raw key is only returned here; only its hash is stored.
+   * @param {Object} owner - { userId } or { companyId }
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @param {Object} creator - The signed-in user creating the key
+   * @returns {Promise<Object>} { key, apiKey }
+   */
+  static async create(owner, data, creator) {
+    const { name, scopes, expiresAt = null } = data;
+
+    // Nobody can hand an integration more than they can do themselves
+    const notGrantable = scopes.filter(scope => !creator.permissions.includes(scope));
+    if (notGrantable.length > 0) {
+      throw new ValidationError(`You cannot grant scopes you do not have: ${notGrantable.join(', ')}`);
+    }
+
+    const conditions = ownerConditions(owner);
+    const ownerColumn = Object.keys(conditions)[0];
+    const [{ count }] = await database.query(
+      `SELECT COUNT(*) as count FROM api_keys
+       WHERE ${ownerColumn} = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [conditions[ownerColumn]]
+    );
+    if (count >= MAX_ACTIVE_KEYS) {
+      throw new ValidationError(`A maximum of ${MAX_ACTIVE_KEYS} active API keys is allowed`);
+    }
+
+    const key = `${KEY_PREFIX}${generateToken(32)}`;
+
+    try {
+      const keyId = await database.insert('api_keys', {
+        ...conditions,
+        name,
+        key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        key_hash: hashToken(key),
+        scopes: JSON.stringify(scopes),
+        expires_at: expiresAt,
+        created_by: creator.id,
+        created_at: new Date()
+      });
+
+      logger.logSecurityEvent('api_key_created', {
+        apiKeyId: keyId,
+        ...owner,
+        scopes,
+        createdBy: creator.id
+      });
+
+      const apiKey = await database.findById('api_keys', keyId);
+      return { key, apiKey: this.formatApiKey(apiKey) };
+    } catch (error) {
+      logger.logError('Failed to create API key', error, { ...owner });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a usable key from the raw value sent by a client
+   * @returns {Promise<Object|null>} The key, or null when unknown, expired or revoked
+   */
+  static async findActiveByKey(key) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    const keys = await database.query(
+      `SELECT * FROM api_keys
+       WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [hashToken(key)]
+    );
+
+    return keys.length > 0 ? this.formatApiKey(keys[0]) : null;
+  }
+
+  static async recordUse(id, ipAddress) {
+    await database.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ${LAST_USED_RESOLUTION_SECONDS} SECOND)`,
+      [ipAddress || null, id]
+    );
+  }
+
+  /**
+   * All keys of an owner, including expired and revoked ones, newest first
+   * @param {Object} owner - { userId } or { companyId }
+   */
+  static async findByOwner(owner) {
+    const conditions = ownerConditions(owner);
+    const ownerColumn = Object.keys(conditions)[0];
+
+    const keys = await database.query(
+      `SELECT * FROM api_keys WHERE ${ownerColumn} = ? ORDER BY created_at DESC, id DESC`,
+      [conditions[ownerColumn]]
+    );
+
+    return keys.map(key => this.formatApiKey(key));
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {number} id - API key id
+   * @param {Object} owner - { userId } or { companyId }; keys of other owners are not found
+   * @param {number} revokedBy - User revoking the key
+   */
+  static async revoke(id, owner, revokedBy) {
+    const conditions = ownerConditions(owner);
+    const ownerColumn = Object.keys(conditions)[0];
+
+    const result = await database.query(
+      `UPDATE api_keys SET revoked_at = NOW(), revoked_by = ?
+       WHERE id = ? AND ${ownerColumn} = ? AND revoked_at IS NULL`,
+      [revokedBy, id, conditions[ownerColumn]]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('API key not found');
+    }
+
+    logger.logSecurityEvent('api_key_revoked', { apiKeyId: id, ...owner, revokedBy });
+    return true;
+  }
+
+  static formatApiKey(key) {
+    if (!key) return null;
+
+    const scopes = typeof key.scopes === 'string' ? JSON.parse(key.scopes) : key.scopes;
+    const isExpired = key.expires_at !== null && new Date(key.expires_at) <= new Date();
+
+    return {
+      id: key.id,
+      userId: key.user_id,
+      companyId: key.company_id,
+      name: key.name,
+      prefix: key.key_prefix,
+      scopes: scopes || [],
+      status: key.revoked_at ? 'revoked' : isExpired ? 'expired' : 'active',
+      expiresAt: key.expires_at,
+      lastUsedAt: key.last_used_at,
+      lastUsedIp: key.last_used_ip,
+      createdBy: key.created_by,
+      revokedAt: key.revoked_at,
+      createdAt: key.created_at
+    };
+  }
+}
+
+module.exports = ApiKey;
@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
+const { accessCondition } = require('../utils/policies');
 const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 class Application {
@@ -115,7 +116,8 @@ class Application {
       dateTo,
       search,
       sortBy = 'applied_at',
-      sortOrder = 'DESC'
+      sortOrder = 'DESC',
+      viewer
     } = options;
     
     const offset = (page - 1) * limit;
@@ -179,6 +181,13 @@ class Application {
       values.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
     }
     
+    // Only rows the viewer (req.user) may read, when listing for a signed-in user
+    if (viewer) {
+      const access = accessCondition(viewer, 'application', 'read', 'ja');
+      whereConditions.push(access.sql);
+      values.push(...access.values);
+    }
+    
     if (whereConditions.length > 0) {
       sql += ` WHERE ${whereConditions.join(' AND ')}`;
     }
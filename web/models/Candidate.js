@@ -0,0 +1,444 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { accessCondition } = require('../utils/policies');
+const { parseResume } = require('../utils/resumeParser');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Profile fields a candidate can edit, by their API name
+const PROFILE_FIELDS = {
+  headline: 'headline',
+  currentPosition: 'current_position',
+  currentCompany: 'current_company',
+  experienceYears: 'experience_years',
+  expectedSalary: 'expected_salary',
+  currency: 'currency',
+  availabilityDate: 'availability_date',
+  willingToRelocate: 'willing_to_relocate',
+  preferredLocations: 'preferred_locations',
+  portfolioUrl: 'portfolio_url',
+  linkedinUrl: 'linkedin_url',
+  githubUrl: 'github_url',
+  coverLetter: 'cover_letter'
+};
+
+const EXPERIENCE_FIELDS = {
+  companyName: 'company_name',
+  position: 'position',
+  description: 'description',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  isCurrent: 'is_current'
+};
+
+const EDUCATION_FIELDS = {
+  institution: 'institution',
+  degree: 'degree',
+  fieldOfStudy: 'field_of_study',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  gpa: 'gpa',
+  description: 'description'
+};
+
+const toColumns = (data, fields) => {
+  const columns = {};
+
+  Object.keys(fields).forEach(key => {
+    if (data[key] !== undefined) {
+      columns[fields[key]] = data[key] === '' ? null : data[key];
+    }
+  });
+
+  return columns;
+};
+
+// A current position has no end date
+const experienceColumns = (data) => {
+  const columns = toColumns(data, EXPERIENCE_FIELDS);
+  if (columns.is_current) {
+    columns.end_date = null;
+  }
+
+  return columns;
+};
+
+class Candidate {
+  /**
+   * A candidate's full profile: details, skills, work experience and education
+   * @param {number} userId - The candidate's user id
+   * @returns {Promise<Object|null>} null when they have not created a profile yet
+   */
+  static async findByUserId(userId) {
+    const candidates = await database.query(
+      `SELECT c.*, u.first_name, u.last_name, u.email, u.phone, u.profile_picture, u.location
+       FROM candidates c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.user_id = ?`,
+      [userId]
+    );
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return await this.withDetails(candidates[0]);
+  }
+
+  /**
+   * A candidate's profile as seen by someone else, e.g. HR reviewing an applicant
+   * @param {number} userId - The candidate's user id
+   * @param {Object} viewer - req.user; must pass the 'candidate' read policy
+   */
+  static async findForViewer(userId, viewer) {
+    const condition = accessCondition(viewer, 'candidate', 'read', 'c');
+
+    const candidates = await database.query(
+      `SELECT c.id, ${condition.sql} as allowed FROM candidates c WHERE c.user_id = ?`,
+      [...condition.values, userId]
+    );
+
+    if (candidates.length === 0) {
+      throw new NotFoundError('Candidate profile not found');
+    }
+    if (!candidates[0].allowed) {
+      throw new AuthorizationError('You can only view the profiles of candidates who applied to your company');
+    }
+
+    return await this.findByUserId(userId);
+  }
+
+  /**
+   * The candidates row for a user, created on first use
+   * @returns {Promise<number>} The candidate id
+   */
+  static async ensureProfile(userId) {
+    const candidate = await database.findOne('candidates', { user_id: userId }, 'id');
+    if (candidate) {
+      return candidate.id;
+    }
+
+    return await database.insert('candidates', {
+      user_id: userId,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  /**
+   * Create or update the signed-in candidate's profile details
+   * @param {number} userId - The candidate's user id
+   * @param {Object} data - Any of the PROFILE_FIELDS
+   */
+  static async updateProfile(userId, data) {
+    const candidateId = await this.ensureProfile(userId);
+    const updateFields = toColumns(data, PROFILE_FIELDS);
+
+    if (updateFields.preferred_locations !== undefined) {
+      updateFields.preferred_locations = JSON.stringify(updateFields.preferred_locations || []);
+    }
+
+    try {
+      await database.update('candidates', { ...updateFields, updated_at: new Date() }, { id: candidateId });
+
+      logger.logBusiness('Candidate profile updated', { userId, fields: Object.keys(updateFields) });
+
+      return await this.findByUserId(userId);
+    } catch (error) {
+      logger.logBusiness('Failed to update candidate profile', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  static async getSkills(candidateId) {
+    return await database.query(
+      `SELECT s.id, s.name, s.category, cs.proficiency_level, cs.years_experience
+       FROM candidate_skills cs
+       JOIN skills s ON cs.skill_id = s.id
+       WHERE cs.candidate_id = ?
+       ORDER BY s.name`,
+      [candidateId]
+    );
+  }
+
+  /**
+   * Replace the candidate's skills
+   * Unknown skill names are added to the skills catalog, as for job skills.
+   * @param {number} userId - The candidate's user id
+   * @param {Object[]} skills - [{ name, proficiency, yearsExperience }]
+   */
+  static async setSkills(userId, skills) {
+    const candidateId = await this.ensureProfile(userId);
+
+    await database.transaction(async (connection) => {
+      await connection.execute('DELETE FROM candidate_skills WHERE candidate_id = ?', [candidateId]);
+
+      for (const skill of skills) {
+        const [existing] = await connection.execute('SELECT id FROM skills WHERE name = ?', [skill.name]);
+        let skillId = existing.length > 0 ? existing[0].id : null;
+
+        if (!skillId) {
+          const [insert] = await connection.execute(
+            `INSERT INTO skills (name, category, created_at) VALUES (?, 'general', NOW())`,
+            [skill.name]
+          );
+          skillId = insert.insertId;
+        }
+
+        await connection.execute(
+          `INSERT INTO candidate_skills (candidate_id, skill_id, proficiency_level, years_experience)
+           VALUES (?, ?, ?, ?)`,
+          [candidateId, skillId, skill.proficiency, skill.yearsExperience]
+        );
+      }
+    });
+
+    logger.logBusiness('Candidate skills updated', { userId, skillCount: skills.length });
+
+    return (await this.getSkills(candidateId)).map(skill => this.formatSkill(skill));
+  }
+
+  static async addExperience(userId, data) {
+    const candidateId = await this.ensureProfile(userId);
+
+    const experienceId = await database.insert('work_experiences', {
+      ...experienceColumns(data),
+      candidate_id: candidateId,
+      created_at: new Date()
+    });
+
+    return await this.findItem('work_experiences', experienceId, userId);
+  }
+
+  static async updateExperience(userId, experienceId, data) {
+    await this.findItem('work_experiences', experienceId, userId);
+    await database.update('work_experiences', experienceColumns(data), { id: experienceId });
+
+    return await this.findItem('work_experiences', experienceId, userId);
+  }
+
+  static async addEducation(userId, data) {
+    const candidateId = await this.ensureProfile(userId);
+
+    const educationId = await database.insert('educations', {
+      ...toColumns(data, EDUCATION_FIELDS),
+      candidate_id: candidateId,
+      created_at: new Date()
+    });
+
+    return await this.findItem('educations', educationId, userId);
+  }
+
+  static async updateEducation(userId, educationId, data) {
+    await this.findItem('educations', educationId, userId);
+    await database.update('educations', toColumns(data, EDUCATION_FIELDS), { id: educationId });
+
+    return await this.findItem('educations', educationId, userId);
+  }
+
+  /**
+   * Delete one of the candidate's work experience or education entries
+   * @param {string} table - 'work_experiences' or 'educations'
+   */
+  static async deleteItem(table, id, userId) {
+    await this.findItem(table, id, userId);
+    await database.delete(table, { id });
+
+    return true;
+  }
+
+  /**
+   * A work experience or education entry, only when it belongs to the user
+   * @param {string} table - 'work_experiences' or 'educations'
+   */
+  static async findItem(table, id, userId) {
+    const items = await database.query(
+      `SELECT i.* FROM ${table === 'educations' ? 'educations' : 'work_experiences'} i
+       JOIN candidates c ON i.candidate_id = c.id
+       WHERE i.id = ? AND c.user_id = ?`,
+      [id, userId]
+    );
+
+    if (items.length === 0) {
+      throw new NotFoundError(table === 'educations' ? 'Education not found' : 'Work experience not found');
+    }
+
+    return table === 'educations' ? this.formatEducation(items[0]) : this.formatExperience(items[0]);
+  }
+
+  /**
+   * Store an uploaded resume and its extracted text
+   * @param {number} userId - The candidate's user id
+   * @param {string} resumeUrl - URL of the uploaded file
+   * @param {string|null} text - Text from extractResumeText; null when it could not be read
+   */
+  static async saveResume(userId, resumeUrl, text) {
+    const candidateId = await this.ensureProfile(userId);
+
+    await database.update('candidates', {
+      resume_url: resumeUrl,
+      resume_text: text || null,
+      resume_parsed_at: text ? new Date() : null,
+      updated_at: new Date()
+    }, { id: candidateId });
+
+    logger.logBusiness('Candidate resume saved', { userId, textLength: text ? text.length : 0 });
+  }
+
+  /**
+   * A suggested profile parsed from the candidate's last uploaded resume
+   * Nothing is saved; the candidate confirms it with applyResumeSuggestion.
+   * @param {number} userId - The candidate's user id
+   * @returns {Promise<Object>} { contact, profile, experiences, educations, skills }
+   */
+  static async suggestFromResume(userId) {
+    const candidate = await database.findOne('candidates', { user_id: userId }, 'id, resume_url, resume_text');
+    if (!candidate || !candidate.resume_url) {
+      throw new NotFoundError('Upload a resume first');
+    }
+    if (!candidate.resume_text) {
+      throw new ValidationError('The text of your resume could not be read. Upload it as a PDF or DOCX file.');
+    }
+
+    const skills = await database.query('SELECT name FROM skills ORDER BY name');
+
+    return parseResume(candidate.resume_text, skills.map(skill => skill.name));
+  }
+
+  /**
+   * Save the parts of a resume suggestion the candidate confirmed
+   * Entries already on the profile are skipped and skills are merged with the
+   * existing ones, so applying the same suggestion twice changes nothing.
+   * @param {number} userId - The candidate's user id
+   * @param {Object} suggestion - { profile, experiences, educations, skills }, as edited by the candidate
+   */
+  static async applyResumeSuggestion(userId, suggestion) {
+    const { profile = {}, experiences = [], educations = [], skills = [] } = suggestion;
+    const existing = (await this.findByUserId(userId)) || { skills: [], experiences: [], educations: [] };
+
+    if (Object.keys(profile).length > 0) {
+      await this.updateProfile(userId, profile);
+    }
+
+    const experienceKey = (experience) => `${experience.companyName}|${experience.position}`.toLowerCase();
+    const knownExperiences = new Set(existing.experiences.map(experienceKey));
+    for (const experience of experiences.filter(experience => !knownExperiences.has(experienceKey(experience)))) {
+      await this.addExperience(userId, experience);
+    }
+
+    const educationKey = (education) => `${education.institution}|${education.degree}`.toLowerCase();
+    const knownEducations = new Set(existing.educations.map(educationKey));
+    for (const education of educations.filter(education => !knownEducations.has(educationKey(education)))) {
+      await this.addEducation(userId, education);
+    }
+
+    const knownSkills = new Set(existing.skills.map(skill => skill.name.toLowerCase()));
+    const newSkills = skills.filter(skill => !knownSkills.has(skill.name.toLowerCase()));
+    if (newSkills.length > 0) {
+      await this.setSkills(userId, [...existing.skills, ...newSkills]);
+    }
+
+    logger.logBusiness('Resume suggestion applied', {
+      userId,
+      profileFields: Object.keys(profile),
+      experiences: experiences.length,
+      educations: educations.length,
+      newSkills: newSkills.length
+    });
+
+    return await this.findByUserId(userId);
+  }
+
+  static async withDetails(candidate) {
+    const skills = await this.getSkills(candidate.id);
+    const experiences = await database.query(
+      'SELECT * FROM work_experiences WHERE candidate_id = ? ORDER BY is_current DESC, start_date DESC',
+      [candidate.id]
+    );
+    const educations = await database.query(
+      'SELECT * FROM educations WHERE candidate_id = ? ORDER BY start_date DESC',
+      [candidate.id]
+    );
+
+    return this.formatCandidate({ ...candidate, skills, experiences, educations });
+  }
+
+  static formatCandidate(candidate) {
+    if (!candidate) return null;
+
+    let preferredLocations = candidate.preferred_locations || [];
+    if (typeof preferredLocations === 'string') {
+      preferredLocations = JSON.parse(preferredLocations);
+    }
+
+    return {
+      id: candidate.id,
+      userId: candidate.user_id,
+      firstName: candidate.first_name,
+      lastName: candidate.last_name,
+      fullName: `${candidate.first_name} ${candidate.last_name}`.trim(),
+      email: candidate.email,
+      phone: candidate.phone,
+      location: candidate.location,
+      profilePicture: candidate.profile_picture,
+      headline: candidate.headline,
+      currentPosition: candidate.current_position,
+      currentCompany: candidate.current_company,
+      experienceYears: candidate.experience_years,
+      expectedSalary: candidate.expected_salary,
+      currency: candidate.currency,
+      availabilityDate: candidate.availability_date,
+      willingToRelocate: Boolean(candidate.willing_to_relocate),
+      preferredLocations,
+      resumeUrl: candidate.resume_url,
+      resumeParsedAt: candidate.resume_parsed_at,
+      portfolioUrl: candidate.portfolio_url,
+      linkedinUrl: candidate.linkedin_url,
+      githubUrl: candidate.github_url,
+      coverLetter: candidate.cover_letter,
+      skills: (candidate.skills || []).map(skill => this.formatSkill(skill)),
+      experiences: (candidate.experiences || []).map(experience => this.formatExperience(experience)),
+      educations: (candidate.educations || []).map(education => this.formatEducation(education)),
+      createdAt: candidate.created_at,
+      updatedAt: candidate.updated_at
+    };
+  }
+
+  static formatSkill(skill) {
+    return {
+      id: skill.id,
+      name: skill.name,
+      category: skill.category,
+      proficiency: skill.proficiency_level,
+      yearsExperience: skill.years_experience
+    };
+  }
+
+  static formatExperience(experience) {
+    return {
+      id: experience.id,
+      companyName: experience.company_name,
+      position: experience.position,
+      description: experience.description,
+      startDate: experience.start_date,
+      endDate: experience.end_date,
+      isCurrent: Boolean(experience.is_current),
+      createdAt: experience.created_at
+    };
+  }
+
+  static formatEducation(education) {
+    return {
+      id: education.id,
+      institution: education.institution,
+      degree: education.degree,
+      fieldOfStudy: education.field_of_study,
+      startDate: education.start_date,
+      endDate: education.end_date,
+      gpa: education.gpa,
+      description: education.description,
+      createdAt: education.created_at
+    };
+  }
+}
+
+module.exports = Candidate;
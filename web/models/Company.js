@@ -205,7 +205,8 @@ class Company {
       email,
       logo,
       foundedYear,
-      isActive
+      isActive,
+      mfaRequired
     } = updateData;
     
     // Check if name is being changed and if it conflicts
@@ -232,6 +233,7 @@ class Company {
     if (logo !== undefined) updateFields.logo = logo;
     if (foundedYear !== undefined) updateFields.founded_year = foundedYear;
     if (isActive !== undefined) updateFields.is_active = isActive;
+    if (mfaRequired !== undefined) updateFields.mfa_required = mfaRequired;
     
     try {
       await database.update('companies', updateFields, { id });
@@ -494,6 +496,7 @@ class Company {
       logo: company.logo,
       foundedYear: company.founded_year,
       isActive: company.is_active,
+      mfaRequired: Boolean(company.mfa_required),
       jobCount: company.job_count || 0,
       employeeCount: company.employee_count || 0,
       departments: company.departments || [],
@@ -0,0 +1,347 @@
+const database = require('../config/database');
+const User = require('./User');
+const Role = require('./Role');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+
+const settings = () => ({
+  expiresDays: parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7
+});
+
+const isPending = (invitation) => {
+  return Boolean(invitation) &&
+    !invitation.accepted_at &&
+    !invitation.revoked_at &&
+    new Date(invitation.expires_at) > new Date();
+};
+
+class CompanyInvitation {
+  /**
+   * Invite someone to join a company
+   * Returns the raw token for the email; only its hash is stored.
+   * @param {number} companyId - Company to join
+   * @param {Object} data - { email, role, position }
+   * @param {Object} inviter - The signed-in user sending the invitation (req.user)
+   * @returns {Promise<Object>} { token, invitation }
+   */
+  static async create(companyId, data, inviter) {
+    const { email, role, position = null } = data;
+
+    const roleRecord = await Role.findByName(role);
+    if (!roleRecord) {
+      throw new ValidationError(`Unknown role: ${role}`);
+    }
+    if (role === 'admin' && inviter.role !== 'admin') {
+      throw new AuthorizationError('Only administrators can invite administrators');
+    }
+    Role.assertGrantableBy(roleRecord, inviter);
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      this.assertCanJoin(existingUser, companyId);
+    }
+
+    const pending = await database.query(
+      `SELECT id FROM company_invitations
+       WHERE company_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [companyId, email]
+    );
+    if (pending.length > 0) {
+      throw new ConflictError('This email already has a pending invitation. Resend it instead.');
+    }
+
+    const { token, row } = this.buildRow(companyId, { email, role, position }, inviter.id);
+
+    try {
+      const invitationId = await database.insert('company_invitations', row);
+
+      logger.logSecurityEvent('company_invitation_created', {
+        invitationId,
+        companyId,
+        email,
+        role,
+        invitedBy: inviter.id
+      });
+
+      return { token, invitation: await this.findById(invitationId, companyId) };
+    } catch (error) {
+      logger.logError('Failed to create company invitation', error, { companyId, email });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} id - Invitation id
+   * @param {number} companyId - Invitations of other companies are not found
+   */
+  static async findById(id, companyId) {
+    const invitations = await database.query(
+      `SELECT i.*, c.name as company_name, u.first_name as inviter_first_name, u.last_name as inviter_last_name
+       FROM company_invitations i
+       JOIN companies c ON i.company_id = c.id
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.id = ? AND i.company_id = ?`,
+      [id, companyId]
+    );
+
+    if (invitations.length === 0) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    return this.formatInvitation(invitations[0]);
+  }
+
+  /**
+   * Invitations that have not been accepted or revoked, newest first
+   * Expired invitations are included so they can be resent.
+   */
+  static async findOpenByCompany(companyId) {
+    const invitations = await database.query(
+      `SELECT i.*, c.name as company_name, u.first_name as inviter_first_name, u.last_name as inviter_last_name
+       FROM company_invitations i
+       JOIN companies c ON i.company_id = c.id
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.company_id = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       ORDER BY i.created_at DESC, i.id DESC`,
+      [companyId]
+    );
+
+    return invitations.map(invitation => this.formatInvitation(invitation));
+  }
+
+  /**
+   * Look up a pending invitation from the emailed token, e.g. to show who is inviting
+   * @returns {Promise<Object>} The invitation and whether an account exists for its email
+   */
+  static async findByToken(token) {
+    const invitation = await database.findOne('company_invitations', { token: hashToken(token) });
+
+    if (!isPending(invitation)) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    const formatted = await this.findById(invitation.id, invitation.company_id);
+    const existingUser = await User.findByEmail(invitation.email);
+
+    return { invitation: formatted, accountExists: Boolean(existingUser) };
+  }
+
+  /**
+   * Send an open invitation again with a new token and expiry
+   * The previous link stops working.
+   * @returns {Promise<Object>} { token, invitation }
+   */
+  static async resend(id, companyId, resentBy) {
+    const invitation = await this.findById(id, companyId);
+
+    if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+      throw new ValidationError(`This invitation has been ${invitation.status}`);
+    }
+
+    const token = generateToken(32);
+
+    await database.query(
+      `UPDATE company_invitations
+       SET token = ?, expires_at = ?, send_count = send_count + 1, last_sent_at = NOW()
+       WHERE id = ?`,
+      [hashToken(token), this.getExpiry(), id]
+    );
+
+    logger.logSecurityEvent('company_invitation_resent', { invitationId: id, companyId, resentBy });
+
+    return { token, invitation: await this.findById(id, companyId) };
+  }
+
+  static async revoke(id, companyId, revokedBy) {
+    await this.findById(id, companyId);
+
+    const result = await database.query(
+      `UPDATE company_invitations SET revoked_at = NOW(), revoked_by = ?
+       WHERE id = ? AND company_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [revokedBy, id, companyId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new ValidationError('Only open invitations can be revoked');
+    }
+
+    logger.logSecurityEvent('company_invitation_revoked', { invitationId: id, companyId, revokedBy });
+    return true;
+  }
+
+  /**
+   * Accept an invitation
+   * Creates the account when the email has none (firstName, lastName and
+   * password are then required); otherwise the existing account joins the
+   * company. The token was mailed to the invited address, which proves the
+   * person accepting owns it.
+   * @param {string} token - Token from the invitation email
+   * @param {Object} data - { firstName, lastName, password } for new accounts
+   * @returns {Promise<Object>} { user, newAccount }
+   */
+  static async accept(token, data = {}) {
+    const invitation = await database.findOne('company_invitations', { token: hashToken(token) });
+
+    if (!isPending(invitation)) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    const role = await Role.findByName(invitation.role);
+    if (!role) {
+      throw new ValidationError('The role this invitation grants no longer exists');
+    }
+
+    const existingUser = await User.findByEmail(invitation.email);
+
+    if (existingUser) {
+      this.assertCanJoin(existingUser, invitation.company_id);
+    } else if (!data.firstName || !data.lastName || !data.password) {
+      throw new ValidationError('First name, last name and password are required to create your account');
+    }
+
+    // Claim the invitation first so concurrent requests cannot accept it twice
+    const claimed = await database.query(
+      `UPDATE company_invitations SET accepted_at = NOW()
+       WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [invitation.id]
+    );
+    if (claimed.affectedRows === 0) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    let user;
+    try {
+      if (existingUser) {
+        await database.update('users', {
+          company_id: invitation.company_id,
+          role_id: role.id,
+          updated_at: new Date()
+        }, { id: existingUser.id });
+
+        user = await User.findById(existingUser.id);
+      } else {
+        user = await User.create({
+          email: invitation.email,
+          password: data.password,
+          firstName: data.firstName,
+          lastName: data.lastName,
+          role: invitation.role,
+          companyId: invitation.company_id,
+          emailVerified: true
+        });
+      }
+    } catch (error) {
+      await database.update('company_invitations', { accepted_at: null }, { id: invitation.id });
+      throw error;
+    }
+
+    await database.update('company_invitations', { accepted_user_id: user.id }, { id: invitation.id });
+
+    await database.insert('user_companies', {
+      user_id: user.id,
+      company_id: invitation.company_id,
+      department_id: invitation.department_id,
+      position: invitation.position,
+      start_date: new Date(),
+      is_current: true,
+      created_at: new Date()
+    });
+
+    logger.logSecurityEvent('company_invitation_accepted', {
+      invitationId: invitation.id,
+      companyId: invitation.company_id,
+      userId: user.id,
+      role: invitation.role,
+      newAccount: !existingUser
+    });
+
+    return { user, newAccount: !existingUser };
+  }
+
+  /**
+   * Existing accounts can join a company only when they are not already in one
+   * Also used by the bulk user import to check invitations before sending them.
+   * @param {Object} user - Formatted user (isActive, role, companyId)
+   */
+  static assertCanJoin(user, companyId) {
+    if (!user.isActive) {
+      throw new ConflictError('This account is deactivated');
+    }
+    if (user.role === 'admin') {
+      throw new ConflictError('Administrators cannot be invited to a company');
+    }
+    if (user.companyId === companyId) {
+      throw new ConflictError('This person is already a member of the company');
+    }
+    if (user.companyId) {
+      throw new ConflictError('This person already belongs to another company');
+    }
+  }
+
+  /**
+   * A new company_invitations row and the raw token to email
+   * Also used by the bulk user import, which inserts invitations in its own transaction.
+   * @param {Object} data - { email, role, position, departmentId }
+   * @returns {Object} { token, row }
+   */
+  static buildRow(companyId, data, invitedBy) {
+    const token = generateToken(32);
+
+    return {
+      token,
+      row: {
+        company_id: companyId,
+        email: data.email,
+        role: data.role,
+        position: data.position || null,
+        department_id: data.departmentId || null,
+        token: hashToken(token),
+        expires_at: this.getExpiry(),
+        invited_by: invitedBy,
+        send_count: 1,
+        last_sent_at: new Date(),
+        created_at: new Date()
+      }
+    };
+  }
+
+  static getExpiry() {
+    return new Date(Date.now() + settings().expiresDays * 24 * 60 * 60 * 1000);
+  }
+
+  static formatInvitation(invitation) {
+    if (!invitation) return null;
+
+    let status = 'pending';
+    if (invitation.accepted_at) {
+      status = 'accepted';
+    } else if (invitation.revoked_at) {
+      status = 'revoked';
+    } else if (new Date(invitation.expires_at) <= new Date()) {
+      status = 'expired';
+    }
+
+    return {
+      id: invitation.id,
+      companyId: invitation.company_id,
+      companyName: invitation.company_name,
+      email: invitation.email,
+      role: invitation.role,
+      position: invitation.position,
+      departmentId: invitation.department_id,
+      status,
+      invitedBy: invitation.invited_by,
+      inviterName: [invitation.inviter_first_name, invitation.inviter_last_name].filter(Boolean).join(' ') || null,
+      sendCount: invitation.send_count,
+      lastSentAt: invitation.last_sent_at,
+      expiresAt: invitation.expires_at,
+      acceptedAt: invitation.accepted_at,
+      acceptedUserId: invitation.accepted_user_id,
+      revokedAt: invitation.revoked_at,
+      createdAt: invitation.created_at
+    };
+  }
+}
+
+module.exports = CompanyInvitation;
@@ -0,0 +1,490 @@
+const { SAML, ValidateInResponseTo } = require('@node-saml/node-saml');
+const database = require('../config/database');
+const User = require('./User');
+const Role = require('./Role');
+const UserIdentity = require('./UserIdentity');
+const logger = require('../utils/logger');
+const oidc = require('../utils/oidc');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { ValidationError, NotFoundError, ConflictError, AuthenticationError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Company IdPs may grant any role but 'admin', which is platform-wide and never comes from an IdP
+const isSsoAssignable = (role) => Boolean(role) && role.name !== 'admin';
+
+// Staff roles outrank candidate roles; among those, more permissions rank higher
+const privilege = (role) => ((role.baseRole || role.name) === 'hr' ? 1000 : 0) + role.permissions.length;
+
+// Common attribute names used by SAML IdPs (Azure AD / ADFS claim URIs and LDAP OIDs)
+const SAML_ATTRIBUTES = {
+  email: ['email', 'mail', 'urn:oid:0.9.2342.19200300.100.1.3', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'],
+  firstName: ['firstName', 'givenName', 'urn:oid:2.5.4.42', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname'],
+  lastName: ['lastName', 'sn', 'surname', 'urn:oid:2.5.4.4', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname']
+};
+
+// Cached SAML clients keep InResponseTo request ids between login and callback
+const samlClients = new Map();
+
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Pull the entity id, redirect SSO endpoint and signing certificate out of IdP metadata
+ */
+const parseSamlMetadata = (xml) => {
+  const entityId = (xml.match(/<(?:\w+:)?EntityDescriptor\b[^>]*\bentityID="([^"]+)"/) || [])[1];
+
+  const ssoServices = xml.match(/<(?:\w+:)?SingleSignOnService\b[^>]*>/g) || [];
+  const redirectService = ssoServices.find(tag => tag.includes('bindings:HTTP-Redirect'));
+  const entryPoint = redirectService ? (redirectService.match(/\bLocation="([^"]+)"/) || [])[1] : undefined;
+
+  const signingKey = (xml.match(/<(?:\w+:)?KeyDescriptor\b(?![^>]*use="encryption")[^>]*>[\s\S]*?<\/(?:\w+:)?KeyDescriptor>/) || [])[0];
+  const cert = signingKey ? (signingKey.match(/<(?:\w+:)?X509Certificate>([^<]+)</) || [])[1] : undefined;
+
+  return {
+    entityId,
+    entryPoint,
+    cert: cert ? cert.replace(/\s+/g, '') : undefined
+  };
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+class CompanySso {
+  static async findByCompanyId(companyId) {
+    const config = await database.findOne('company_sso_configs', { company_id: companyId });
+    if (!config) {
+      return null;
+    }
+
+    return this.formatConfig(config, await this.getDomains(companyId));
+  }
+
+  static async getDomains(companyId) {
+    const domains = await database.query(
+      'SELECT domain FROM company_domains WHERE company_id = ? ORDER BY domain',
+      [companyId]
+    );
+
+    return domains.map(row => row.domain);
+  }
+
+  /**
+   * Find the company whose identity provider handles an email address
+   * Used by the login screen to route users to their IdP.
+   */
+  static async discoverByEmail(email) {
+    const domain = email.split('@').pop().toLowerCase();
+
+    const sql = `
+      SELECT c.id, c.name, s.protocol
+      FROM company_domains d
+      JOIN companies c ON d.company_id = c.id
+      JOIN company_sso_configs s ON s.company_id = c.id AND s.enabled = true
+      WHERE d.domain = ?
+    `;
+
+    const [company] = await database.query(sql, [domain]);
+    return company ? { companyId: company.id, companyName: company.name, protocol: company.protocol } : null;
+  }
+
+  /**
+   * Create or replace a company's IdP configuration
+   * SAML metadata, when given, fills in any entry point, issuer or certificate not set explicitly.
+   * The OIDC client secret is kept when omitted so it never has to be read back.
+   * @param {Object} updatedBy - The signed-in user saving the configuration (req.user)
+   */
+  static async save(companyId, data, updatedBy) {
+    await this.assertAssignableRoles([...Object.values(data.roleMappings || {}), data.defaultRole], updatedBy);
+
+    const existing = await database.findOne('company_sso_configs', { company_id: companyId });
+
+    const fields = {
+      protocol: data.protocol,
+      enabled: data.enabled,
+      groups_attribute: data.groupsAttribute,
+      role_mappings: JSON.stringify(data.roleMappings),
+      default_role: data.defaultRole,
+      updated_at: new Date()
+    };
+
+    if (data.protocol === 'oidc') {
+      const clientSecret = data.oidcClientSecret
+        ? encryptSecret(data.oidcClientSecret)
+        : existing && existing.oidc_client_secret_encrypted;
+
+      if (!clientSecret) {
+        throw new ValidationError('OIDC configuration requires a client secret');
+      }
+
+      Object.assign(fields, {
+        oidc_discovery_url: data.oidcDiscoveryUrl,
+        oidc_client_id: data.oidcClientId,
+        oidc_client_secret_encrypted: clientSecret
+      });
+    } else {
+      const metadata = data.samlMetadataXml ? parseSamlMetadata(data.samlMetadataXml) : {};
+
+      Object.assign(fields, {
+        saml_metadata_xml: data.samlMetadataXml || null,
+        saml_entry_point: data.samlEntryPoint || metadata.entryPoint || null,
+        saml_idp_issuer: data.samlIdpIssuer || metadata.entityId || null,
+        saml_idp_cert: data.samlIdpCert || metadata.cert || null
+      });
+
+      if (!fields.saml_entry_point || !fields.saml_idp_cert) {
+        throw new ValidationError('SAML configuration needs IdP metadata, or an entry point and signing certificate');
+      }
+    }
+
+    try {
+      if (existing) {
+        await database.update('company_sso_configs', fields, { company_id: companyId });
+      } else {
+        await database.insert('company_sso_configs', {
+          ...fields,
+          company_id: companyId,
+          created_at: new Date()
+        });
+      }
+
+      samlClients.delete(companyId);
+      logger.logBusiness('Company SSO configuration saved', { companyId, protocol: data.protocol, enabled: data.enabled });
+
+      return await this.findByCompanyId(companyId);
+    } catch (error) {
+      logger.logBusiness('Failed to save company SSO configuration', { companyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the email domains routed to a company's IdP
+   */
+  static async setDomains(companyId, domains) {
+    const normalized = [...new Set(domains.map(domain => domain.toLowerCase()))];
+
+    if (normalized.length > 0) {
+      const placeholders = normalized.map(() => '?').join(', ');
+      const claimed = await database.query(
+        `SELECT domain FROM company_domains WHERE domain IN (${placeholders}) AND company_id <> ?`,
+        [...normalized, companyId]
+      );
+
+      if (claimed.length > 0) {
+        throw new ConflictError(`Domain already assigned to another company: ${claimed.map(row => row.domain).join(', ')}`);
+      }
+    }
+
+    await database.transaction(async (connection) => {
+      await connection.execute('DELETE FROM company_domains WHERE company_id = ?', [companyId]);
+
+      for (const domain of normalized) {
+        await connection.execute(
+          'INSERT INTO company_domains (company_id, domain, created_at) VALUES (?, ?, NOW())',
+          [companyId, domain]
+        );
+      }
+    });
+
+    logger.logBusiness('Company SSO domains updated', { companyId, domains: normalized });
+    return normalized;
+  }
+
+  static async remove(companyId) {
+    const affectedRows = await database.delete('company_sso_configs', { company_id: companyId });
+    if (affectedRows === 0) {
+      throw new NotFoundError('SSO is not configured for this company');
+    }
+
+    samlClients.delete(companyId);
+    logger.logBusiness('Company SSO configuration removed', { companyId });
+    return true;
+  }
+
+  static getCallbackUrl(companyId, protocol) {
+    return protocol === 'saml'
+      ? `${getApiUrl()}/api/auth/sso/${companyId}/saml/acs`
+      : `${getApiUrl()}/api/auth/sso/${companyId}/oidc/callback`;
+  }
+
+  /**
+   * Our SAML service provider entity id, which is also the SP metadata URL
+   */
+  static getSamlEntityId(companyId) {
+    return `${getApiUrl()}/api/auth/sso/${companyId}/saml/metadata`;
+  }
+
+  static async getEnabledConfig(companyId, protocol) {
+    const config = await database.findOne('company_sso_configs', { company_id: companyId, enabled: true });
+
+    if (!config || (protocol && config.protocol !== protocol)) {
+      throw new NotFoundError('Single sign-on is not enabled for this company');
+    }
+
+    return config;
+  }
+
+  static getSamlClient(config) {
+    const cached = samlClients.get(config.company_id);
+    if (cached && cached.updatedAt === String(config.updated_at)) {
+      return cached.client;
+    }
+
+    const entityId = this.getSamlEntityId(config.company_id);
+    const client = new SAML({
+      callbackUrl: this.getCallbackUrl(config.company_id, 'saml'),
+      entryPoint: config.saml_entry_point,
+      issuer: entityId,
+      audience: entityId,
+      cert: config.saml_idp_cert,
+      idpIssuer: config.saml_idp_issuer || undefined,
+      // Most IdPs sign the assertion rather than the whole response
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      // Only answers to an AuthnRequest this client issued; IdP-initiated or
+      // replayed responses carry no InResponseTo it knows
+      validateInResponseTo: ValidateInResponseTo.always,
+      acceptedClockSkewMs: 30 * 1000
+    });
+
+    samlClients.set(config.company_id, { updatedAt: String(config.updated_at), client });
+    return client;
+  }
+
+  /**
+   * Start a login with the company's IdP
+   * OIDC logins return state, nonce and codeVerifier that the caller must keep
+   * until the callback; SAML logins carry `relayState` through the IdP instead.
+   */
+  static async beginLogin(companyId, relayState) {
+    const config = await this.getEnabledConfig(companyId);
+
+    if (config.protocol === 'saml') {
+      const url = await this.getSamlClient(config).getAuthorizeUrlAsync(relayState, undefined, {});
+      return { protocol: 'saml', url };
+    }
+
+    const metadata = await oidc.discover(config.oidc_discovery_url);
+    return {
+      protocol: 'oidc',
+      ...oidc.createAuthorizationRequest(metadata, {
+        clientId: config.oidc_client_id,
+        redirectUri: this.getCallbackUrl(companyId, 'oidc')
+      })
+    };
+  }
+
+  /**
+   * Finish an OIDC login and return the signed-in user
+   * @param {Object} params - { code, codeVerifier, nonce }
+   */
+  static async completeOidcLogin(companyId, params) {
+    const config = await this.getEnabledConfig(companyId, 'oidc');
+    const metadata = await oidc.discover(config.oidc_discovery_url);
+
+    const tokens = await oidc.exchangeCode(metadata, {
+      clientId: config.oidc_client_id,
+      clientSecret: decryptSecret(config.oidc_client_secret_encrypted),
+      redirectUri: this.getCallbackUrl(companyId, 'oidc'),
+      code: params.code,
+      codeVerifier: params.codeVerifier
+    });
+
+    const claims = await oidc.verifyIdToken(metadata, tokens.id_token, {
+      clientId: config.oidc_client_id,
+      nonce: params.nonce
+    });
+
+    if (claims.email_verified === false) {
+      throw new AuthenticationError('Your identity provider has not verified your email address');
+    }
+
+    return await this.provisionUser(config, {
+      subject: claims.sub,
+      email: claims.email,
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      displayName: claims.name,
+      groups: toList(claims[config.groups_attribute || 'groups'])
+    });
+  }
+
+  /**
+   * Validate a SAML response posted to the ACS endpoint and return the signed-in user
+   * @param {Object} body - The POSTed form ({ SAMLResponse, RelayState })
+   */
+  static async completeSamlLogin(companyId, body) {
+    const config = await this.getEnabledConfig(companyId, 'saml');
+    const { profile } = await this.getSamlClient(config).validatePostResponseAsync(body);
+
+    if (!profile) {
+      throw new AuthenticationError('Identity provider did not return a user');
+    }
+
+    const attribute = (names) => firstValue(names.map(name => profile[name]).find(value => value));
+    const email = attribute(SAML_ATTRIBUTES.email) || (String(profile.nameID).includes('@') ? profile.nameID : null);
+
+    return await this.provisionUser(config, {
+      subject: profile.nameID,
+      email,
+      firstName: attribute(SAML_ATTRIBUTES.firstName),
+      lastName: attribute(SAML_ATTRIBUTES.lastName),
+      displayName: null,
+      groups: toList(profile[config.groups_attribute || 'groups'])
+    });
+  }
+
+  static async getSamlMetadata(companyId) {
+    const config = await this.getEnabledConfig(companyId, 'saml');
+    return this.getSamlClient(config).generateServiceProviderMetadata(null, null);
+  }
+
+  /**
+   * Role mappings and the default role must name existing roles other than
+   * 'admin' that the user saving them could grant themselves
+   * @param {string[]} names - Role names, null entries are skipped
+   * @param {Object} granter - req.user
+   */
+  static async assertAssignableRoles(names, granter) {
+    for (const name of new Set(names.filter(Boolean))) {
+      const role = await Role.findByName(name);
+      if (!role) {
+        throw new ValidationError(`Unknown role: ${name}`);
+      }
+      if (!isSsoAssignable(role)) {
+        throw new ValidationError('Administrators cannot be assigned through single sign-on');
+      }
+      Role.assertGrantableBy(role, granter);
+    }
+  }
+
+  /**
+   * Role for an IdP user from their groups
+   * When groups map to several roles the most privileged one wins. Roles
+   * deleted since the mapping was saved are skipped.
+   * @returns {Promise<Object|null>} Formatted role
+   */
+  static async resolveRole(config, groups) {
+    const mappings = typeof config.role_mappings === 'string'
+      ? JSON.parse(config.role_mappings)
+      : config.role_mappings || {};
+
+    const mappedNames = [...new Set(groups.map(group => mappings[group]).filter(Boolean))];
+    const mappedRoles = (await Promise.all(mappedNames.map(name => Role.findByName(name))))
+      .filter(isSsoAssignable)
+      .sort((a, b) => privilege(b) - privilege(a));
+
+    if (mappedRoles.length > 0) {
+      return mappedRoles[0];
+    }
+
+    const defaultRole = config.default_role ? await Role.findByName(config.default_role) : null;
+    return isSsoAssignable(defaultRole) ? defaultRole : null;
+  }
+
+  /**
+   * Sign in, link or just-in-time create the user behind an IdP assertion
+   * Only emails on the company's domains are accepted, and an existing account
+   * is only reused when it already belongs to the company.
+   * @param {Object} config - Raw company_sso_configs row
+   * @param {Object} claims - { subject, email, firstName, lastName, displayName, groups }
+   */
+  static async provisionUser(config, claims) {
+    const companyId = config.company_id;
+    const provider = `sso:${companyId}`;
+
+    if (!claims.subject || !claims.email) {
+      throw new AuthenticationError('Identity provider did not return an email address');
+    }
+
+    const email = String(claims.email).toLowerCase();
+    const domains = await this.getDomains(companyId);
+    if (!domains.includes(email.split('@').pop())) {
+      logger.logSecurityEvent('sso_domain_rejected', { companyId, email });
+      throw new AuthorizationError('Your email domain is not registered for this company');
+    }
+
+    const role = await this.resolveRole(config, claims.groups);
+    if (!role) {
+      logger.logSecurityEvent('sso_no_role', { companyId, email, groups: claims.groups });
+      throw new AuthorizationError('Your account is not assigned to a role in SignInSoft. Contact your administrator.');
+    }
+
+    const profile = {
+      provider,
+      providerUserId: String(claims.subject),
+      email,
+      emailVerified: true,
+      firstName: claims.firstName || null,
+      lastName: claims.lastName || null,
+      displayName: claims.displayName || [claims.firstName, claims.lastName].filter(Boolean).join(' ') || null,
+      avatarUrl: null
+    };
+
+    const identity = await UserIdentity.findByProvider(provider, profile.providerUserId);
+    let user = identity ? await User.findById(identity.userId) : await User.findByEmail(email);
+
+    if (user && user.companyId !== companyId) {
+      logger.logSecurityEvent('sso_company_mismatch', { companyId, userId: user.id });
+      throw new ConflictError('An account with this email belongs to another organization');
+    }
+
+    if (!user) {
+      user = await User.create({
+        email,
+        firstName: profile.firstName || email.split('@')[0],
+        lastName: profile.lastName || '',
+        role: role.name,
+        companyId,
+        emailVerified: true
+      });
+
+      logger.logAuth('User provisioned from company SSO', { userId: user.id, companyId, role: role.name });
+    } else if (user.role !== role.name && user.role !== 'admin') {
+      // Keep the role in step with IdP group membership
+      await database.update('users', { role_id: role.id, updated_at: new Date() }, { id: user.id });
+      logger.logSecurityEvent('sso_role_synced', { userId: user.id, companyId, from: user.role, to: role.name });
+      user = await User.findById(user.id);
+    }
+
+    if (!identity) {
+      await UserIdentity.link(user.id, profile);
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    return user;
+  }
+
+  static formatConfig(config, domains = []) {
+    if (!config) return null;
+
+    return {
+      companyId: config.company_id,
+      protocol: config.protocol,
+      enabled: Boolean(config.enabled),
+      domains,
+      oidcDiscoveryUrl: config.oidc_discovery_url,
+      oidcClientId: config.oidc_client_id,
+      hasOidcClientSecret: Boolean(config.oidc_client_secret_encrypted),
+      samlEntryPoint: config.saml_entry_point,
+      samlIdpIssuer: config.saml_idp_issuer,
+      samlIdpCert: config.saml_idp_cert,
+      samlEntityId: config.protocol === 'saml' ? this.getSamlEntityId(config.company_id) : undefined,
+      callbackUrl: this.getCallbackUrl(config.company_id, config.protocol),
+      groupsAttribute: config.groups_attribute,
+      roleMappings: typeof config.role_mappings === 'string' ? JSON.parse(config.role_mappings) : config.role_mappings || {},
+      defaultRole: config.default_role,
+      createdAt: config.created_at,
+      updatedAt: config.updated_at
+    };
+  }
+}
+
+module.exports = CompanySso;
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { resolveUploadPath } = require('../utils/files');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Rows that only exist to sign the user in or reach them; nothing else refers to them
+const DELETED_BY_USER = [
+  'user_sessions',
+  'password_history',
+  'password_resets',
+  'magic_link_tokens',
+  'email_verifications',
+  'account_unlock_tokens',
+  'mfa_recovery_codes',
+  'user_mfa',
+  'user_identities',
+  'oauth_login_codes',
+  'notifications'
+];
+
+/**
+ * Anonymizing UPDATE/DELETE statements, run in order inside one transaction
+ * Records other people rely on (applications, status history, jobs and content
+ * the user created) are kept without the personal details, so hiring records,
+ * foreign keys and aggregate statistics survive.
+ */
+const anonymizeStatements = (userId, email, erasedEmail) => [
+  {
+    table: 'users',
+    sql: `UPDATE users
+          SET email = ?, password = NULL, password_changed_at = NULL,
+              first_name = 'Erased', last_name = 'User', phone = NULL,
+              profile_picture = NULL, resume_url = NULL, bio = NULL, location = NULL,
+              website = NULL, linkedin_url = NULL, github_url = NULL, profile_visibility = NULL,
+              email_verified = false, is_active = false, last_login = NULL,
+              erased_at = NOW(), updated_at = NOW()
+          WHERE id = ?`,
+    values: [erasedEmail, userId]
+  },
+  {
+    table: 'candidates',
+    sql: `UPDATE candidates
+          SET headline = NULL, resume_url = NULL, cover_letter = NULL, portfolio_url = NULL,
+              linkedin_url = NULL, github_url = NULL, current_position = NULL, current_company = NULL,
+              expected_salary = NULL, availability_date = NULL, preferred_locations = NULL,
+              resume_text = NULL, resume_parsed_at = NULL
+          WHERE user_id = ?`,
+    values: [userId]
+  },
+  {
+    table: 'work_experiences',
+    sql: 'DELETE FROM work_experiences WHERE candidate_id IN (SELECT id FROM candidates WHERE user_id = ?)',
+    values: [userId]
+  },
+  {
+    table: 'educations',
+    sql: 'DELETE FROM educations WHERE candidate_id IN (SELECT id FROM candidates WHERE user_id = ?)',
+    values: [userId]
+  },
+  {
+    table: 'job_applications',
+    sql: `UPDATE job_applications
+          SET cover_letter = NULL, resume_url = NULL, portfolio_url = NULL,
+              expected_salary = NULL, availability_date = NULL, additional_info = NULL
+          WHERE candidate_id = ?`,
+    values: [userId]
+  },
+  {
+    // Notes are free text written about the candidate
+    table: 'application_status_history',
+    sql: `UPDATE application_status_history SET notes = NULL
+          WHERE application_id IN (SELECT id FROM job_applications WHERE candidate_id = ?)`,
+    values: [userId]
+  },
+  {
+    table: 'project_files',
+    sql: 'DELETE FROM project_files WHERE uploaded_by = ?',
+    values: [userId]
+  },
+  {
+    table: 'login_attempts',
+    sql: 'DELETE FROM login_attempts WHERE user_id = ? OR email = ?',
+    values: [userId, email]
+  },
+  {
+    table: 'company_invitations',
+    sql: 'UPDATE company_invitations SET email = ? WHERE email = ?',
+    values: [erasedEmail, email]
+  },
+  {
+    table: 'data_exports',
+    sql: 'DELETE FROM data_exports WHERE user_id = ?',
+    values: [userId]
+  },
+  ...DELETED_BY_USER.map(table => ({
+    table,
+    sql: `DELETE FROM ${table} WHERE user_id = ?`,
+    values: [userId]
+  }))
+];
+
+class DataErasure {
+  /**
+   * Erase a user's personal data
+   * The account is anonymized and deactivated instead of deleted, its uploaded
+   * files are removed from disk and the erasure is recorded in data_erasures.
+   * @param {number} userId - User to erase
+   * @param {Object} options - { erasedBy, reason }
+   * @returns {Promise<Object>} The audit record
+   */
+  static async erase(userId, options = {}) {
+    const { erasedBy = null, reason = null } = options;
+
+    const [user] = await database.query(
+      'SELECT u.*, r.name as role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?',
+      [userId]
+    );
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.erased_at) {
+      throw new ConflictError('This user has already been erased');
+    }
+    if (user.role === 'admin') {
+      throw new ValidationError('Administrators cannot be erased. Change their role first.');
+    }
+
+    const files = await this.findUploadedFiles(user);
+    const erasedEmail = `erased-${userId}@erased.invalid`;
+
+    const erasureId = await database.transaction(async (connection) => {
+      const recordsAnonymized = {};
+
+      for (const statement of anonymizeStatements(userId, user.email, erasedEmail)) {
+        const [result] = await connection.execute(statement.sql, statement.values);
+        if (result.affectedRows > 0) {
+          recordsAnonymized[statement.table] = result.affectedRows;
+        }
+      }
+
+      const [insert] = await connection.execute(
+        `INSERT INTO data_erasures (user_id, erased_by, reason, records_anonymized, files_deleted, created_at)
+         VALUES (?, ?, ?, ?, 0, NOW())`,
+        [userId, erasedBy, reason, JSON.stringify(recordsAnonymized)]
+      );
+
+      return insert.insertId;
+    });
+
+    // Files go only once the transaction has committed, so a rollback never loses them
+    let filesDeleted = 0;
+    files.forEach(filePath => {
+      try {
+        fs.rmSync(filePath, { force: true });
+        filesDeleted++;
+      } catch (error) {
+        logger.logError('Failed to delete erased user file', error, { userId, filePath });
+      }
+    });
+
+    await database.update('data_erasures', { files_deleted: filesDeleted }, { id: erasureId });
+
+    logger.logSecurityEvent('user_erased', { userId, erasureId, erasedBy, filesDeleted });
+
+    return await this.findById(erasureId);
+  }
+
+  /**
+   * Files on disk uploaded by or about the user: profile picture, resumes and project files
+   * Data export archives are included; they hold a copy of everything.
+   */
+  static async findUploadedFiles(user) {
+    const urls = [user.profile_picture, user.resume_url];
+
+    const candidates = await database.query('SELECT resume_url FROM candidates WHERE user_id = ?', [user.id]);
+    const applications = await database.query('SELECT resume_url FROM job_applications WHERE candidate_id = ?', [user.id]);
+    const projectFiles = await database.query('SELECT file_url FROM project_files WHERE uploaded_by = ?', [user.id]);
+
+    candidates.forEach(row => urls.push(row.resume_url));
+    applications.forEach(row => urls.push(row.resume_url));
+    projectFiles.forEach(row => urls.push(row.file_url));
+
+    const files = urls.map(resolveUploadPath).filter(Boolean);
+
+    const exports = await database.query(
+      'SELECT file_path FROM data_exports WHERE user_id = ? AND file_path IS NOT NULL',
+      [user.id]
+    );
+    exports.forEach(row => files.push(row.file_path));
+
+    return [...new Set(files)];
+  }
+
+  static async findById(id) {
+    const erasure = await database.findById('data_erasures', id);
+    if (!erasure) {
+      throw new NotFoundError('Erasure record not found');
+    }
+
+    return this.formatErasure(erasure);
+  }
+
+  /**
+   * The audit trail, newest first (Admin)
+   */
+  static async findAll(options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const offset = (page - 1) * limit;
+
+    const erasures = await database.query(
+      `SELECT de.*, a.first_name as erased_by_first_name, a.last_name as erased_by_last_name
+       FROM data_erasures de
+       LEFT JOIN users a ON de.erased_by = a.id
+       ORDER BY de.created_at DESC, de.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+    );
+    const [{ total }] = await database.query('SELECT COUNT(*) as total FROM data_erasures');
+
+    return {
+      erasures: erasures.map(erasure => this.formatErasure(erasure)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static formatErasure(erasure) {
+    if (!erasure) return null;
+
+    return {
+      id: erasure.id,
+      userId: erasure.user_id,
+      erasedBy: erasure.erased_by,
+      erasedByName: [erasure.erased_by_first_name, erasure.erased_by_last_name].filter(Boolean).join(' ') || null,
+      selfService: erasure.erased_by === erasure.user_id,
+      reason: erasure.reason,
+      recordsAnonymized: typeof erasure.records_anonymized === 'string'
+        ? JSON.parse(erasure.records_anonymized)
+        : erasure.records_anonymized,
+      filesDeleted: erasure.files_deleted,
+      createdAt: erasure.created_at
+    };
+  }
+}
+
+module.exports = DataErasure;
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendDataExportEmail } = require('../utils/mailer');
+const { resolveUploadPath } = require('../utils/files');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Exports stay out of the statically served uploads directory
+const settings = () => ({
+  directory: process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports'),
+  expiresHours: parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48
+});
+
+const README = `This archive contains the personal data SignInSoft holds about you.
+
+account.json            Your account and profile
+candidate-profile.json  Your candidate profile, skills, work experience and education
+applications.json       Your job applications and how their status changed
+files.json              Files you uploaded; the files themselves are in files/
+events.json             Calendar events you organised or were invited to
+notifications.json      Notifications sent to you
+sessions.json           Devices and browsers you signed in from
+
+Dates are in UTC.
+`;
+
+const writeArchive = (filePath, build) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    build(archive);
+    archive.finalize();
+  });
+};
+
+class DataExport {
+  /**
+   * Start exporting a user's personal data
+   * The ZIP is built in the background and its download link emailed when ready.
+   * @param {number} userId - User whose data is exported
+   * @returns {Promise<Object>} The pending export
+   */
+  static async request(userId) {
+    const open = await database.query(
+      `SELECT id FROM data_exports WHERE user_id = ? AND status IN ('pending', 'processing')`,
+      [userId]
+    );
+    if (open.length > 0) {
+      throw new ConflictError('Your data export is already being prepared. We will email you when it is ready.');
+    }
+
+    const exportId = await database.insert('data_exports', {
+      user_id: userId,
+      status: 'pending',
+      created_at: new Date()
+    });
+
+    logger.logSecurityEvent('data_export_requested', { exportId, userId });
+
+    setImmediate(() => {
+      this.generate(exportId).catch(error => {
+        logger.logError('Data export failed', error, { exportId, userId });
+      });
+    });
+
+    return await this.findById(exportId, userId);
+  }
+
+  /**
+   * Build the ZIP for a pending export and email its download link
+   * Failures are recorded on the export so the user can request a new one.
+   */
+  static async generate(id) {
+    const claimed = await database.query(
+      `UPDATE data_exports SET status = 'processing' WHERE id = ? AND status = 'pending'`,
+      [id]
+    );
+    if (claimed.affectedRows === 0) {
+      return;
+    }
+
+    const dataExport = await database.findById('data_exports', id);
+    const { directory, expiresHours } = settings();
+    const filePath = path.join(directory, `data-export-${dataExport.user_id}-${id}-${Date.now()}.zip`);
+
+    try {
+      const data = await this.collect(dataExport.user_id);
+
+      fs.mkdirSync(directory, { recursive: true });
+      const fileSize = await writeArchive(filePath, (archive) => {
+        archive.append(README, { name: 'README.txt' });
+
+        Object.keys(data.documents).forEach(name => {
+          archive.append(JSON.stringify(data.documents[name], null, 2), { name: `${name}.json` });
+        });
+
+        data.files.forEach(file => archive.file(file.path, { name: `files/${file.name}` }));
+      });
+
+      const token = generateToken(32);
+      const expiresAt = new Date(Date.now() + expiresHours * 60 * 60 * 1000);
+
+      await database.update('data_exports', {
+        status: 'ready',
+        token: hashToken(token),
+        file_path: filePath,
+        file_size: fileSize,
+        expires_at: expiresAt,
+        completed_at: new Date()
+      }, { id });
+
+      logger.logFileOperation('Data export created', path.basename(filePath), {
+        exportId: id,
+        userId: dataExport.user_id,
+        fileSize
+      });
+
+      const user = data.documents.account;
+      await sendDataExportEmail({ email: user.email, firstName: user.first_name }, token, expiresAt);
+    } catch (error) {
+      fs.rmSync(filePath, { force: true });
+      await database.update('data_exports', {
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date()
+      }, { id });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Everything stored about a user, as the documents and files of the archive
+   * Password hashes and session tokens are left out.
+   * @returns {Promise<Object>} { documents, files } with files as { name, path }
+   */
+  static async collect(userId) {
+    const user = await database.findById('users', userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const account = { ...user };
+    delete account.password;
+
+    const candidate = await database.findOne('candidates', { user_id: userId });
+    let candidateProfile = null;
+    if (candidate) {
+      candidateProfile = {
+        ...candidate,
+        skills: await database.query(
+          `SELECT s.name, cs.proficiency_level, cs.years_experience
+           FROM candidate_skills cs
+           JOIN skills s ON cs.skill_id = s.id
+           WHERE cs.candidate_id = ?`,
+          [candidate.id]
+        ),
+        workExperiences: await database.query('SELECT * FROM work_experiences WHERE candidate_id = ? ORDER BY start_date', [candidate.id]),
+        educations: await database.query('SELECT * FROM educations WHERE candidate_id = ? ORDER BY start_date', [candidate.id])
+      };
+    }
+
+    const applications = await database.query(
+      `SELECT ja.*, j.title as job_title, c.name as company_name
+       FROM job_applications ja
+       JOIN jobs j ON ja.job_id = j.id
+       LEFT JOIN companies c ON j.company_id = c.id
+       WHERE ja.candidate_id = ?
+       ORDER BY ja.applied_at`,
+      [userId]
+    );
+    for (const application of applications) {
+      application.status_history = await database.query(
+        'SELECT status, notes, created_at FROM application_status_history WHERE application_id = ? ORDER BY created_at',
+        [application.id]
+      );
+    }
+
+    const projectFiles = await database.query(
+      `SELECT pf.id, pf.project_id, p.name as project_name, pf.original_name, pf.file_url, pf.file_size, pf.mime_type, pf.uploaded_at
+       FROM project_files pf
+       LEFT JOIN projects p ON pf.project_id = p.id
+       WHERE pf.uploaded_by = ?
+       ORDER BY pf.uploaded_at`,
+      [userId]
+    );
+
+    const events = await database.query(
+      `SELECT e.*, e.organizer_id = ? as is_organizer
+       FROM calendar_events e
+       WHERE e.organizer_id = ?
+          OR EXISTS (SELECT 1 FROM event_attendees ea WHERE ea.event_id = e.id AND ea.user_id = ?)
+       ORDER BY e.start_time`,
+      [userId, userId, userId]
+    );
+
+    const notifications = await database.query(
+      'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at',
+      [userId]
+    );
+
+    const sessions = await database.query(
+      `SELECT id, ip_address, user_agent, created_at, expires_at, rotated_at, revoked_at
+       FROM user_sessions WHERE user_id = ? ORDER BY created_at`,
+      [userId]
+    );
+
+    // Profile picture, resume and project files that are still on disk
+    const uploads = [
+      { kind: 'profile_picture', original_name: 'profile-picture', file_url: account.profile_picture },
+      { kind: 'resume', original_name: 'resume', file_url: account.resume_url },
+      ...projectFiles.map(file => ({ kind: 'project_file', ...file }))
+    ].filter(upload => upload.file_url);
+
+    const files = [];
+    uploads.forEach((upload, index) => {
+      const filePath = resolveUploadPath(upload.file_url);
+      upload.archive_path = null;
+
+      if (filePath) {
+        const name = `${index + 1}-${path.basename(upload.original_name, path.extname(upload.original_name))}${path.extname(filePath)}`
+          .replace(/[^a-zA-Z0-9._-]/g, '_');
+        upload.archive_path = `files/${name}`;
+        files.push({ name, path: filePath });
+      }
+    });
+
+    return {
+      documents: {
+        account,
+        'candidate-profile': candidateProfile,
+        applications,
+        files: uploads,
+        events,
+        notifications,
+        sessions
+      },
+      files
+    };
+  }
+
+  /**
+   * @param {number} id - Export id
+   * @param {number} userId - Exports of other users are not found
+   */
+  static async findById(id, userId) {
+    const dataExport = await database.findOne('data_exports', { id, user_id: userId });
+    if (!dataExport) {
+      throw new NotFoundError('Data export not found');
+    }
+
+    return this.formatExport(dataExport);
+  }
+
+  static async findByUser(userId) {
+    const exports = await database.query(
+      'SELECT * FROM data_exports WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 10',
+      [userId]
+    );
+
+    return exports.map(dataExport => this.formatExport(dataExport));
+  }
+
+  /**
+   * Find the ZIP behind an emailed download link and record the download
+   * @returns {Promise<Object>} { filePath, filename }
+   */
+  static async resolveDownload(token) {
+    const dataExport = await database.findOne('data_exports', { token: hashToken(token) });
+
+    if (!dataExport || dataExport.status !== 'ready' || new Date(dataExport.expires_at) <= new Date() ||
+        !fs.existsSync(dataExport.file_path)) {
+      throw new ValidationError('Invalid or expired download link');
+    }
+
+    await database.query(
+      'UPDATE data_exports SET downloaded_at = NOW(), download_count = download_count + 1 WHERE id = ?',
+      [dataExport.id]
+    );
+
+    logger.logSecurityEvent('data_export_downloaded', { exportId: dataExport.id, userId: dataExport.user_id });
+
+    const createdOn = new Date(dataExport.completed_at).toISOString().slice(0, 10);
+    return { filePath: dataExport.file_path, filename: `signinsoft-data-export-${createdOn}.zip` };
+  }
+
+  /**
+   * Delete the ZIPs of expired exports and fail exports a restart left unfinished
+   * Run on a schedule from server.js.
+   */
+  static async purgeExpired() {
+    const expired = await database.query(
+      `SELECT id, file_path FROM data_exports WHERE status = 'ready' AND expires_at <= NOW()`
+    );
+
+    for (const dataExport of expired) {
+      fs.rmSync(dataExport.file_path, { force: true });
+      await database.update('data_exports', { status: 'expired', token: null, file_path: null }, { id: dataExport.id });
+    }
+
+    await database.query(
+      `UPDATE data_exports SET status = 'failed', error_message = 'Export was interrupted', completed_at = NOW()
+       WHERE status IN ('pending', 'processing') AND created_at < DATE_SUB(NOW(), INTERVAL 1 HOUR)`
+    );
+
+    if (expired.length > 0) {
+      logger.logFileOperation('Expired data exports deleted', null, { count: expired.length });
+    }
+
+    return expired.length;
+  }
+
+  static formatExport(dataExport) {
+    if (!dataExport) return null;
+
+    let status = dataExport.status;
+    if (status === 'ready' && new Date(dataExport.expires_at) <= new Date()) {
+      status = 'expired';
+    }
+
+    return {
+      id: dataExport.id,
+      status,
+      fileSize: dataExport.file_size,
+      expiresAt: dataExport.expires_at,
+      completedAt: dataExport.completed_at,
+      downloadedAt: dataExport.downloaded_at,
+      downloadCount: dataExport.download_count,
+      createdAt: dataExport.created_at
+    };
+  }
+}
+
+module.exports = DataExport;
@@ -0,0 +1,67 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const User = require('./User');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError } = require('../middleware/errorHandler');
+
+class EmailVerification {
+  /**
+   * Issue a verification token for a user
+   * Any earlier unused tokens are discarded so only the latest link works.
+   * Returns the raw token; only its hash is stored.
+   */
+  static async create(userId) {
+    const token = generateToken(32);
+    const ttl = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES) || 24 * 60 * 60 * 1000;
+
+    try {
+      await database.query(
+        'DELETE FROM email_verifications WHERE user_id = ? AND verified = false',
+        [userId]
+      );
+
+      await database.insert('email_verifications', {
+        user_id: userId,
+        token: hashToken(token),
+        expires_at: new Date(Date.now() + ttl),
+        verified: false,
+        created_at: new Date()
+      });
+
+      logger.logAuth('Email verification token created', { userId });
+      return token;
+    } catch (error) {
+      logger.logAuth('Failed to create email verification token', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Consume a verification token and mark the user's email as verified
+   * @returns {Promise<number>} The verified user's id
+   */
+  static async verify(token) {
+    const verification = await database.findOne('email_verifications', {
+      token: hashToken(token)
+    });
+
+    if (!verification || verification.verified || new Date(verification.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    const affectedRows = await database.update('email_verifications',
+      { verified: true },
+      { id: verification.id, verified: false }
+    );
+
+    if (affectedRows === 0) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    await User.verifyEmail(verification.user_id);
+
+    return verification.user_id;
+  }
+}
+
+module.exports = EmailVerification;
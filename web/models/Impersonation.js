@@ -0,0 +1,144 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const User = require('./User');
+const logger = require('../utils/logger');
+const { signAccessToken } = require('../utils/tokens');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+
+const settings = () => ({
+  // Impersonation tokens cannot be refreshed; the admin starts a new session when this runs out
+  expiresMinutes: parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 30
+});
+
+class Impersonation {
+  /**
+   * Let an admin act as another user
+   * Returns an access token for the target user that also names the admin.
+   * Admin accounts cannot be impersonated, so impersonation never grants
+   * more access than the admin already has.
+   * @param {Object} admin - The signed-in admin (req.user)
+   * @param {number} userId - User to impersonate
+   * @param {Object} meta - { reason, ipAddress, userAgent }
+   * @returns {Promise<Object>} { token, expiresAt, impersonation }
+   */
+  static async start(admin, userId, meta = {}) {
+    if (admin.id === userId) {
+      throw new ValidationError('You cannot impersonate yourself');
+    }
+
+    const user = await User.findById(userId);
+
+    if (user.role === 'admin') {
+      throw new AuthorizationError('Administrators cannot be impersonated');
+    }
+    if (!user.isActive) {
+      throw new ValidationError('Deactivated users cannot be impersonated');
+    }
+
+    const sessionToken = uuidv4();
+    const expiresAt = new Date(Date.now() + settings().expiresMinutes * 60 * 1000);
+
+    const impersonationId = await database.insert('impersonation_sessions', {
+      session_token: sessionToken,
+      impersonator_id: admin.id,
+      user_id: user.id,
+      reason: meta.reason,
+      ip_address: meta.ipAddress,
+      user_agent: meta.userAgent,
+      expires_at: expiresAt,
+      created_at: new Date()
+    });
+
+    const token = await signAccessToken(user, {
+      impersonation: { id: sessionToken, impersonatorId: admin.id },
+      expiresIn: settings().expiresMinutes * 60
+    });
+
+    logger.logSecurityEvent('impersonation_started', {
+      impersonationId,
+      impersonatorId: admin.id,
+      userId: user.id,
+      reason: meta.reason,
+      ip: meta.ipAddress,
+      expiresAt
+    });
+
+    const impersonation = await database.findById('impersonation_sessions', impersonationId);
+
+    return {
+      token,
+      expiresAt,
+      user,
+      impersonation: this.formatImpersonation(impersonation)
+    };
+  }
+
+  /**
+   * End an impersonation; its token stops working immediately
+   * @param {string} sessionToken - The token's `imp` claim
+   * @param {Object} meta - { ipAddress, reason }
+   * @returns {Promise<boolean>} false when it had already ended
+   */
+  static async stop(sessionToken, meta = {}) {
+    const session = await database.findOne('impersonation_sessions', { session_token: sessionToken });
+    if (!session) {
+      return false;
+    }
+
+    const result = await database.query(
+      'UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = ? AND ended_at IS NULL',
+      [session.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    logger.logSecurityEvent('impersonation_stopped', {
+      impersonationId: session.id,
+      impersonatorId: session.impersonator_id,
+      userId: session.user_id,
+      reason: meta.reason || 'manual',
+      ip: meta.ipAddress
+    });
+
+    return true;
+  }
+
+  /**
+   * Impersonation history of a user, newest first
+   */
+  static async findByUser(userId) {
+    const sessions = await database.query(
+      `SELECT s.*, u.email as impersonator_email
+       FROM impersonation_sessions s
+       JOIN users u ON s.impersonator_id = u.id
+       WHERE s.user_id = ?
+       ORDER BY s.created_at DESC, s.id DESC`,
+      [userId]
+    );
+
+    return sessions.map(session => this.formatImpersonation(session));
+  }
+
+  static formatImpersonation(session) {
+    if (!session) return null;
+
+    const isExpired = new Date(session.expires_at) <= new Date();
+
+    return {
+      id: session.id,
+      impersonatorId: session.impersonator_id,
+      impersonatorEmail: session.impersonator_email,
+      userId: session.user_id,
+      reason: session.reason,
+      ipAddress: session.ip_address,
+      status: session.ended_at ? 'ended' : isExpired ? 'expired' : 'active',
+      expiresAt: session.expires_at,
+      endedAt: session.ended_at,
+      createdAt: session.created_at
+    };
+  }
+}
+
+module.exports = Impersonation;
@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
+const { accessCondition } = require('../utils/policies');
 const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 class Job {
@@ -103,7 +104,8 @@ class Job {
       status = 'active',
       skills,
       sortBy = 'created_at',
-      sortOrder = 'DESC'
+      sortOrder = 'DESC',
+      viewer
     } = options;
     
     const offset = (page - 1) * limit;
@@ -182,6 +184,13 @@ class Job {
       values.push(...skills);
     }
     
+    // Only rows the viewer (req.user) may read, when listing for a signed-in user
+    if (viewer) {
+      const access = accessCondition(viewer, 'job', 'read', 'j');
+      whereConditions.push(access.sql);
+      values.push(...access.values);
+    }
+    
     if (whereConditions.length > 0) {
       sql += ` WHERE ${whereConditions.join(' AND ')}`;
     }
@@ -319,7 +328,7 @@ class Job {
   
   static async getJobSkills(jobId) {
     const sql = `
-      SELECT s.id, s.name, s.category
+      SELECT s.id, s.name, s.category, js.required_level, js.is_required
       FROM job_skills js
       JOIN skills s ON js.skill_id = s.id
       WHERE js.job_id = ?
@@ -436,6 +445,7 @@ class Job {
       jobType: job.job_type,
       salaryMin: job.salary_min,
       salaryMax: job.salary_max,
+      currency: job.currency,
       experienceLevel: job.experience_level,
       skills: job.skills || [],
       benefits: job.benefits,
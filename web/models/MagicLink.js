@@ -0,0 +1,83 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Roles allowed to sign in with an emailed link (MAGIC_LINK_ROLES, comma separated)
+ * Defaults to candidates only; an empty value turns magic links off. Custom
+ * roles follow the built-in role they are based on.
+ */
+const getEnabledRoles = () => {
+  const roles = process.env.MAGIC_LINK_ROLES !== undefined ? process.env.MAGIC_LINK_ROLES : 'candidate';
+
+  return roles.split(',').map(role => role.trim()).filter(Boolean);
+};
+
+class MagicLink {
+  static isEnabledFor(user) {
+    const roles = getEnabledRoles();
+    return roles.includes(user.role) || roles.includes(user.baseRole);
+  }
+
+  /**
+   * Issue a single-use sign-in token for a user
+   * Outstanding links for the same user are invalidated so only the latest one works.
+   * Returns the raw token; only its hash is stored.
+   */
+  static async create(userId, meta = {}) {
+    const token = generateToken(32);
+    const ttl = parseInt(process.env.MAGIC_LINK_EXPIRES) || 15 * 60 * 1000;
+
+    try {
+      await database.query(
+        'UPDATE magic_link_tokens SET used = true WHERE user_id = ? AND used = false',
+        [userId]
+      );
+
+      await database.insert('magic_link_tokens', {
+        user_id: userId,
+        token: hashToken(token),
+        expires_at: new Date(Date.now() + ttl),
+        used: false,
+        ip_address: meta.ipAddress,
+        created_at: new Date()
+      });
+
+      logger.logAuth('Magic link token created', { userId });
+      return token;
+    } catch (error) {
+      logger.logAuth('Failed to create magic link token', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a sign-in token as used
+   * The conditional update makes consumption atomic, so a link cannot be
+   * redeemed twice by concurrent requests.
+   * @returns {Promise<number>} The id of the user the token belongs to
+   */
+  static async consume(token) {
+    const link = await database.findOne('magic_link_tokens', {
+      token: hashToken(token)
+    });
+
+    if (!link || link.used || new Date(link.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired sign-in link');
+    }
+
+    const affectedRows = await database.update('magic_link_tokens',
+      { used: true },
+      { id: link.id, used: false }
+    );
+
+    if (affectedRows === 0) {
+      throw new ValidationError('Invalid or expired sign-in link');
+    }
+
+    return link.user_id;
+  }
+}
+
+module.exports = MagicLink;
@@ -0,0 +1,45 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../utils/logger', () => ({}));
+
+const MagicLink = require('./MagicLink');
+
+describe('MagicLink', () => {
+  describe('isEnabledFor', () => {
+    const saved = process.env.MAGIC_LINK_ROLES;
+
+    afterEach(() => {
+      if (saved === undefined) {
+        delete process.env.MAGIC_LINK_ROLES;
+      } else {
+        process.env.MAGIC_LINK_ROLES = saved;
+      }
+    });
+
+    it('is enabled for candidates by default', () => {
+      delete process.env.MAGIC_LINK_ROLES;
+
+      expect(MagicLink.isEnabledFor({ role: 'candidate', baseRole: 'candidate' })).toBe(true);
+      expect(MagicLink.isEnabledFor({ role: 'hr', baseRole: 'hr' })).toBe(false);
+    });
+
+    it('follows the built-in role a custom role is based on', () => {
+      delete process.env.MAGIC_LINK_ROLES;
+
+      expect(MagicLink.isEnabledFor({ role: 'graduate', baseRole: 'candidate' })).toBe(true);
+      expect(MagicLink.isEnabledFor({ role: 'recruiter', baseRole: 'hr' })).toBe(false);
+    });
+
+    it('can be enabled for a single custom role', () => {
+      process.env.MAGIC_LINK_ROLES = 'recruiter';
+
+      expect(MagicLink.isEnabledFor({ role: 'recruiter', baseRole: 'hr' })).toBe(true);
+      expect(MagicLink.isEnabledFor({ role: 'candidate', baseRole: 'candidate' })).toBe(false);
+    });
+
+    it('is off when no roles are configured', () => {
+      process.env.MAGIC_LINK_ROLES = '';
+
+      expect(MagicLink.isEnabledFor({ role: 'candidate', baseRole: 'candidate' })).toBe(false);
+    });
+  });
+});
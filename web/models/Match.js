@@ -0,0 +1,183 @@
+const database = require('../config/database');
+const Job = require('./Job');
+const Candidate = require('./Candidate');
+const { scoreMatch } = require('../utils/matchScoring');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Most recent active jobs considered when ranking jobs for a candidate;
+// older ones are not ranked, which the pagination reports as truncated
+const MAX_JOBS_SCORED = 500;
+
+// Highest score first; unscored last; ties keep the given order
+const byScore = (a, b) => (b.match.score ?? -1) - (a.match.score ?? -1);
+
+const paginate = (items, page, limit) => ({
+  items: items.slice((page - 1) * limit, page * limit),
+  pagination: {
+    page,
+    limit,
+    total: items.length,
+    pages: Math.ceil(items.length / limit)
+  }
+});
+
+class Match {
+  /**
+   * A job's applicants ranked by how well they fit it
+   * Withdrawn applications are left out unless a status is asked for.
+   * @param {number} jobId - Job to rank applicants for
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { applicants, pagination }, each applicant with match { score, components }
+   */
+  static async rankApplicants(jobId, options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const job = await Job.findById(jobId);
+
+    const applications = await database.query(
+      `SELECT ja.id as application_id, ja.status as application_status, ja.applied_at,
+              ja.expected_salary as application_expected_salary,
+              ja.candidate_id as user_id, c.id, c.headline, c.current_position, c.experience_years,
+              c.expected_salary, c.currency, c.willing_to_relocate, c.preferred_locations,
+              u.first_name, u.last_name, u.email, u.phone, u.profile_picture, u.location
+       FROM job_applications ja
+       JOIN users u ON ja.candidate_id = u.id
+       LEFT JOIN candidates c ON c.user_id = ja.candidate_id
+       WHERE ja.job_id = ? AND ${status ? 'ja.status = ?' : 'ja.status != \'withdrawn\''}
+       ORDER BY ja.applied_at ASC`,
+      status ? [jobId, status] : [jobId]
+    );
+
+    const skills = await this.getSkillsByCandidate(applications.map(application => application.id).filter(Boolean));
+
+    const applicants = applications.map(application => {
+      const candidate = Candidate.formatCandidate({ ...application, skills: skills.get(application.id) || [] });
+
+      // The salary asked for in the application wins over the one on the profile
+      if (application.application_expected_salary !== null) {
+        candidate.expectedSalary = application.application_expected_salary;
+      }
+
+      return {
+        applicationId: application.application_id,
+        status: application.application_status,
+        appliedAt: application.applied_at,
+        candidate: {
+          userId: candidate.userId,
+          fullName: candidate.fullName,
+          email: candidate.email,
+          profilePicture: candidate.profilePicture,
+          headline: candidate.headline,
+          currentPosition: candidate.currentPosition,
+          location: candidate.location
+        },
+        match: scoreMatch(job, candidate)
+      };
+    });
+
+    const { items, pagination } = paginate(applicants.sort(byScore), page, limit);
+
+    return { applicants: items, pagination };
+  }
+
+  /**
+   * Open jobs ranked by how well the candidate fits them
+   * Only the MAX_JOBS_SCORED most recent open jobs are scored.
+   * @param {number} userId - The candidate's user id
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { jobs, pagination }, each job with match { score, components };
+   *   pagination.truncated is true when older open jobs were left out
+   */
+  static async rankJobs(userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    const candidate = await Candidate.findByUserId(userId);
+    if (!candidate) {
+      throw new NotFoundError('Create your candidate profile first');
+    }
+
+    const jobs = await database.query(
+      `SELECT j.*, c.name as company_name, c.logo as company_logo,
+              EXISTS (SELECT 1 FROM job_applications ja WHERE ja.job_id = j.id AND ja.candidate_id = ?) as has_applied
+       FROM jobs j
+       LEFT JOIN companies c ON j.company_id = c.id
+       WHERE j.status = 'active' AND (j.application_deadline IS NULL OR j.application_deadline >= CURDATE())
+       ORDER BY j.created_at DESC
+       LIMIT ${MAX_JOBS_SCORED + 1}`,
+      [userId]
+    );
+
+    const truncated = jobs.length > MAX_JOBS_SCORED;
+    if (truncated) {
+      jobs.pop();
+    }
+
+    const skills = await this.getSkillsByJob(jobs.map(job => job.id));
+
+    const ranked = jobs.map(row => {
+      const job = Job.formatJob({ ...row, skills: skills.get(row.id) || [] });
+
+      return {
+        ...job,
+        hasApplied: Boolean(row.has_applied),
+        match: scoreMatch(job, candidate)
+      };
+    });
+
+    const { items, pagination } = paginate(ranked.sort(byScore), page, limit);
+
+    return {
+      jobs: items,
+      pagination: { ...pagination, scoredLimit: MAX_JOBS_SCORED, truncated }
+    };
+  }
+
+  /**
+   * Skills of several candidates, keyed by candidate id
+   */
+  static async getSkillsByCandidate(candidateIds) {
+    const skills = new Map();
+    if (candidateIds.length === 0) {
+      return skills;
+    }
+
+    const rows = await database.query(
+      `SELECT cs.candidate_id, s.id, s.name, s.category, cs.proficiency_level, cs.years_experience
+       FROM candidate_skills cs
+       JOIN skills s ON cs.skill_id = s.id
+       WHERE cs.candidate_id IN (${candidateIds.map(() => '?').join(',')})`,
+      candidateIds
+    );
+
+    rows.forEach(({ candidate_id: candidateId, ...skill }) => {
+      skills.set(candidateId, [...(skills.get(candidateId) || []), skill]);
+    });
+
+    return skills;
+  }
+
+  /**
+   * Skills of several jobs with their required level, keyed by job id
+   */
+  static async getSkillsByJob(jobIds) {
+    const skills = new Map();
+    if (jobIds.length === 0) {
+      return skills;
+    }
+
+    const rows = await database.query(
+      `SELECT js.job_id, s.id, s.name, s.category, js.required_level, js.is_required
+       FROM job_skills js
+       JOIN skills s ON js.skill_id = s.id
+       WHERE js.job_id IN (${jobIds.map(() => '?').join(',')})`,
+      jobIds
+    );
+
+    rows.forEach(({ job_id: jobId, ...skill }) => {
+      skills.set(jobId, [...(skills.get(jobId) || []), skill]);
+    });
+
+    return skills;
+  }
+}
+
+module.exports = Match;
@@ -0,0 +1,46 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/logger', () => ({}));
+jest.mock('pdf-parse', () => jest.fn());
+
+const database = require('../config/database');
+const Candidate = require('./Candidate');
+const Match = require('./Match');
+
+const openJobs = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  title: `Job ${index + 1}`,
+  status: 'active',
+  has_applied: 0
+}));
+
+describe('Match', () => {
+  describe('rankJobs', () => {
+    beforeEach(() => {
+      jest.spyOn(Candidate, 'findByUserId').mockResolvedValue({ userId: 7, skills: [] });
+      jest.spyOn(Match, 'getSkillsByJob').mockResolvedValue(new Map());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      database.query.mockReset();
+    });
+
+    it('pages through every open job when there are few enough to score', async () => {
+      database.query.mockResolvedValue(openJobs(12));
+
+      const { jobs, pagination } = await Match.rankJobs(7, { page: 2, limit: 10 });
+
+      expect(jobs).toHaveLength(2);
+      expect(pagination).toEqual({ page: 2, limit: 10, total: 12, pages: 2, scoredLimit: 500, truncated: false });
+    });
+
+    it('reports when older open jobs were left unscored', async () => {
+      database.query.mockResolvedValue(openJobs(501));
+
+      const { pagination } = await Match.rankJobs(7, { page: 1, limit: 10 });
+
+      expect(database.query.mock.calls[0][0]).toContain('LIMIT 501');
+      expect(pagination).toMatchObject({ total: 500, pages: 50, scoredLimit: 500, truncated: true });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// OAuth and SSO redirects land in the browser moments before the frontend exchanges the code
+const CODE_TTL = 2 * 60 * 1000;
+
+class OAuthLoginCode {
+  /**
+   * Issue a single-use code the frontend exchanges for a session after an
+   * OAuth or single sign-on redirect
+   * Returns the raw code; only its hash is stored.
+   * @param {number} userId - User who signed in
+   * @param {Object} options - { provider, rememberMe }
+   */
+  static async create(userId, options = {}) {
+    const code = generateToken(32);
+
+    await database.insert('oauth_login_codes', {
+      user_id: userId,
+      code: hashToken(code),
+      provider: options.provider,
+      remember_me: Boolean(options.rememberMe),
+      expires_at: new Date(Date.now() + CODE_TTL),
+      used: false,
+      created_at: new Date()
+    });
+
+    return code;
+  }
+
+  /**
+   * Mark a code as used
+   * The conditional update makes consumption atomic, so a code cannot be
+   * exchanged twice by concurrent requests.
+   * @returns {Promise<Object>} { userId, provider, rememberMe }
+   */
+  static async consume(code) {
+    const row = await database.findOne('oauth_login_codes', {
+      code: hashToken(code)
+    });
+
+    if (!row || new Date(row.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired sign-in code');
+    }
+
+    const affectedRows = row.used
+      ? 0
+      : await database.update('oauth_login_codes', { used: true }, { id: row.id, used: false });
+
+    // A second exchange means the code leaked from the redirect
+    if (affectedRows === 0) {
+      logger.logSecurityEvent('oauth_code_replayed', { userId: row.user_id, provider: row.provider });
+      throw new ValidationError('Invalid or expired sign-in code');
+    }
+
+    return {
+      userId: row.user_id,
+      provider: row.provider,
+      rememberMe: Boolean(row.remember_me)
+    };
+  }
+}
+
+module.exports = OAuthLoginCode;
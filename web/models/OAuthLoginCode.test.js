@@ -0,0 +1,67 @@
+jest.mock('../config/database', () => ({ insert: jest.fn(), findOne: jest.fn(), update: jest.fn() }));
+jest.mock('../utils/logger', () => ({ logSecurityEvent: jest.fn() }));
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const OAuthLoginCode = require('./OAuthLoginCode');
+const { hashToken } = require('../utils/tokens');
+
+const row = (changes = {}) => ({
+  id: 4,
+  user_id: 7,
+  provider: 'google',
+  remember_me: 1,
+  used: 0,
+  expires_at: new Date(Date.now() + 60 * 1000),
+  ...changes
+});
+
+describe('OAuthLoginCode', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('stores only the hash of the code', async () => {
+    const code = await OAuthLoginCode.create(7, { provider: 'sso', rememberMe: true });
+
+    expect(database.insert).toHaveBeenCalledWith('oauth_login_codes', expect.objectContaining({
+      user_id: 7,
+      code: hashToken(code),
+      provider: 'sso',
+      remember_me: true,
+      used: false
+    }));
+  });
+
+  it('exchanges a code once', async () => {
+    database.findOne.mockResolvedValue(row());
+    database.update.mockResolvedValue(1);
+
+    await expect(OAuthLoginCode.consume('code')).resolves.toEqual({ userId: 7, provider: 'google', rememberMe: true });
+    expect(database.findOne).toHaveBeenCalledWith('oauth_login_codes', { code: hashToken('code') });
+    expect(database.update).toHaveBeenCalledWith('oauth_login_codes', { used: true }, { id: 4, used: false });
+  });
+
+  it('refuses and reports a used code', async () => {
+    database.findOne.mockResolvedValue(row({ used: 1 }));
+
+    await expect(OAuthLoginCode.consume('code')).rejects.toThrow('Invalid or expired sign-in code');
+    expect(database.update).not.toHaveBeenCalled();
+    expect(logger.logSecurityEvent).toHaveBeenCalledWith('oauth_code_replayed', { userId: 7, provider: 'google' });
+  });
+
+  it('refuses a code another request exchanged first', async () => {
+    database.findOne.mockResolvedValue(row());
+    database.update.mockResolvedValue(0);
+
+    await expect(OAuthLoginCode.consume('code')).rejects.toThrow('Invalid or expired sign-in code');
+  });
+
+  it('refuses unknown and expired codes', async () => {
+    database.findOne.mockResolvedValue(null);
+    await expect(OAuthLoginCode.consume('code')).rejects.toThrow('Invalid or expired sign-in code');
+
+    database.findOne.mockResolvedValue(row({ expires_at: new Date(Date.now() - 1000) }));
+    await expect(OAuthLoginCode.consume('code')).rejects.toThrow('Invalid or expired sign-in code');
+  });
+});
@@ -0,0 +1,207 @@
+const bcrypt = require('bcryptjs');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { isBreachedPassword } = require('../utils/breachedPasswords');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The policy is read on every password change; a short cache keeps that cheap
+// while admin changes still apply within a minute on every instance
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { policy: null, loadedAt: 0 };
+
+// Policy fields, the system_settings row each is stored in and its default
+const POLICY_SETTINGS = {
+  minLength: { key: 'password_min_length', defaultValue: 8, description: 'Minimum password length' },
+  requireLowercase: { key: 'password_require_lowercase', defaultValue: true, description: 'Passwords must contain a lowercase letter' },
+  requireUppercase: { key: 'password_require_uppercase', defaultValue: true, description: 'Passwords must contain an uppercase letter' },
+  requireNumber: { key: 'password_require_number', defaultValue: true, description: 'Passwords must contain a number' },
+  requireSymbol: { key: 'password_require_symbol', defaultValue: true, description: 'Passwords must contain a symbol' },
+  maxAgeDays: { key: 'password_max_age_days', defaultValue: 0, description: 'Days before a password must be changed (0 = never)' },
+  historyCount: { key: 'password_history_count', defaultValue: 5, description: 'Number of previous passwords that cannot be reused' },
+  blockBreached: { key: 'password_block_breached', defaultValue: true, description: 'Reject passwords found in the breached password list' }
+};
+
+const parseSetting = (value, defaultValue) => {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+
+  if (typeof defaultValue === 'boolean') {
+    return value === 'true';
+  }
+
+  const number = parseInt(value);
+  return Number.isNaN(number) ? defaultValue : number;
+};
+
+class PasswordPolicy {
+  /**
+   * The current policy, with defaults for settings that were never saved
+   */
+  static async getPolicy() {
+    if (cache.policy && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return cache.policy;
+    }
+
+    const fields = Object.keys(POLICY_SETTINGS);
+    const rows = await database.query(
+      `SELECT setting_key, setting_value FROM system_settings
+       WHERE setting_key IN (${fields.map(() => '?').join(', ')})`,
+      fields.map(field => POLICY_SETTINGS[field].key)
+    );
+
+    const values = {};
+    rows.forEach(row => { values[row.setting_key] = row.setting_value; });
+
+    const policy = {};
+    fields.forEach(field => {
+      const { key, defaultValue } = POLICY_SETTINGS[field];
+      policy[field] = parseSetting(values[key], defaultValue);
+    });
+
+    cache = { policy, loadedAt: Date.now() };
+    return policy;
+  }
+
+  /**
+   * Change some or all policy settings
+   * @param {Object} changes - Policy fields to update
+   * @param {number} updatedBy - Admin making the change
+   */
+  static async update(changes, updatedBy) {
+    const fields = Object.keys(changes).filter(field => POLICY_SETTINGS[field]);
+
+    await database.transaction(async (connection) => {
+      for (const field of fields) {
+        const { key, description } = POLICY_SETTINGS[field];
+
+        await connection.execute(
+          `INSERT INTO system_settings (setting_key, setting_value, description, updated_by)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+          [key, String(changes[field]), description, updatedBy]
+        );
+      }
+    });
+
+    cache = { policy: null, loadedAt: 0 };
+
+    logger.logSecurityEvent('password_policy_updated', { updatedBy, changes });
+    return await this.getPolicy();
+  }
+
+  /**
+   * List the ways a password breaks the policy
+   * @param {string} password - Candidate password
+   * @param {Object} policy - Policy from getPolicy()
+   * @returns {string[]} Empty when the password is acceptable
+   */
+  static check(password, policy) {
+    const problems = [];
+
+    if (password.length < policy.minLength) {
+      problems.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      problems.push('Password must contain at least one lowercase letter');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      problems.push('Password must contain at least one uppercase letter');
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+      problems.push('Password must contain at least one number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      problems.push('Password must contain at least one special character');
+    }
+    if (policy.blockBreached && isBreachedPassword(password)) {
+      problems.push('This password has appeared in a data breach and cannot be used');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Reject a new password that breaks the policy or was used recently
+   * @param {string} password - New password
+   * @param {number|null} userId - Owner, for the reuse check; null for new accounts
+   */
+  static async enforce(password, userId = null) {
+    const policy = await this.getPolicy();
+    const problems = this.check(password, policy);
+
+    if (problems.length === 0 && userId && await this.isReused(userId, password, policy)) {
+      problems.push(`Password cannot be one of your last ${policy.historyCount} passwords`);
+    }
+
+    if (problems.length > 0) {
+      throw new ValidationError(problems[0], problems.map(message => ({ field: 'password', message })));
+    }
+  }
+
+  static async isReused(userId, password, policy) {
+    if (policy.historyCount <= 0) {
+      return false;
+    }
+
+    const history = await database.query(
+      `SELECT password_hash FROM password_history
+       WHERE user_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${parseInt(policy.historyCount)}`,
+      [userId]
+    );
+
+    for (const entry of history) {
+      if (await bcrypt.compare(password, entry.password_hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remember a password hash for the reuse check
+   * Entries beyond the configured history length are pruned.
+   */
+  static async recordHistory(userId, passwordHash) {
+    const policy = await this.getPolicy();
+
+    await database.insert('password_history', {
+      user_id: userId,
+      password_hash: passwordHash,
+      created_at: new Date()
+    });
+
+    const keep = Math.max(policy.historyCount, 1);
+    await database.query(
+      `DELETE FROM password_history
+       WHERE user_id = ? AND id NOT IN (
+         SELECT id FROM (
+           SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ${keep}
+         ) recent
+       )`,
+      [userId, userId]
+    );
+  }
+
+  /**
+   * Whether a password is older than the policy's maximum age
+   * @param {Object} user - User with passwordChangedAt (or createdAt for accounts that predate tracking)
+   */
+  static async isExpired(user) {
+    const { maxAgeDays } = await this.getPolicy();
+    const changedAt = user.passwordChangedAt || user.createdAt;
+
+    if (maxAgeDays <= 0 || !changedAt) {
+      return false;
+    }
+
+    return Date.now() - new Date(changedAt).getTime() >= maxAgeDays * DAY_MS;
+  }
+}
+
+module.exports = PasswordPolicy;
@@ -0,0 +1,83 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ValidationError } = require('../middleware/errorHandler');
+
+class PasswordReset {
+  /**
+   * Issue a single-use reset token for a user
+   * Outstanding tokens for the same user are invalidated so only the latest link works.
+   * Returns the raw token; only its hash is stored.
+   * @param {number} userId
+   * @param {number} ttl - Link lifetime in ms, PASSWORD_RESET_EXPIRES by default
+   */
+  static async create(userId, ttl = parseInt(process.env.PASSWORD_RESET_EXPIRES) || 60 * 60 * 1000) {
+    const token = generateToken(32);
+
+    try {
+      await database.query(
+        'UPDATE password_resets SET used = true WHERE user_id = ? AND used = false',
+        [userId]
+      );
+
+      await database.insert('password_resets', {
+        user_id: userId,
+        token: hashToken(token),
+        expires_at: new Date(Date.now() + ttl),
+        used: false,
+        created_at: new Date()
+      });
+
+      logger.logAuth('Password reset token created', { userId });
+      return token;
+    } catch (error) {
+      logger.logAuth('Failed to create password reset token', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The user a valid, unused reset token belongs to, without using it
+   * @returns {Promise<number|null>}
+   */
+  static async findUserId(token) {
+    const reset = await database.findOne('password_resets', {
+      token: hashToken(token)
+    });
+
+    if (!reset || reset.used || new Date(reset.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return reset.user_id;
+  }
+
+  /**
+   * Mark a reset token as used
+   * The conditional update makes consumption atomic, so a token cannot be
+   * redeemed twice by concurrent requests.
+   * @returns {Promise<number>} The id of the user the token belongs to
+   */
+  static async consume(token) {
+    const reset = await database.findOne('password_resets', {
+      token: hashToken(token)
+    });
+
+    if (!reset || reset.used || new Date(reset.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    const affectedRows = await database.update('password_resets',
+      { used: true },
+      { id: reset.id, used: false }
+    );
+
+    if (affectedRows === 0) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    return reset.user_id;
+  }
+}
+
+module.exports = PasswordReset;
@@ -0,0 +1,171 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { resolvePermissions, groupPermissions } = require('../utils/permissions');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Custom roles pass the role checks of one of these, so e.g. a 'hiring_manager'
+// based on 'hr' can use HR routes while getting its own permission set
+const BASE_ROLES = ['hr', 'candidate'];
+
+class Role {
+  /**
+   * All roles with the number of users holding each
+   */
+  static async findAll() {
+    const roles = await database.query(
+      `SELECT r.*, COUNT(u.id) as user_count
+       FROM roles r
+       LEFT JOIN users u ON u.role_id = r.id
+       GROUP BY r.id
+       ORDER BY r.is_system DESC, r.name ASC`
+    );
+
+    return roles.map(role => this.formatRole(role));
+  }
+
+  static async findById(id) {
+    const role = await database.findById('roles', id);
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    return this.formatRole(role);
+  }
+
+  static async findByName(name) {
+    const role = await database.findOne('roles', { name });
+    return this.formatRole(role);
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} data - { name, description, baseRole, permissions }
+   * @param {number} createdBy - Admin creating the role
+   */
+  static async create(data, createdBy) {
+    const { name, description = null, baseRole = null, permissions } = data;
+
+    this.assertBaseRole(baseRole);
+
+    const existing = await database.findOne('roles', { name });
+    if (existing) {
+      throw new ConflictError('A role with this name already exists');
+    }
+
+    try {
+      const roleId = await database.insert('roles', {
+        name,
+        description,
+        base_role: baseRole,
+        permissions: JSON.stringify(groupPermissions(permissions)),
+        is_system: false,
+        created_at: new Date()
+      });
+
+      logger.logSecurityEvent('role_created', { roleId, name, baseRole, permissions, createdBy });
+
+      return await this.findById(roleId);
+    } catch (error) {
+      logger.logError('Failed to create role', error, { name });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a role's description, base role or permissions
+   * Role names are fixed because invitations, SSO mappings and API clients refer to roles by name.
+   * @param {number} id - Role id
+   * @param {Object} changes - { description, baseRole, permissions }
+   * @param {number} updatedBy - Admin making the change
+   */
+  static async update(id, changes, updatedBy) {
+    const role = await this.findById(id);
+    const { description, baseRole, permissions } = changes;
+
+    if (role.name === 'admin' && permissions !== undefined) {
+      throw new ValidationError('Administrator permissions cannot be changed');
+    }
+    if (role.isSystem && baseRole !== undefined) {
+      throw new ValidationError('Built-in roles cannot have a base role');
+    }
+    if (baseRole !== undefined) {
+      this.assertBaseRole(baseRole);
+    }
+
+    const updateFields = {
+      updated_at: new Date()
+    };
+
+    if (description !== undefined) updateFields.description = description;
+    if (baseRole !== undefined) updateFields.base_role = baseRole;
+    if (permissions !== undefined) updateFields.permissions = JSON.stringify(groupPermissions(permissions));
+
+    await database.update('roles', updateFields, { id });
+
+    logger.logSecurityEvent('role_updated', { roleId: id, name: role.name, changes, updatedBy });
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   */
+  static async delete(id, deletedBy) {
+    const role = await this.findById(id);
+
+    if (role.isSystem) {
+      throw new ValidationError('Built-in roles cannot be deleted');
+    }
+
+    const [{ count }] = await database.query('SELECT COUNT(*) as count FROM users WHERE role_id = ?', [role.id]);
+    if (count > 0) {
+      throw new ConflictError(`This role is assigned to ${count} user(s). Assign them another role first.`);
+    }
+
+    await database.delete('roles', { id });
+
+    logger.logSecurityEvent('role_deleted', { roleId: id, name: role.name, deletedBy });
+    return true;
+  }
+
+  /**
+   * Non-admins can only hand out roles that do no more than they can,
+   * the rule API keys follow for their scopes
+   * @param {Object} role - Formatted role to grant
+   * @param {Object} granter - The signed-in user granting it (req.user)
+   */
+  static assertGrantableBy(role, granter) {
+    if (granter.role === 'admin') {
+      return;
+    }
+
+    const notGrantable = role.permissions.filter(permission => !granter.permissions.includes(permission));
+    if (notGrantable.length > 0) {
+      throw new AuthorizationError(`You cannot grant a role with permissions you do not have: ${notGrantable.join(', ')}`);
+    }
+  }
+
+  static assertBaseRole(baseRole) {
+    if (baseRole !== null && !BASE_ROLES.includes(baseRole)) {
+      throw new ValidationError(`Base role must be one of: ${BASE_ROLES.join(', ')}`);
+    }
+  }
+
+  static formatRole(role) {
+    if (!role) return null;
+
+    return {
+      id: role.id,
+      name: role.name,
+      description: role.description,
+      baseRole: role.base_role,
+      isSystem: Boolean(role.is_system),
+      permissions: resolvePermissions(role.permissions),
+      userCount: role.user_count,
+      createdAt: role.created_at,
+      updatedAt: role.updated_at
+    };
+  }
+}
+
+module.exports = Role;
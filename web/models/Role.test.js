@@ -0,0 +1,29 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../utils/logger', () => ({ logSecurityEvent: jest.fn(), logError: jest.fn() }));
+
+const Role = require('./Role');
+
+const hiringManager = { name: 'hiring_manager', permissions: ['jobs:read', 'applications:read'] };
+
+describe('Role', () => {
+  describe('assertGrantableBy', () => {
+    it('lets admins grant any role', () => {
+      expect(() => Role.assertGrantableBy({ name: 'admin', permissions: ['jobs:delete'] }, { role: 'admin', permissions: [] }))
+        .not.toThrow();
+    });
+
+    it('lets others grant roles within their own permissions', () => {
+      const hr = { role: 'hr', permissions: ['jobs:read', 'jobs:update', 'applications:read'] };
+
+      expect(() => Role.assertGrantableBy(hiringManager, hr)).not.toThrow();
+      expect(() => Role.assertGrantableBy({ name: 'viewer', permissions: [] }, hr)).not.toThrow();
+    });
+
+    it('refuses roles with permissions the granter lacks', () => {
+      const hr = { role: 'hr', permissions: ['jobs:read'] };
+
+      expect(() => Role.assertGrantableBy(hiringManager, hr))
+        .toThrow('You cannot grant a role with permissions you do not have: applications:read');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys are cached per process and reloaded regularly so rotations done by
+// another instance (or the scheduler) are picked up without a restart
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cache = { keys: null, loadedAt: 0 };
+
+const settings = () => ({
+  algorithm: process.env.JWT_ALGORITHM || 'RS256',
+  rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+  // Must outlive JWT_EXPIRES_IN so tokens signed just before a rotation still verify
+  graceMinutes: parseInt(process.env.JWT_KEY_GRACE_MINUTES) || 60
+});
+
+const generateKeyPair = (algorithm) => {
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+class SigningKey {
+  /**
+   * All keys that can still verify tokens, newest first
+   */
+  static async loadKeys(forceRefresh = false) {
+    if (!forceRefresh && cache.keys && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return cache.keys;
+    }
+
+    const keys = await database.query(
+      `SELECT * FROM jwt_signing_keys
+       WHERE status = 'active' OR (status = 'retiring' AND verify_until > NOW())
+       ORDER BY created_at DESC, id DESC`
+    );
+
+    cache = { keys, loadedAt: Date.now() };
+    return keys;
+  }
+
+  static clearCache() {
+    cache = { keys: null, loadedAt: 0 };
+  }
+
+  /**
+   * The key new access tokens are signed with
+   * A first key is generated automatically on a fresh install.
+   * @returns {Promise<Object>} { kid, algorithm, privateKey }
+   */
+  static async getSigningKey() {
+    let active = (await this.loadKeys()).find(key => key.status === 'active');
+
+    if (!active) {
+      await this.rotate({ reason: 'initial' });
+      active = (await this.loadKeys(true)).find(key => key.status === 'active');
+    }
+
+    return {
+      kid: active.kid,
+      algorithm: active.algorithm,
+      privateKey: decryptSecret(active.private_key_encrypted)
+    };
+  }
+
+  /**
+   * Public key for a `kid`, or null when it is unknown or no longer trusted
+   * Unknown ids trigger one reload in case another instance just rotated.
+   */
+  static async getVerificationKey(kid) {
+    let key = (await this.loadKeys()).find(candidate => candidate.kid === kid);
+
+    if (!key) {
+      key = (await this.loadKeys(true)).find(candidate => candidate.kid === kid);
+    }
+
+    return key ? { algorithm: key.algorithm, publicKey: key.public_key } : null;
+  }
+
+  /**
+   * Public keys in JWK Set format for /.well-known/jwks.json
+   */
+  static async getJwks() {
+    const keys = await this.loadKeys();
+
+    return {
+      keys: keys.map(key => ({
+        ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * Generate a new signing key and move the current one to 'retiring'
+   * Retiring keys stay published until the tokens they signed have expired.
+   * With `revokePrevious` (e.g. a suspected key leak) old keys stop verifying
+   * immediately, which signs every user out.
+   * @param {Object} options - { reason, revokePrevious, rotatedBy }
+   */
+  static async rotate(options = {}) {
+    const { reason = 'scheduled', revokePrevious = false, rotatedBy = null } = options;
+    const { algorithm, graceMinutes } = settings();
+
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new ValidationError(`Unsupported JWT_ALGORITHM ${algorithm}, use one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    const kid = uuidv4();
+    const { publicKey, privateKey } = generateKeyPair(algorithm);
+    const verifyUntil = revokePrevious ? new Date() : new Date(Date.now() + graceMinutes * 60 * 1000);
+
+    try {
+      await database.transaction(async (connection) => {
+        if (revokePrevious) {
+          await connection.execute(
+            "UPDATE jwt_signing_keys SET verify_until = ? WHERE status = 'retiring'",
+            [verifyUntil]
+          );
+        }
+
+        await connection.execute(
+          `UPDATE jwt_signing_keys
+           SET status = 'retiring', private_key_encrypted = NULL, verify_until = ?
+           WHERE status = 'active'`,
+          [verifyUntil]
+        );
+
+        await connection.execute(
+          `INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key_encrypted, status, created_at)
+           VALUES (?, ?, ?, ?, 'active', NOW())`,
+          [kid, algorithm, publicKey, encryptSecret(privateKey)]
+        );
+      });
+
+      this.clearCache();
+      logger.logSecurityEvent('jwt_signing_key_rotated', { kid, algorithm, reason, revokePrevious, rotatedBy });
+
+      return kid;
+    } catch (error) {
+      logger.logError('Failed to rotate JWT signing key', error, { reason });
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled job: rotate once the active key reaches JWT_KEY_ROTATION_DAYS
+   * and drop retired keys that no longer verify anything
+   */
+  static async rotateIfDue() {
+    const { rotationDays } = settings();
+
+    const active = await database.findOne('jwt_signing_keys', { status: 'active' });
+    const isDue = !active || Date.now() - new Date(active.created_at).getTime() >= rotationDays * DAY_MS;
+
+    if (isDue) {
+      await this.rotate({ reason: active ? 'scheduled' : 'initial' });
+    }
+
+    const removed = await this.deleteExpired();
+    return { rotated: isDue, removed };
+  }
+
+  static async deleteExpired() {
+    const result = await database.query(
+      "DELETE FROM jwt_signing_keys WHERE status = 'retiring' AND verify_until <= NOW()"
+    );
+
+    return result.affectedRows;
+  }
+
+  static async findAll() {
+    const keys = await database.query(
+      'SELECT id, kid, algorithm, status, verify_until, created_at FROM jwt_signing_keys ORDER BY created_at DESC, id DESC'
+    );
+
+    return keys.map(key => this.formatKey(key));
+  }
+
+  static formatKey(key) {
+    if (!key) return null;
+
+    return {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      status: key.status,
+      verifyUntil: key.verify_until,
+      createdAt: key.created_at
+    };
+  }
+}
+
+module.exports = SigningKey;
@@ -1,11 +1,50 @@
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
+const UserSession = require('./UserSession');
+const PasswordReset = require('./PasswordReset');
+const PasswordPolicy = require('./PasswordPolicy');
+const Role = require('./Role');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
+// Who can see each field on the public profile; nothing is public until the user chooses
+const PROFILE_VISIBILITY_DEFAULTS = {
+  email: 'private',
+  phone: 'private',
+  bio: 'private',
+  location: 'private',
+  website: 'private',
+  linkedinUrl: 'private',
+  githubUrl: 'private'
+};
+
+const PROFILE_COLUMNS = 'u.id, u.email, u.first_name, u.last_name, u.phone, u.company_id, u.email_verified, u.is_active, u.profile_picture, u.bio, u.location, u.website, u.linkedin_url, u.github_url, u.profile_visibility, u.last_login, u.erased_at, u.created_at, u.updated_at';
+
+/**
+ * One users row with its role name and the built-in role it is based on;
+ * users reference their role by role_id
+ */
+const findUserBy = async (column, value, columns) => {
+  const [user] = await database.query(
+    `SELECT ${columns}, r.name as role, COALESCE(r.base_role, r.name) as base_role
+     FROM users u
+     JOIN roles r ON u.role_id = r.id
+     WHERE u.${column} = ?
+     LIMIT 1`,
+    [value]
+  );
+
+  return user || null;
+};
+
+const parseProfileVisibility = (value) => {
+  const visibility = typeof value === 'string' ? JSON.parse(value) : value;
+  return { ...PROFILE_VISIBILITY_DEFAULTS, ...visibility };
+};
+
 class User {
   static async create(userData) {
-    const { email, password, firstName, lastName, role = 'candidate', phone, companyId } = userData;
+    const { email, password, firstName, lastName, role = 'candidate', phone, companyId, emailVerified = false } = userData;
     
     // Check if user already exists
     const existingUser = await database.findOne('users', { email });
@@ -13,19 +52,29 @@ class User {
       throw new ConflictError('User with this email already exists');
     }
     
-    // Hash password
+    const roleRecord = await Role.findByName(role);
+    if (!roleRecord) {
+      throw new ValidationError(`Unknown role: ${role}`);
+    }
+    
+    if (password) {
+      await PasswordPolicy.enforce(password);
+    }
+    
+    // Hash password; accounts provisioned through an OAuth provider have none
     const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = password ? await bcrypt.hash(password, saltRounds) : null;
     
     const userData_final = {
       email,
       password: hashedPassword,
+      password_changed_at: hashedPassword ? new Date() : null,
       first_name: firstName,
       last_name: lastName,
-      role,
+      role_id: roleRecord.id,
       phone,
       company_id: companyId,
-      email_verified: false,
+      email_verified: emailVerified,
       is_active: true,
       created_at: new Date(),
       updated_at: new Date()
@@ -35,6 +84,10 @@ class User {
       const userId = await database.insert('users', userData_final);
       logger.logAuth('User created successfully', { userId, email, role });
       
+      if (hashedPassword) {
+        await PasswordPolicy.recordHistory(userId, hashedPassword);
+      }
+      
       // Return user without password
       const newUser = await this.findById(userId);
       return newUser;
@@ -45,9 +98,7 @@ class User {
   }
   
   static async findById(id) {
-    const user = await database.findById('users', id, 
-      'id, email, first_name, last_name, role, phone, company_id, email_verified, is_active, profile_picture, last_login, created_at, updated_at'
-    );
+    const user = await findUserBy('id', id, PROFILE_COLUMNS);
     
     if (!user) {
       throw new NotFoundError('User not found');
@@ -57,15 +108,18 @@ class User {
   }
   
   static async findByEmail(email) {
-    const user = await database.findOne('users', { email }, 
-      'id, email, password, first_name, last_name, role, phone, company_id, email_verified, is_active, profile_picture, last_login, created_at, updated_at'
-    );
+    const user = await findUserBy('email', email, `${PROFILE_COLUMNS}, u.password`);
     
     return user ? this.formatUser(user) : null;
   }
   
   static async findByEmailWithPassword(email) {
-    const user = await database.findOne('users', { email });
+    const user = await findUserBy('email', email, 'u.*');
+    return user ? this.formatUser(user, true) : null;
+  }
+  
+  static async findByIdWithPassword(id) {
+    const user = await findUserBy('id', id, 'u.*');
     return user ? this.formatUser(user, true) : null;
   }
   
@@ -74,16 +128,15 @@ class User {
     const offset = (page - 1) * limit;
     
     let conditions = {};
-    if (role) conditions.role = role;
-    if (companyId) conditions.company_id = companyId;
-    if (isActive !== undefined) conditions.is_active = isActive;
+    if (role) conditions['r.name'] = role;
+    if (companyId) conditions['u.company_id'] = companyId;
+    if (isActive !== undefined) conditions['u.is_active'] = isActive;
     
     let sql = `
-      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.phone, 
-             u.company_id, u.email_verified, u.is_active, u.profile_picture, 
-             u.last_login, u.created_at, u.updated_at,
+      SELECT ${PROFILE_COLUMNS}, r.name as role, COALESCE(r.base_role, r.name) as base_role,
              c.name as company_name
       FROM users u
+      JOIN roles r ON u.role_id = r.id
       LEFT JOIN companies c ON u.company_id = c.id
     `;
     
@@ -91,34 +144,33 @@ class User {
     const values = [];
     
     Object.keys(conditions).forEach(key => {
-      whereConditions.push(`u.${key} = ?`);
+      whereConditions.push(`${key} = ?`);
       values.push(conditions[key]);
     });
     
     if (search) {
-      whereConditions.push(`(u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ?)`);
+      whereConditions.push(`(u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ? OR u.bio LIKE ? OR u.location LIKE ?)`);
       const searchTerm = `%${search}%`;
-      values.push(searchTerm, searchTerm, searchTerm);
+      values.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
     }
     
     if (whereConditions.length > 0) {
       sql += ` WHERE ${whereConditions.join(' AND ')}`;
     }
     
-    sql += ` ORDER BY u.created_at DESC LIMIT ? OFFSET ?`;
-    values.push(limit, offset);
+    // Prepared statements reject numeric LIMIT/OFFSET parameters, so they are inlined as integers
+    sql += ` ORDER BY u.created_at DESC, u.id DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
     
     const users = await database.query(sql, values);
     
     // Get total count
-    let countSql = 'SELECT COUNT(*) as total FROM users u';
-    const countValues = values.slice(0, -2); // Remove limit and offset
+    let countSql = 'SELECT COUNT(*) as total FROM users u JOIN roles r ON u.role_id = r.id';
     
     if (whereConditions.length > 0) {
       countSql += ` WHERE ${whereConditions.join(' AND ')}`;
     }
     
-    const [{ total }] = await database.query(countSql, countValues);
+    const [{ total }] = await database.query(countSql, values);
     
     return {
       users: users.map(user => this.formatUser(user)),
@@ -132,7 +184,10 @@ class User {
   }
   
   static async update(id, updateData) {
-    const { firstName, lastName, phone, profilePicture, companyId } = updateData;
+    const {
+      firstName, lastName, phone, profilePicture, companyId,
+      bio, location, website, linkedinUrl, githubUrl, profileVisibility
+    } = updateData;
     
     const user = await this.findById(id);
     if (!user) {
@@ -148,6 +203,14 @@ class User {
     if (phone !== undefined) updateFields.phone = phone;
     if (profilePicture !== undefined) updateFields.profile_picture = profilePicture;
     if (companyId !== undefined) updateFields.company_id = companyId;
+    if (bio !== undefined) updateFields.bio = bio;
+    if (location !== undefined) updateFields.location = location;
+    if (website !== undefined) updateFields.website = website;
+    if (linkedinUrl !== undefined) updateFields.linkedin_url = linkedinUrl;
+    if (githubUrl !== undefined) updateFields.github_url = githubUrl;
+    if (profileVisibility !== undefined) {
+      updateFields.profile_visibility = JSON.stringify({ ...user.profileVisibility, ...profileVisibility });
+    }
     
     try {
       await database.update('users', updateFields, { id });
@@ -160,27 +223,58 @@ class User {
     }
   }
   
+  /**
+   * Assign a user a different role
+   * Takes effect on the user's next request, since permissions are loaded per request.
+   */
+  static async updateRole(id, roleName, changedBy) {
+    const user = await this.findById(id);
+    
+    if (user.id === changedBy) {
+      throw new ValidationError('You cannot change your own role');
+    }
+    
+    const role = await Role.findByName(roleName);
+    if (!role) {
+      throw new ValidationError(`Unknown role: ${roleName}`);
+    }
+    
+    if (user.role === role.name) {
+      return user;
+    }
+    
+    await database.update('users', { role_id: role.id, updated_at: new Date() }, { id });
+    
+    logger.logSecurityEvent('user_role_changed', {
+      userId: id,
+      from: user.role,
+      to: role.name,
+      changedBy
+    });
+    
+    return await this.findById(id);
+  }
+  
   static async updatePassword(id, currentPassword, newPassword) {
     const user = await database.findById('users', id, 'id, password');
     if (!user) {
       throw new NotFoundError('User not found');
     }
     
+    if (!user.password) {
+      throw new ValidationError('No password is set for this account. Use password reset to create one.');
+    }
+    
     // Verify current password
     const isValidPassword = await bcrypt.compare(currentPassword, user.password);
     if (!isValidPassword) {
       throw new ValidationError('Current password is incorrect');
     }
     
-    // Hash new password
-    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    await PasswordPolicy.enforce(newPassword, id);
     
     try {
-      await database.update('users', 
-        { password: hashedPassword, updated_at: new Date() }, 
-        { id }
-      );
+      await this.setPassword(id, newPassword);
       
       logger.logAuth('Password updated successfully', { userId: id });
       return true;
@@ -190,30 +284,72 @@ class User {
     }
   }
   
-  static async resetPassword(email, newPassword) {
-    const user = await database.findOne('users', { email }, 'id');
+  static async resetPassword(token, newPassword) {
+    // Check the new password before the token is spent, so a rejected
+    // password does not cost the user their reset link
+    await PasswordPolicy.enforce(newPassword, await PasswordReset.findUserId(token));
+    
+    // Consuming the token is the proof of ownership; it throws if the token
+    // is unknown, expired or already used
+    const userId = await PasswordReset.consume(token);
+    
+    try {
+      await this.setPassword(userId, newPassword);
+      
+      // Sign out every device, an attacker may be holding a session
+      await UserSession.revokeAllForUser(userId);
+      
+      logger.logAuth('Password reset successfully', { userId });
+      return userId;
+    } catch (error) {
+      logger.logAuth('Failed to reset password', { userId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace a password that is past the policy's maximum age
+   * The user proved the current password at login, so it is not asked again.
+   */
+  static async replaceExpiredPassword(id, newPassword) {
+    const user = await database.findById('users', id, 'id, password');
     if (!user) {
       throw new NotFoundError('User not found');
     }
     
-    // Hash new password
-    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    if (user.password && await bcrypt.compare(newPassword, user.password)) {
+      throw new ValidationError('New password must be different from the current password');
+    }
+    
+    await PasswordPolicy.enforce(newPassword, id);
     
     try {
-      await database.update('users', 
-        { password: hashedPassword, updated_at: new Date() }, 
-        { id: user.id }
-      );
+      await this.setPassword(id, newPassword);
       
-      logger.logAuth('Password reset successfully', { userId: user.id, email });
+      logger.logAuth('Expired password replaced', { userId: id });
       return true;
     } catch (error) {
-      logger.logAuth('Failed to reset password', { userId: user.id, error: error.message });
+      logger.logAuth('Failed to replace expired password', { userId: id, error: error.message });
       throw error;
     }
   }
   
+  /**
+   * Store a new password hash and remember it for the reuse check
+   * Callers enforce the password policy first.
+   */
+  static async setPassword(id, newPassword) {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    
+    await database.update('users', 
+      { password: hashedPassword, password_changed_at: new Date(), updated_at: new Date() }, 
+      { id }
+    );
+    
+    await PasswordPolicy.recordHistory(id, hashedPassword);
+  }
+  
   static async verifyEmail(id) {
     try {
       await database.update('users', 
@@ -258,6 +394,11 @@ class User {
   }
   
   static async activate(id) {
+    const user = await this.findById(id);
+    if (user.erasedAt) {
+      throw new ValidationError('Erased accounts cannot be reactivated');
+    }
+    
     try {
       await database.update('users', 
         { is_active: true, updated_at: new Date() }, 
@@ -272,20 +413,33 @@ class User {
     }
   }
   
-  static async delete(id) {
+  /**
+   * The profile other people see, limited to the fields the user made public
+   * Users who made no field public have no public profile at all, so the
+   * endpoint cannot be used to list everyone's name.
+   */
+  static async getPublicProfile(id) {
     const user = await this.findById(id);
-    if (!user) {
+    const publicFields = Object.keys(PROFILE_VISIBILITY_DEFAULTS)
+      .filter(field => user.profileVisibility[field] === 'public');
+    
+    if (!user.isActive || publicFields.length === 0) {
       throw new NotFoundError('User not found');
     }
     
-    try {
-      await database.delete('users', { id });
-      logger.logAuth('User deleted', { userId: id, email: user.email });
-      return true;
-    } catch (error) {
-      logger.logAuth('Failed to delete user', { userId: id, error: error.message });
-      throw error;
-    }
+    const profile = {
+      id: user.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      profilePicture: user.profilePicture
+    };
+    
+    publicFields.forEach(field => {
+      profile[field] = user[field];
+    });
+    
+    return profile;
   }
   
   static async validatePassword(password, hashedPassword) {
@@ -296,13 +450,14 @@ class User {
     const sql = `
       SELECT 
         COUNT(*) as total_users,
-        COUNT(CASE WHEN is_active = 1 THEN 1 END) as active_users,
-        COUNT(CASE WHEN role = 'admin' THEN 1 END) as admin_users,
-        COUNT(CASE WHEN role = 'hr' THEN 1 END) as hr_users,
-        COUNT(CASE WHEN role = 'candidate' THEN 1 END) as candidate_users,
-        COUNT(CASE WHEN email_verified = 1 THEN 1 END) as verified_users,
-        COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as new_users_30_days
-      FROM users
+        COUNT(CASE WHEN u.is_active = 1 THEN 1 END) as active_users,
+        COUNT(CASE WHEN r.name = 'admin' THEN 1 END) as admin_users,
+        COUNT(CASE WHEN r.name = 'hr' THEN 1 END) as hr_users,
+        COUNT(CASE WHEN r.name = 'candidate' THEN 1 END) as candidate_users,
+        COUNT(CASE WHEN u.email_verified = 1 THEN 1 END) as verified_users,
+        COUNT(CASE WHEN u.created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as new_users_30_days
+      FROM users u
+      JOIN roles r ON u.role_id = r.id
     `;
     
     const [stats] = await database.query(sql);
@@ -319,19 +474,28 @@ class User {
       lastName: user.last_name,
       fullName: `${user.first_name} ${user.last_name}`.trim(),
       role: user.role,
+      baseRole: user.base_role,
       phone: user.phone,
       companyId: user.company_id,
       companyName: user.company_name,
       emailVerified: user.email_verified,
       isActive: user.is_active,
       profilePicture: user.profile_picture,
+      bio: user.bio,
+      location: user.location,
+      website: user.website,
+      linkedinUrl: user.linkedin_url,
+      githubUrl: user.github_url,
+      profileVisibility: parseProfileVisibility(user.profile_visibility),
       lastLogin: user.last_login,
+      erasedAt: user.erased_at,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
     
     if (includePassword) {
       formatted.password = user.password;
+      formatted.passwordChangedAt = user.password_changed_at;
     }
     
     return formatted;
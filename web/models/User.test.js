@@ -0,0 +1,55 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../utils/logger', () => ({}));
+
+const User = require('./User');
+
+const user = (profileVisibility, changes = {}) => User.formatUser({
+  id: 4,
+  email: 'jane@example.com',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  phone: '+441234567890',
+  bio: 'Engineer',
+  location: 'Leeds',
+  is_active: 1,
+  profile_visibility: profileVisibility,
+  ...changes
+});
+
+describe('User', () => {
+  describe('getPublicProfile', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('keeps every field private by default', () => {
+      const visibility = Object.values(user(null).profileVisibility);
+
+      expect(visibility.length).toBeGreaterThan(0);
+      expect(visibility.every(value => value === 'private')).toBe(true);
+    });
+
+    it('has no public profile for users who made nothing public', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user(null));
+
+      await expect(User.getPublicProfile(4)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    it('shows only the fields the user made public', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user('{"bio": "public", "phone": "private"}'));
+
+      const profile = await User.getPublicProfile(4);
+
+      expect(profile).toMatchObject({ id: 4, fullName: 'Jane Doe', bio: 'Engineer' });
+      expect(profile).not.toHaveProperty('phone');
+      expect(profile).not.toHaveProperty('location');
+      expect(profile).not.toHaveProperty('email');
+    });
+
+    it('has no public profile for deactivated users', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user('{"bio": "public"}', { is_active: 0 }));
+
+      await expect(User.getPublicProfile(4)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+});
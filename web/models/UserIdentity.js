@@ -0,0 +1,154 @@
+const database = require('../config/database');
+const User = require('./User');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { getProviderName } = require('../config/passport');
+
+class UserIdentity {
+  static async findByProvider(provider, providerUserId) {
+    const identity = await database.findOne('user_identities', {
+      provider,
+      provider_user_id: providerUserId
+    });
+
+    return identity ? this.formatIdentity(identity) : null;
+  }
+
+  static async findByUser(userId) {
+    const identities = await database.query(
+      'SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at ASC',
+      [userId]
+    );
+
+    return identities.map(identity => this.formatIdentity(identity));
+  }
+
+  /**
+   * Resolve the user signing in with a provider profile
+   * Existing identities sign in directly and new emails get a candidate account.
+   * An email that already belongs to an account is never linked automatically:
+   * the owner must sign in the usual way and confirm the link.
+   * @param {Object} profile - Normalized provider profile
+   * @returns {Promise<Object>} { status: 'existing'|'created'|'conflict', user }
+   */
+  static async authenticate(profile) {
+    const identity = await this.findByProvider(profile.provider, profile.providerUserId);
+
+    if (identity) {
+      await database.update('user_identities', { last_used_at: new Date() }, { id: identity.id });
+      return { status: 'existing', user: await User.findById(identity.userId) };
+    }
+
+    if (!profile.email) {
+      throw new ValidationError(`Your ${getProviderName(profile.provider)} account did not share an email address`);
+    }
+
+    const existingUser = await User.findByEmail(profile.email);
+    if (existingUser) {
+      logger.logSecurityEvent('oauth_email_conflict', {
+        provider: profile.provider,
+        userId: existingUser.id
+      });
+      return { status: 'conflict', user: existingUser };
+    }
+
+    const user = await User.create({
+      email: profile.email,
+      firstName: profile.firstName || profile.displayName || profile.email.split('@')[0],
+      lastName: profile.lastName || '',
+      role: 'candidate',
+      emailVerified: profile.emailVerified
+    });
+
+    await this.link(user.id, profile);
+
+    logger.logAuth('User provisioned from OAuth provider', { userId: user.id, provider: profile.provider });
+    return { status: 'created', user };
+  }
+
+  /**
+   * Link a provider identity to a user
+   * A user can link several providers, but only one account per provider.
+   */
+  static async link(userId, profile) {
+    const existing = await this.findByProvider(profile.provider, profile.providerUserId);
+    const providerName = getProviderName(profile.provider);
+
+    if (existing) {
+      if (existing.userId !== userId) {
+        throw new ConflictError(`This ${providerName} account is already linked to another user`);
+      }
+      return existing;
+    }
+
+    const linkedProvider = await database.findOne('user_identities', {
+      user_id: userId,
+      provider: profile.provider
+    });
+    if (linkedProvider) {
+      throw new ConflictError(`A different ${providerName} account is already linked. Unlink it first.`);
+    }
+
+    try {
+      const identityId = await database.insert('user_identities', {
+        user_id: userId,
+        provider: profile.provider,
+        provider_user_id: profile.providerUserId,
+        email: profile.email,
+        display_name: profile.displayName,
+        avatar_url: profile.avatarUrl,
+        last_used_at: new Date(),
+        created_at: new Date()
+      });
+
+      logger.logAuthEvent('identity_linked', userId, { provider: profile.provider });
+
+      const identity = await database.findById('user_identities', identityId);
+      return this.formatIdentity(identity);
+    } catch (error) {
+      logger.logAuth('Failed to link identity', { userId, provider: profile.provider, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a linked provider
+   * Refused when it is the only way left to sign in to the account.
+   */
+  static async unlink(userId, provider) {
+    const identity = await database.findOne('user_identities', { user_id: userId, provider });
+    if (!identity) {
+      throw new NotFoundError('Linked account not found');
+    }
+
+    const user = await User.findByIdWithPassword(userId);
+    const identities = await this.findByUser(userId);
+
+    if (!user.password && identities.length === 1) {
+      throw new ValidationError('Set a password or link another account before unlinking your only sign-in method');
+    }
+
+    await database.delete('user_identities', { id: identity.id });
+
+    logger.logAuthEvent('identity_unlinked', userId, { provider });
+    return true;
+  }
+
+  static formatIdentity(identity) {
+    if (!identity) return null;
+
+    return {
+      id: identity.id,
+      userId: identity.user_id,
+      provider: identity.provider,
+      providerUserId: identity.provider_user_id,
+      email: identity.email,
+      displayName: identity.display_name,
+      avatarUrl: identity.avatar_url,
+      lastUsedAt: identity.last_used_at,
+      createdAt: identity.created_at
+    };
+  }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,336 @@
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const Joi = require('joi');
+const database = require('../config/database');
+const Role = require('./Role');
+const CompanyInvitation = require('./CompanyInvitation');
+const PasswordReset = require('./PasswordReset');
+const logger = require('../utils/logger');
+const { schemas } = require('../middleware/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const MAX_ROWS = 5000;
+const EMAIL_LOOKUP_CHUNK = 500;
+
+/**
+ * Why an existing account cannot accept an invitation to the company, or null
+ */
+const getJoinError = (user, companyId) => {
+  try {
+    CompanyInvitation.assertCanJoin(user, companyId);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Imported accounts have no password until the user follows their setup link
+const getSetupLinkTtl = () => parseInt(process.env.ACCOUNT_SETUP_EXPIRES) || 7 * 24 * 60 * 60 * 1000;
+
+// Spreadsheet headers, lowercased with everything but letters and digits removed
+const COLUMN_ALIASES = {
+  email: 'email',
+  emailaddress: 'email',
+  firstname: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  phone: 'phone',
+  phonenumber: 'phone',
+  role: 'role',
+  department: 'department',
+  position: 'position',
+  jobtitle: 'position',
+  title: 'position'
+};
+
+// The registration rules, without a password (imported users set their own),
+// plus the role, department and position columns
+const rowSchema = schemas.userRegistration
+  .fork(['password'], schema => schema.optional().strip())
+  .keys({
+    role: Joi.string().trim().lowercase().max(50).default('candidate'),
+    department: Joi.string().trim().max(255),
+    position: Joi.string().trim().max(255)
+  });
+
+const normalizeHeader = (header) => {
+  const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return COLUMN_ALIASES[key] || null;
+};
+
+/**
+ * Map a parsed row to known fields, dropping unknown columns and blank cells
+ */
+const normalizeRow = (raw) => {
+  const row = {};
+
+  Object.keys(raw).forEach(header => {
+    const field = normalizeHeader(header);
+    const value = raw[header] === null || raw[header] === undefined ? '' : String(raw[header]).trim();
+
+    if (field && value !== '') {
+      row[field] = field === 'email' ? value.toLowerCase() : value;
+    }
+  });
+
+  return row;
+};
+
+const parseCsv = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+
+    Readable.from([buffer])
+      .pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+const parseSpreadsheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+};
+
+class UserImport {
+  static isSupportedFile(filename) {
+    return ['.csv', '.xlsx', '.xls'].includes(path.extname(filename).toLowerCase());
+  }
+
+  /**
+   * Read the users in an uploaded CSV or Excel file (first sheet)
+   * @param {Object} file - Multer file kept in memory (originalname, buffer)
+   * @returns {Promise<Object[]>} Rows with their spreadsheet row number
+   */
+  static async parse(file) {
+    let rawRows;
+    try {
+      rawRows = path.extname(file.originalname).toLowerCase() === '.csv'
+        ? await parseCsv(file.buffer)
+        : parseSpreadsheet(file.buffer);
+    } catch (error) {
+      throw new ValidationError('The file could not be read as CSV or Excel');
+    }
+
+    const rows = rawRows
+      // Row 1 holds the headers
+      .map((raw, index) => ({ rowNumber: index + 2, data: normalizeRow(raw) }))
+      .filter(row => Object.keys(row.data).length > 0);
+
+    if (rows.length === 0) {
+      throw new ValidationError('The file contains no users. Expected columns: email, first name, last name, role, department');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new ValidationError(`A maximum of ${MAX_ROWS} users can be imported at once`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Check every row without writing anything
+   * @param {Object[]} rows - From parse()
+   * @param {Object} options - { companyId, sendInvitations }
+   * @returns {Promise<Object>} { report, users } where users are the valid rows, ready to import
+   */
+  static async validate(rows, options = {}) {
+    const { companyId = null, sendInvitations = false } = options;
+
+    const roles = await Role.findAll();
+    const rolesByName = {};
+    roles.forEach(role => { rolesByName[role.name] = role; });
+
+    const departments = companyId
+      ? await database.query('SELECT id, name FROM departments WHERE company_id = ?', [companyId])
+      : [];
+    const departmentIds = {};
+    departments.forEach(department => { departmentIds[department.name.toLowerCase()] = department.id; });
+
+    const emails = rows.map(row => row.data.email).filter(Boolean);
+    const existingUsers = await this.findExistingUsers(emails);
+    const invitedEmails = sendInvitations ? await this.findInvitedEmails(companyId, emails) : new Set();
+
+    const seenEmails = new Set();
+    const errors = [];
+    const users = [];
+
+    rows.forEach(({ rowNumber, data }) => {
+      const { error, value } = rowSchema.validate(data, { abortEarly: false, stripUnknown: true });
+      const rowErrors = error
+        ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+        : [];
+
+      if (!error) {
+        const existingUser = existingUsers.get(value.email);
+        // Accepting an invitation links an existing account, so only new users clash
+        const joinError = existingUser && sendInvitations ? getJoinError(existingUser, companyId) : null;
+
+        if (seenEmails.has(value.email)) {
+          rowErrors.push({ field: 'email', message: 'Email appears more than once in the file' });
+        } else if (existingUser && !sendInvitations) {
+          rowErrors.push({ field: 'email', message: 'A user with this email already exists' });
+        } else if (joinError) {
+          rowErrors.push({ field: 'email', message: joinError });
+        } else if (invitedEmails.has(value.email)) {
+          rowErrors.push({ field: 'email', message: 'This email already has a pending invitation' });
+        }
+
+        const role = rolesByName[value.role];
+        if (!role) {
+          rowErrors.push({ field: 'role', message: `Unknown role: ${value.role}` });
+        } else if (value.role === 'admin') {
+          rowErrors.push({ field: 'role', message: 'Administrators cannot be imported' });
+        } else if (!companyId && (role.name === 'hr' || role.baseRole === 'hr')) {
+          rowErrors.push({ field: 'role', message: 'Choose a company to import staff into' });
+        }
+
+        if (value.department && !companyId) {
+          rowErrors.push({ field: 'department', message: 'Choose a company to import departments into' });
+        } else if (value.department && !departmentIds[value.department.toLowerCase()]) {
+          rowErrors.push({ field: 'department', message: `Unknown department: ${value.department}` });
+        }
+
+        seenEmails.add(value.email);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, email: data.email || null, errors: rowErrors });
+      } else {
+        users.push({
+          ...value,
+          roleId: rolesByName[value.role].id,
+          departmentId: value.department ? departmentIds[value.department.toLowerCase()] : null
+        });
+      }
+    });
+
+    return {
+      report: {
+        totalRows: rows.length,
+        validRows: users.length,
+        invalidRows: errors.length,
+        errors
+      },
+      users
+    };
+  }
+
+  /**
+   * Create the validated users, or invitations for them, in one transaction
+   * Nothing is written when any row fails. Created users get a password setup
+   * link once the transaction has committed.
+   * @param {Object[]} users - Valid rows from validate()
+   * @param {Object} options - { companyId, sendInvitations }
+   * @param {Object} admin - The signed-in admin (req.user)
+   * @returns {Promise<Object>} { created, accounts, invitations } where accounts and
+   *   invitations carry the raw tokens to email
+   */
+  static async run(users, options, admin) {
+    const { companyId = null, sendInvitations = false } = options;
+
+    const result = await database.transaction(async (connection) => {
+      const invitations = [];
+      const accounts = [];
+
+      for (const user of users) {
+        if (sendInvitations) {
+          const { token, row } = CompanyInvitation.buildRow(companyId, user, admin.id);
+          const columns = Object.keys(row);
+
+          const [insert] = await connection.execute(
+            `INSERT INTO company_invitations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            Object.values(row)
+          );
+
+          invitations.push({ id: insert.insertId, email: user.email, expiresAt: row.expires_at, token });
+          continue;
+        }
+
+        const [insert] = await connection.execute(
+          `INSERT INTO users (email, password, first_name, last_name, role_id, phone, company_id, email_verified, is_active, created_at, updated_at)
+           VALUES (?, NULL, ?, ?, ?, ?, ?, false, true, NOW(), NOW())`,
+          [user.email, user.firstName, user.lastName, user.roleId, user.phone || null, companyId]
+        );
+
+        if (companyId) {
+          await connection.execute(
+            `INSERT INTO user_companies (user_id, company_id, department_id, position, start_date, is_current, created_at)
+             VALUES (?, ?, ?, ?, CURDATE(), true, NOW())`,
+            [insert.insertId, companyId, user.departmentId, user.position || null]
+          );
+        }
+
+        accounts.push({ id: insert.insertId, email: user.email, firstName: user.firstName });
+      }
+
+      return { accounts, invitations };
+    });
+
+    const expiresAt = new Date(Date.now() + getSetupLinkTtl());
+    for (const account of result.accounts) {
+      account.token = await PasswordReset.create(account.id, getSetupLinkTtl());
+      account.expiresAt = expiresAt;
+    }
+
+    logger.logSecurityEvent('users_imported', {
+      importedBy: admin.id,
+      companyId,
+      created: result.accounts.length,
+      invited: result.invitations.length
+    });
+
+    return { created: result.accounts.length, ...result };
+  }
+
+  /**
+   * Accounts that already use one of the emails, keyed by lowercased email
+   * @returns {Promise<Map>} email => { isActive, role, companyId }
+   */
+  static async findExistingUsers(emails) {
+    const existing = new Map();
+
+    for (let i = 0; i < emails.length; i += EMAIL_LOOKUP_CHUNK) {
+      const chunk = emails.slice(i, i + EMAIL_LOOKUP_CHUNK);
+      const rows = await database.query(
+        `SELECT u.email, u.is_active, u.company_id, r.name as role
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE u.email IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+      rows.forEach(row => existing.set(row.email.toLowerCase(), {
+        isActive: Boolean(row.is_active),
+        role: row.role,
+        companyId: row.company_id
+      }));
+    }
+
+    return existing;
+  }
+
+  static async findInvitedEmails(companyId, emails) {
+    const invited = new Set();
+
+    for (let i = 0; i < emails.length; i += EMAIL_LOOKUP_CHUNK) {
+      const chunk = emails.slice(i, i + EMAIL_LOOKUP_CHUNK);
+      const rows = await database.query(
+        `SELECT email FROM company_invitations
+         WHERE company_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+           AND email IN (${chunk.map(() => '?').join(', ')})`,
+        [companyId, ...chunk]
+      );
+      rows.forEach(row => invited.add(row.email.toLowerCase()));
+    }
+
+    return invited;
+  }
+}
+
+module.exports = UserImport;
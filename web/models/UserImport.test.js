@@ -0,0 +1,77 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/logger', () => ({}));
+jest.mock('pdf-parse', () => jest.fn());
+
+const database = require('../config/database');
+const Role = require('./Role');
+const UserImport = require('./UserImport');
+
+const ROLES = [
+  { id: 1, name: 'admin', baseRole: null },
+  { id: 2, name: 'hr', baseRole: null },
+  { id: 3, name: 'candidate', baseRole: null },
+  { id: 4, name: 'recruiter', baseRole: 'hr' }
+];
+
+const row = (email, role) => ({ rowNumber: 2, data: { email, firstName: 'Jane', lastName: 'Doe', role } });
+
+// Existing accounts by email; departments and pending invitations are always empty
+const mockUsers = (users) => {
+  database.query.mockImplementation(async (sql) => (sql.includes('FROM users') ? users : []));
+};
+
+const errorsOf = (report) => report.errors.flatMap(entry => entry.errors.map(error => error.message));
+
+describe('UserImport', () => {
+  describe('validate', () => {
+    beforeEach(() => {
+      jest.spyOn(Role, 'findAll').mockResolvedValue(ROLES);
+      mockUsers([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      database.query.mockReset();
+    });
+
+    it('requires a company for staff roles and roles based on them', async () => {
+      const { report, users } = await UserImport.validate([
+        row('hr@example.com', 'hr'),
+        row('recruiter@example.com', 'recruiter'),
+        row('candidate@example.com', 'candidate')
+      ]);
+
+      expect(errorsOf(report)).toEqual(['Choose a company to import staff into', 'Choose a company to import staff into']);
+      expect(users.map(user => user.email)).toEqual(['candidate@example.com']);
+    });
+
+    it('accepts staff roles when importing into a company', async () => {
+      const { report } = await UserImport.validate([row('recruiter@example.com', 'recruiter')], { companyId: 5 });
+
+      expect(report.invalidRows).toBe(0);
+    });
+
+    it('refuses existing accounts when creating users', async () => {
+      mockUsers([{ email: 'jane@example.com', is_active: 1, company_id: null, role: 'candidate' }]);
+
+      const { report } = await UserImport.validate([row('jane@example.com', 'candidate')], { companyId: 5 });
+
+      expect(errorsOf(report)).toEqual(['A user with this email already exists']);
+    });
+
+    it('invites existing accounts that are free to join the company', async () => {
+      mockUsers([
+        { email: 'jane@example.com', is_active: 1, company_id: null, role: 'candidate' },
+        { email: 'tom@example.com', is_active: 1, company_id: 9, role: 'hr' }
+      ]);
+
+      const { report, users } = await UserImport.validate(
+        [row('jane@example.com', 'hr'), row('tom@example.com', 'hr')],
+        { companyId: 5, sendInvitations: true }
+      );
+
+      expect(users.map(user => user.email)).toEqual(['jane@example.com']);
+      expect(errorsOf(report)).toEqual(['This person already belongs to another company']);
+    });
+  });
+});
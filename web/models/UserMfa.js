@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const Role = require('./Role');
+const logger = require('../utils/logger');
+const totp = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { hashToken } = require('../utils/tokens');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Roles that must use two-factor auth when their company enables the policy
+const MFA_ENFORCED_ROLES = ['admin', 'hr'];
+const RECOVERY_CODE_COUNT = 10;
+
+class UserMfa {
+  static async findByUserId(userId) {
+    const mfa = await database.findOne('user_mfa', { user_id: userId });
+    return mfa ? this.formatMfa(mfa) : null;
+  }
+
+  static async isEnabled(userId) {
+    const mfa = await this.findByUserId(userId);
+    return Boolean(mfa && mfa.enabled);
+  }
+
+  /**
+   * Whether the company policy forces this user to use two-factor auth
+   * @param {Object} user - Formatted user (role, companyId)
+   */
+  static async isRequiredFor(user) {
+    if (!user.companyId) {
+      return false;
+    }
+
+    // Custom roles follow the built-in role they are based on
+    const role = MFA_ENFORCED_ROLES.includes(user.role) ? null : await Role.findByName(user.role);
+    if (!MFA_ENFORCED_ROLES.includes(user.role) && !(role && MFA_ENFORCED_ROLES.includes(role.baseRole))) {
+      return false;
+    }
+
+    const company = await database.findById('companies', user.companyId, 'id, mfa_required');
+    return Boolean(company && company.mfa_required);
+  }
+
+  /**
+   * Start enrollment by generating a new, not yet enabled secret
+   * Re-running setup before enabling replaces the pending secret.
+   */
+  static async setup(user) {
+    const existing = await this.findByUserId(user.id);
+    if (existing && existing.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const secretEncrypted = encryptSecret(secret);
+
+    try {
+      if (existing) {
+        await database.update('user_mfa',
+          { secret_encrypted: secretEncrypted, last_used_step: null, updated_at: new Date() },
+          { user_id: user.id }
+        );
+      } else {
+        await database.insert('user_mfa', {
+          user_id: user.id,
+          secret_encrypted: secretEncrypted,
+          enabled: false,
+          created_at: new Date(),
+          updated_at: new Date()
+        });
+      }
+
+      logger.logAuth('Two-factor enrollment started', { userId: user.id });
+
+      const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+      return {
+        secret,
+        otpauthUri,
+        // Authenticator apps scan the otpauth URI itself; clients render it as a QR code
+        qrData: otpauthUri
+      };
+    } catch (error) {
+      logger.logAuth('Failed to start two-factor enrollment', { userId: user.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {Promise<string[]>} Freshly generated recovery codes, shown once
+   */
+  static async enable(userId, code) {
+    const mfa = await database.findOne('user_mfa', { user_id: userId });
+    if (!mfa) {
+      throw new NotFoundError('Two-factor setup has not been started');
+    }
+
+    if (mfa.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const step = totp.verifyCode(decryptSecret(mfa.secret_encrypted), code);
+    if (step === null) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    await database.update('user_mfa',
+      { enabled: true, enabled_at: new Date(), last_used_step: step, updated_at: new Date() },
+      { user_id: userId }
+    );
+
+    logger.logAuth('Two-factor authentication enabled', { userId });
+
+    return await this.regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Check a TOTP code for a user with two-factor enabled
+   * Accepted codes are recorded so the same code cannot be used twice.
+   */
+  static async verifyCode(userId, code) {
+    const mfa = await database.findOne('user_mfa', { user_id: userId, enabled: true });
+    if (!mfa) {
+      return false;
+    }
+
+    const step = totp.verifyCode(decryptSecret(mfa.secret_encrypted), code, {
+      lastUsedStep: mfa.last_used_step !== null ? Number(mfa.last_used_step) : null
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update so two concurrent requests cannot both spend the same code
+    const result = await database.query(
+      'UPDATE user_mfa SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)',
+      [step, userId, step]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Redeem a single-use recovery code
+   */
+  static async useRecoveryCode(userId, code) {
+    const normalized = String(code).trim().toLowerCase();
+
+    const result = await database.query(
+      'UPDATE mfa_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashToken(normalized)]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    logger.logSecurityEvent('mfa_recovery_code_used', { userId });
+    return true;
+  }
+
+  static async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    try {
+      await database.delete('mfa_recovery_codes', { user_id: userId });
+
+      for (const code of codes) {
+        await database.insert('mfa_recovery_codes', {
+          user_id: userId,
+          code_hash: hashToken(code),
+          created_at: new Date()
+        });
+      }
+
+      logger.logAuth('Two-factor recovery codes generated', { userId });
+      return codes;
+    } catch (error) {
+      logger.logAuth('Failed to generate recovery codes', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  static async countRemainingRecoveryCodes(userId) {
+    const [{ remaining }] = await database.query(
+      'SELECT COUNT(*) as remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+
+    return remaining;
+  }
+
+  static async disable(userId) {
+    try {
+      await database.delete('mfa_recovery_codes', { user_id: userId });
+      await database.delete('user_mfa', { user_id: userId });
+
+      logger.logSecurityEvent('mfa_disabled', { userId });
+      return true;
+    } catch (error) {
+      logger.logAuth('Failed to disable two-factor authentication', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  static formatMfa(mfa) {
+    if (!mfa) return null;
+
+    return {
+      userId: mfa.user_id,
+      enabled: Boolean(mfa.enabled),
+      enabledAt: mfa.enabled_at,
+      createdAt: mfa.created_at
+    };
+  }
+}
+
+module.exports = UserMfa;
@@ -0,0 +1,264 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { signAccessToken, generateToken, hashToken } = require('../utils/tokens');
+const { AuthenticationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UserSession {
+  /**
+   * Start a new session family for a fresh login
+   * Returns the stored session plus the raw refresh token, which is never persisted.
+   */
+  static async create(sessionData) {
+    const { userId, ipAddress, userAgent, rememberMe = false } = sessionData;
+
+    const days = rememberMe
+      ? (parseInt(process.env.REFRESH_TOKEN_REMEMBER_DAYS) || 30)
+      : (parseInt(process.env.REFRESH_TOKEN_DAYS) || 7);
+
+    return await this.issue({
+      userId,
+      familyId: uuidv4(),
+      expiresAt: new Date(Date.now() + days * DAY_MS),
+      ipAddress,
+      userAgent
+    });
+  }
+
+  /**
+   * Sign a user in: start a session family and return its first token pair
+   * @param {Object} user - User with an `id`
+   * @param {Object} meta - { ipAddress, userAgent, rememberMe }
+   */
+  static async start(user, meta = {}) {
+    const { session, refreshToken } = await this.create({
+      userId: user.id,
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent,
+      rememberMe: meta.rememberMe
+    });
+
+    return await this.buildTokens(user, session, refreshToken);
+  }
+
+  /**
+   * Build the token payload returned to clients for a session row
+   */
+  static async buildTokens(user, session, refreshToken) {
+    return {
+      token: await signAccessToken(user, { sessionId: session.sessionToken }),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  static async issue({ userId, familyId, expiresAt, ipAddress, userAgent }) {
+    const refreshToken = generateToken();
+
+    const sessionDataFinal = {
+      user_id: userId,
+      family_id: familyId,
+      session_token: uuidv4(),
+      refresh_token: hashToken(refreshToken),
+      expires_at: expiresAt,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      created_at: new Date()
+    };
+
+    try {
+      const sessionId = await database.insert('user_sessions', sessionDataFinal);
+      const session = await database.findById('user_sessions', sessionId);
+
+      return {
+        session: this.formatSession(session),
+        refreshToken
+      };
+    } catch (error) {
+      logger.logAuth('Failed to create session', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  static async findByRefreshToken(refreshToken) {
+    const session = await database.findOne('user_sessions', {
+      refresh_token: hashToken(refreshToken)
+    });
+
+    return session ? this.formatSession(session) : null;
+  }
+
+  static async findBySessionToken(sessionToken) {
+    const session = await database.findOne('user_sessions', {
+      session_token: sessionToken
+    });
+
+    return session ? this.formatSession(session) : null;
+  }
+
+  /**
+   * List a user's signed-in devices
+   * Each family is one device; only its latest, unrotated row is live.
+   */
+  static async findActiveByUser(userId) {
+    const sql = `
+      SELECT s.*,
+             (SELECT MIN(f.created_at) FROM user_sessions f WHERE f.family_id = s.family_id) as signed_in_at
+      FROM user_sessions s
+      WHERE s.user_id = ?
+        AND s.rotated_at IS NULL
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+      ORDER BY s.created_at DESC
+    `;
+
+    const sessions = await database.query(sql, [userId]);
+    return sessions.map(session => this.formatSession(session));
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family
+   * Presenting a token that has already been rotated means it was copied;
+   * the whole family is revoked so neither copy can be used again.
+   */
+  static async rotate(refreshToken, meta = {}) {
+    const session = await this.findByRefreshToken(refreshToken);
+
+    if (!session || session.revokedAt) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (session.rotatedAt) {
+      await this.rejectReuse(session, meta);
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      throw new AuthenticationError('Refresh token expired');
+    }
+
+    // Guard against two concurrent requests rotating the same token
+    const result = await database.query(
+      'UPDATE user_sessions SET rotated_at = NOW() WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL',
+      [session.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await this.rejectReuse(session, meta);
+    }
+
+    return await this.issue({
+      userId: session.userId,
+      familyId: session.familyId,
+      expiresAt: session.expiresAt,
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+  }
+
+  static async rejectReuse(session, meta = {}) {
+    await this.revokeFamily(session.familyId);
+
+    logger.logSecurityEvent('refresh_token_reuse', {
+      userId: session.userId,
+      familyId: session.familyId,
+      ip: meta.ipAddress
+    });
+
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+
+  static async revokeFamily(familyId) {
+    try {
+      const result = await database.query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+        [familyId]
+      );
+
+      logger.logAuth('Session family revoked', { familyId });
+      return result.affectedRows;
+    } catch (error) {
+      logger.logAuth('Failed to revoke session family', { familyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one device session belonging to a user
+   * @param {number} id - user_sessions row id as returned by findActiveByUser
+   */
+  static async revoke(id, userId) {
+    const session = await database.findOne('user_sessions', { id, user_id: userId });
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await this.revokeFamily(session.family_id);
+    return true;
+  }
+
+  static async revokeAllForUser(userId, options = {}) {
+    const { exceptFamilyId } = options;
+
+    let sql = 'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+    const values = [userId];
+
+    if (exceptFamilyId) {
+      sql += ' AND family_id <> ?';
+      values.push(exceptFamilyId);
+    }
+
+    try {
+      const result = await database.query(sql, values);
+
+      logger.logAuth('All sessions revoked for user', { userId, exceptFamilyId });
+      return result.affectedRows;
+    } catch (error) {
+      logger.logAuth('Failed to revoke user sessions', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  static async deleteExpired() {
+    const result = await database.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+    return result.affectedRows;
+  }
+
+  static formatSession(session) {
+    if (!session) return null;
+
+    return {
+      id: session.id,
+      userId: session.user_id,
+      familyId: session.family_id,
+      sessionToken: session.session_token,
+      expiresAt: session.expires_at,
+      rotatedAt: session.rotated_at,
+      revokedAt: session.revoked_at,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      signedInAt: session.signed_in_at,
+      createdAt: session.created_at
+    };
+  }
+
+  /**
+   * Shape a session for the devices list, hiding token material
+   * @param {Object} session - Formatted session
+   * @param {string} currentFamilyId - Family of the requesting access token, if any
+   */
+  static formatDevice(session, currentFamilyId) {
+    return {
+      id: session.id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      signedInAt: session.signedInAt,
+      lastActiveAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentFamilyId) && currentFamilyId === session.familyId
+    };
+  }
+}
+
+module.exports = UserSession;
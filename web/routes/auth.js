@@ -1,9 +1,1217 @@
 const express = require('express');
 const router = express.Router();
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const UserMfa = require('../models/UserMfa');
+const EmailVerification = require('../models/EmailVerification');
+const PasswordReset = require('../models/PasswordReset');
+const MagicLink = require('../models/MagicLink');
+const CompanyInvitation = require('../models/CompanyInvitation');
+const PasswordPolicy = require('../models/PasswordPolicy');
+const AccountLockout = require('../models/AccountLockout');
+const UserIdentity = require('../models/UserIdentity');
+const OAuthLoginCode = require('../models/OAuthLoginCode');
+const CompanySso = require('../models/CompanySso');
+const SigningKey = require('../models/SigningKey');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const { authenticateToken, authorizeRoles, authorizeScopes, requireInteractiveAuth, rejectApiKeys, optionalAuth } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler, ApiError, AuthenticationError, AuthorizationError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { signMfaToken, verifyMfaToken, signPurposeToken, verifyPurposeToken, hashToken } = require('../utils/tokens');
+const { buildFrontendUrl, sendPasswordResetEmail, sendVerificationEmail, sendAccountLockedEmail, sendMagicLinkEmail } = require('../utils/mailer');
+const { passport, isProviderEnabled, getEnabledProviders, getProviderName } = require('../config/passport');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
 
-// Simple test route
-router.get('/test', (req, res) => {
-  res.json({ message: 'Auth route working' });
+/**
+ * Start a new session family and issue its first access/refresh token pair
+ */
+const startSession = async (user, req, options = {}) => {
+  return await UserSession.start(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    rememberMe: options.rememberMe
+  });
+};
+
+/**
+ * Finish a fully authenticated login and build the response payload
+ */
+const completeLogin = async (user, req, options = {}) => {
+  await User.updateLastLogin(user.id);
+  await AccountLockout.recordSuccess(user.email, req.ip, user.id);
+  const tokens = await startSession(user, req, options);
+
+  logger.logAuthEvent('login', user.id, { ip: req.ip, ...options });
+
+  return {
+    user: await User.findById(user.id),
+    ...tokens
+  };
+};
+
+/**
+ * Issue and mail a verification link
+ * Delivery failures are logged rather than thrown; the user can ask for a resend.
+ */
+const sendEmailVerification = async (user) => {
+  try {
+    const token = await EmailVerification.create(user.id);
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    logger.logError('Failed to send verification email', error, { userId: user.id });
+    return false;
+  }
+};
+
+/**
+ * Record a failed sign-in step and, if it locked the account, mail the owner an unlock link
+ */
+const recordLoginFailure = async (email, req, user = null) => {
+  const locked = await AccountLockout.recordFailure(email, req.ip, user);
+
+  if (locked && user) {
+    AccountLockout.createUnlockToken(user.id)
+      .then(token => sendAccountLockedEmail(user, token))
+      .catch(error => logger.logError('Failed to send account locked email', error, { userId: user.id }));
+  }
+};
+
+/**
+ * Respond once the first factor (password, OAuth provider or magic link) has succeeded
+ * Enrolled users are challenged for a second factor and users whose company
+ * requires two-factor auth must enroll first; everyone else is signed in.
+ */
+const respondToLogin = async (user, req, res, options = {}) => {
+  const { rememberMe } = options;
+
+  if (await UserMfa.isEnabled(user.id)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaToken: signMfaToken(user, 'mfa_challenge', { rememberMe })
+      }
+    });
+  }
+
+  if (await UserMfa.isRequiredFor(user)) {
+    return res.json({
+      success: true,
+      message: 'Your organization requires two-factor authentication. Please set it up to continue.',
+      data: {
+        mfaSetupRequired: true,
+        mfaToken: signMfaToken(user, 'mfa_setup', { rememberMe })
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: await completeLogin(user, req, options)
+  });
+};
+
+// Register a new account
+router.post('/register',
+  validations.validateRegistration,
+  asyncHandler(async (req, res) => {
+    const { email, password, firstName, lastName, phone } = req.body;
+
+    // Self-registration always creates candidates; staff accounts are
+    // created by admins through the users API.
+    const user = await User.create({
+      email,
+      password,
+      firstName,
+      lastName,
+      phone,
+      role: 'candidate'
+    });
+
+    const tokens = await startSession(user, req);
+    await sendEmailVerification(user);
+
+    logger.logAuthEvent('register', user.id, { email, ip: req.ip });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful. Please check your email to verify your address.',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  })
+);
+
+// Log in with email and password
+router.post('/login',
+  validations.validateLogin,
+  asyncHandler(async (req, res) => {
+    const { email, password, rememberMe } = req.body;
+
+    await AccountLockout.assertCanAttempt(email, req.ip);
+
+    const user = await User.findByEmailWithPassword(email);
+    const isValidPassword = user && user.password ? await User.validatePassword(password, user.password) : false;
+
+    if (!isValidPassword) {
+      logger.logSecurityEvent('login_failed', { email, ip: req.ip });
+      await recordLoginFailure(email, req, user);
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    if (!user.isActive) {
+      logger.logSecurityEvent('login_inactive_account', { userId: user.id, ip: req.ip });
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    if (await PasswordPolicy.isExpired(user)) {
+      logger.logAuthEvent('password_expired', user.id, { ip: req.ip });
+
+      return res.json({
+        success: true,
+        message: 'Your password has expired. Please choose a new one to continue.',
+        data: {
+          passwordExpired: true,
+          passwordChangeToken: signPurposeToken({
+            userId: user.id,
+            rememberMe,
+            // Ties the token to the expired hash so it cannot be replayed after the change
+            passwordFingerprint: hashToken(user.password).slice(0, 16)
+          }, 'password_expired', '10m')
+        }
+      });
+    }
+
+    await respondToLogin(user, req, res, { rememberMe });
+  })
+);
+
+// Replace an expired password and continue the login (two-factor auth still applies)
+router.post('/password-expired',
+  validations.validatePasswordExpiredChange,
+  asyncHandler(async (req, res) => {
+    const decoded = verifyPurposeToken(req.body.passwordChangeToken, 'password_expired');
+    const user = await User.findByIdWithPassword(decoded.userId);
+
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    if (!user.password || hashToken(user.password).slice(0, 16) !== decoded.passwordFingerprint) {
+      throw new AuthenticationError('Password change token is no longer valid');
+    }
+
+    await User.replaceExpiredPassword(user.id, req.body.newPassword);
+
+    logger.logAuthEvent('password_changed', user.id, { ip: req.ip, expired: true });
+
+    await respondToLogin(user, req, res, { rememberMe: decoded.rememberMe });
+  })
+);
+
+// Get the password policy, e.g. to show requirements next to password fields
+router.get('/password-policy', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await PasswordPolicy.getPolicy()
+  });
+}));
+
+// Update the password policy (Admin only)
+// Applies to new passwords; existing passwords are only affected through maxAgeDays
+router.put('/password-policy',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validatePasswordPolicy,
+  asyncHandler(async (req, res) => {
+    const policy = await PasswordPolicy.update(req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Password policy updated',
+      data: policy
+    });
+  })
+);
+
+// Request a passwordless sign-in link (roles enabled through MAGIC_LINK_ROLES)
+router.post('/magic-link',
+  validations.validateMagicLinkRequest,
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    if (user && user.isActive && MagicLink.isEnabledFor(user)) {
+      const token = await MagicLink.create(user.id, { ipAddress: req.ip });
+
+      // Not awaited: waiting on SMTP would make known emails measurably slower
+      sendMagicLinkEmail(user, token).catch(error => {
+        logger.logError('Failed to send magic link email', error, { userId: user.id });
+      });
+
+      logger.logAuthEvent('magic_link_requested', user.id, { ip: req.ip });
+    } else {
+      logger.logSecurityEvent('magic_link_refused', { email, ip: req.ip });
+    }
+
+    // Same response either way so the endpoint cannot be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If passwordless sign-in is available for this email, a sign-in link has been sent'
+    });
+  })
+);
+
+// Exchange a sign-in link for a session; two-factor auth still applies
+router.post('/magic-link/verify',
+  validations.validateMagicLinkVerify,
+  asyncHandler(async (req, res) => {
+    const { token, rememberMe } = req.body;
+
+    let userId;
+    try {
+      userId = await MagicLink.consume(token);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        logger.logSecurityEvent('magic_link_invalid_token', { ip: req.ip });
+      }
+      throw error;
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    // The role may have changed since the link was sent
+    if (!MagicLink.isEnabledFor(user)) {
+      throw new AuthenticationError('Passwordless sign-in is not available for this account');
+    }
+
+    await AccountLockout.assertCanAttempt(user.email, req.ip);
+
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      await User.verifyEmail(user.id);
+    }
+
+    await respondToLogin(user, req, res, { rememberMe, magicLink: true });
+  })
+);
+
+// Show a company invitation before accepting it
+router.post('/invitations/lookup',
+  validations.validateInvitationToken,
+  asyncHandler(async (req, res) => {
+    const { invitation, accountExists } = await CompanyInvitation.findByToken(req.body.token);
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        companyName: invitation.companyName,
+        role: invitation.role,
+        position: invitation.position,
+        inviterName: invitation.inviterName,
+        expiresAt: invitation.expiresAt,
+        accountExists
+      }
+    });
+  })
+);
+
+// Accept a company invitation
+// New accounts are signed in (two-factor auth still applies); existing accounts
+// join the company and sign in as usual, since the link is not a sign-in method
+router.post('/invitations/accept',
+  validations.validateInvitationAccept,
+  asyncHandler(async (req, res) => {
+    const { token, rememberMe, ...accountData } = req.body;
+
+    const { user, newAccount } = await CompanyInvitation.accept(token, accountData);
+
+    logger.logAuthEvent('company_invitation_accepted', user.id, { ip: req.ip, companyId: user.companyId, newAccount });
+
+    if (!newAccount) {
+      return res.json({
+        success: true,
+        message: `You have joined ${user.companyName || 'the company'}. Sign in to continue.`,
+        data: { user }
+      });
+    }
+
+    await respondToLogin(user, req, res, { rememberMe });
+  })
+);
+
+// Complete a two-factor login with a TOTP or recovery code
+router.post('/mfa/verify',
+  validations.validateMfaVerify,
+  asyncHandler(async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const decoded = verifyMfaToken(mfaToken, 'mfa_challenge');
+    const user = await User.findById(decoded.userId);
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    await AccountLockout.assertCanAttempt(user.email, req.ip);
+
+    const isValid = code
+      ? await UserMfa.verifyCode(user.id, code)
+      : await UserMfa.useRecoveryCode(user.id, recoveryCode);
+
+    if (!isValid) {
+      logger.logSecurityEvent('mfa_verification_failed', { userId: user.id, ip: req.ip });
+      await recordLoginFailure(user.email, req, user);
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(user, req, { rememberMe: decoded.rememberMe, mfa: true })
+    });
+  })
+);
+
+/**
+ * Resolve the user enrolling in two-factor auth
+ * Either a signed-in user, or one holding an 'mfa_setup' token from a login
+ * that policy blocked until enrollment is complete.
+ */
+const resolveMfaEnrollment = async (req) => {
+  if (req.user) {
+    return { user: await User.findById(req.user.id), fromLogin: false };
+  }
+
+  if (!req.body.mfaToken) {
+    throw new AuthenticationError('No token provided');
+  }
+
+  const decoded = verifyMfaToken(req.body.mfaToken, 'mfa_setup');
+  return {
+    user: await User.findById(decoded.userId),
+    fromLogin: true,
+    rememberMe: decoded.rememberMe
+  };
+};
+
+// Two-factor status for the current user
+router.get('/mfa',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    const mfa = await UserMfa.findByUserId(req.user.id);
+    const enabled = Boolean(mfa && mfa.enabled);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        enabledAt: enabled ? mfa.enabledAt : null,
+        required: await UserMfa.isRequiredFor(req.user),
+        recoveryCodesRemaining: enabled ? await UserMfa.countRemainingRecoveryCodes(req.user.id) : 0
+      }
+    });
+  })
+);
+
+// Start two-factor enrollment: returns the secret and otpauth URI for the QR code
+router.post('/mfa/setup',
+  optionalAuth,
+  requireInteractiveAuth,
+  validations.validateMfaSetup,
+  asyncHandler(async (req, res) => {
+    const { user } = await resolveMfaEnrollment(req);
+    const enrollment = await UserMfa.setup(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  })
+);
+
+// Confirm enrollment with a code; returns recovery codes (and a session when enrolling during login)
+router.post('/mfa/enable',
+  optionalAuth,
+  requireInteractiveAuth,
+  validations.validateMfaEnable,
+  asyncHandler(async (req, res) => {
+    const { user, fromLogin, rememberMe } = await resolveMfaEnrollment(req);
+    const recoveryCodes = await UserMfa.enable(user.id, req.body.code);
+
+    logger.logSecurityEvent('mfa_enabled', { userId: user.id, ip: req.ip });
+
+    const data = { recoveryCodes };
+    if (fromLogin) {
+      Object.assign(data, await completeLogin(user, req, { rememberMe, mfa: true }));
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  })
+);
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/mfa/recovery-codes',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateMfaCode,
+  asyncHandler(async (req, res) => {
+    if (!await UserMfa.verifyCode(req.user.id, req.body.code)) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const recoveryCodes = await UserMfa.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  })
+);
+
+// Turn off two-factor auth (requires password and a current code)
+router.post('/mfa/disable',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateMfaDisable,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (await UserMfa.isRequiredFor(req.user)) {
+      throw new AuthorizationError('Your organization requires two-factor authentication');
+    }
+
+    const user = await User.findByIdWithPassword(req.user.id);
+    const isValidPassword = await User.validatePassword(password, user.password);
+
+    if (!isValidPassword || !await UserMfa.verifyCode(req.user.id, code)) {
+      throw new ValidationError('Invalid password or two-factor code');
+    }
+
+    await UserMfa.disable(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  })
+);
+
+/**
+ * Only allow OAuth routes for providers configured on this server
+ */
+const requireOAuthProvider = (req, res, next) => {
+  if (!isProviderEnabled(req.params.provider)) {
+    return next(new NotFoundError('Sign-in provider is not available'));
+  }
+  next();
+};
+
+/**
+ * Send the browser back to the frontend with the outcome of an OAuth round trip
+ * The fragment carries secrets: browsers never send it to servers, in the
+ * Referer header or otherwise.
+ */
+const redirectToFrontend = (res, query, fragment) => {
+  const url = buildFrontendUrl('/oauth/callback', query);
+  res.redirect(fragment ? `${url}#${new URLSearchParams(fragment)}` : url);
+};
+
+/**
+ * Send a successful sign-in back to the frontend with a single-use code to
+ * exchange at /oauth/complete
+ */
+const redirectWithLoginCode = async (res, user, provider, rememberMe) => {
+  const code = await OAuthLoginCode.create(user.id, { provider, rememberMe });
+  redirectToFrontend(res, { status: 'success', provider }, { code });
+};
+
+/**
+ * Act on the profile returned by a provider
+ * Either links it to the user who started a link flow, or signs in with it.
+ * Sign-ins hand the frontend a short-lived, single-use code to exchange at
+ * /oauth/complete, so access and refresh tokens never appear in a URL.
+ */
+const handleOAuthProfile = async (req, res, profile) => {
+  const { provider } = req.params;
+  const pending = req.session.oauth || {};
+  delete req.session.oauth;
+
+  if (pending.action === 'link') {
+    await UserIdentity.link(pending.userId, profile);
+    return redirectToFrontend(res, { status: 'linked', provider });
+  }
+
+  const { status, user } = await UserIdentity.authenticate(profile);
+
+  if (status === 'conflict') {
+    // The owner has to prove they control the existing account before the link is made
+    return redirectToFrontend(res, {
+      status: 'link_required',
+      provider,
+      email: user.email,
+      linkToken: signPurposeToken({ email: user.email, profile }, 'oauth_link_pending', '15m')
+    });
+  }
+
+  if (!user.isActive) {
+    throw new AuthenticationError('Account is deactivated');
+  }
+
+  if (status === 'created') {
+    if (!user.emailVerified) {
+      await sendEmailVerification(user);
+    }
+    logger.logAuthEvent('register', user.id, { provider, ip: req.ip });
+  }
+
+  await redirectWithLoginCode(res, user, provider, pending.rememberMe);
+};
+
+// List the OAuth providers available for sign-in
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: getEnabledProviders()
+  });
 });
 
-module.exports = router;
\ No newline at end of file
+// Start an OAuth sign-in, or a link when a linkToken from POST /oauth/:provider/link is given
+router.get('/oauth/:provider',
+  requireOAuthProvider,
+  (req, res, next) => {
+    const { linkToken, rememberMe } = req.query;
+    const userId = linkToken ? verifyPurposeToken(linkToken, 'oauth_link').userId : null;
+
+    req.session.oauth = {
+      action: userId ? 'link' : 'login',
+      userId,
+      rememberMe: rememberMe === 'true'
+    };
+
+    passport.authenticate(req.params.provider, { session: false })(req, res, next);
+  }
+);
+
+// Provider redirect target
+router.get('/oauth/:provider/callback',
+  requireOAuthProvider,
+  (req, res, next) => {
+    const { provider } = req.params;
+
+    passport.authenticate(provider, { session: false }, (error, profile) => {
+      if (error || !profile) {
+        logger.logSecurityEvent('oauth_failed', { provider, ip: req.ip, error: error ? error.message : undefined });
+        return redirectToFrontend(res, { status: 'error', provider, message: 'Sign-in was cancelled or could not be completed' });
+      }
+
+      handleOAuthProfile(req, res, profile).catch(error => {
+        if (error instanceof ApiError && error.statusCode < 500) {
+          logger.logSecurityEvent('oauth_rejected', { provider, ip: req.ip, error: error.message });
+          return redirectToFrontend(res, { status: 'error', provider, message: error.message });
+        }
+        next(error);
+      });
+    })(req, res, next);
+  }
+);
+
+// Exchange the code from a successful OAuth or SSO redirect for a session
+router.post('/oauth/complete',
+  validations.validateOAuthComplete,
+  asyncHandler(async (req, res) => {
+    const { userId, provider, rememberMe } = await OAuthLoginCode.consume(req.body.code);
+    const user = await User.findById(userId);
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    await respondToLogin(user, req, res, { rememberMe, provider });
+  })
+);
+
+// Confirm a link offered after an OAuth sign-in matched an existing account's email
+router.post('/oauth/link',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateOAuthLink,
+  asyncHandler(async (req, res) => {
+    const decoded = verifyPurposeToken(req.body.linkToken, 'oauth_link_pending');
+
+    if (decoded.email !== req.user.email.toLowerCase()) {
+      throw new AuthorizationError('This link request belongs to a different account');
+    }
+
+    const identity = await UserIdentity.link(req.user.id, decoded.profile);
+
+    res.json({
+      success: true,
+      message: `${getProviderName(identity.provider)} account linked`,
+      data: identity
+    });
+  })
+);
+
+// Get a URL that links another provider to the current user
+// Browser redirects carry no Authorization header, so the user is identified by a short-lived token
+router.post('/oauth/:provider/link',
+  authenticateToken,
+  requireInteractiveAuth,
+  requireOAuthProvider,
+  asyncHandler(async (req, res) => {
+    const linkToken = signPurposeToken({ userId: req.user.id }, 'oauth_link', '5m');
+
+    res.json({
+      success: true,
+      data: {
+        url: `${req.baseUrl}/oauth/${req.params.provider}?linkToken=${encodeURIComponent(linkToken)}`
+      }
+    });
+  })
+);
+
+// List the providers linked to the current user
+router.get('/identities',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    const identities = await UserIdentity.findByUser(req.user.id);
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword: Boolean(user.password),
+        identities
+      }
+    });
+  })
+);
+
+// Unlink a provider from the current user
+router.delete('/identities/:provider',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    await UserIdentity.unlink(req.user.id, req.params.provider);
+
+    res.json({
+      success: true,
+      message: `${getProviderName(req.params.provider)} account unlinked`
+    });
+  })
+);
+
+/**
+ * Wrap a single sign-on callback so its outcome reaches the frontend by redirect
+ * The handler resolves to { user, rememberMe }; the frontend exchanges the
+ * code it is given at /oauth/complete, exactly as for social sign-in.
+ */
+const handleSsoCallback = (handler) => async (req, res) => {
+  try {
+    const { user, rememberMe } = await handler(req);
+
+    logger.logAuthEvent('sso_login', user.id, { companyId: req.params.id, ip: req.ip });
+
+    await redirectWithLoginCode(res, user, 'sso', rememberMe);
+  } catch (error) {
+    const isClientError = error instanceof ApiError && error.statusCode < 500;
+
+    if (isClientError) {
+      logger.logSecurityEvent('sso_rejected', { companyId: req.params.id, ip: req.ip, error: error.message });
+    } else {
+      logger.logError('Single sign-on failed', error, { companyId: req.params.id });
+    }
+
+    redirectToFrontend(res, {
+      status: 'error',
+      provider: 'sso',
+      message: isClientError ? error.message : 'Single sign-on could not be completed'
+    });
+  }
+};
+
+// Find out whether an email address signs in through a company identity provider
+router.post('/sso/discover',
+  validations.validateSsoDiscovery,
+  asyncHandler(async (req, res) => {
+    const company = await CompanySso.discoverByEmail(req.body.email);
+
+    res.json({
+      success: true,
+      data: company
+        ? {
+            ssoEnabled: true,
+            companyId: company.companyId,
+            companyName: company.companyName,
+            loginUrl: `${req.baseUrl}/sso/${company.companyId}/login`
+          }
+        : { ssoEnabled: false }
+    });
+  })
+);
+
+// Start a login with a company's identity provider
+router.get('/sso/:id/login',
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    const companyId = req.params.id;
+    const rememberMe = req.query.rememberMe === 'true';
+
+    // SAML responses arrive as a cross-site POST without the session cookie,
+    // so their context travels in a signed RelayState instead
+    const relayState = signPurposeToken({ companyId, rememberMe }, 'sso_relay', '10m');
+    const login = await CompanySso.beginLogin(companyId, relayState);
+
+    if (login.protocol === 'oidc') {
+      req.session.sso = {
+        companyId,
+        rememberMe,
+        state: login.state,
+        nonce: login.nonce,
+        codeVerifier: login.codeVerifier
+      };
+    }
+
+    res.redirect(login.url);
+  })
+);
+
+// OpenID Connect redirect target
+router.get('/sso/:id/oidc/callback',
+  validations.validateIdParam,
+  handleSsoCallback(async (req) => {
+    const pending = req.session.sso;
+    delete req.session.sso;
+
+    if (req.query.error) {
+      throw new AuthenticationError(req.query.error_description || 'Sign-in was cancelled');
+    }
+
+    if (!pending || pending.companyId !== req.params.id || !req.query.state || req.query.state !== pending.state) {
+      throw new AuthenticationError('Your sign-in session has expired, please try again');
+    }
+
+    const user = await CompanySso.completeOidcLogin(req.params.id, {
+      code: req.query.code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    return { user, rememberMe: pending.rememberMe };
+  })
+);
+
+// SAML assertion consumer service (SP-initiated logins only)
+router.post('/sso/:id/saml/acs',
+  validations.validateIdParam,
+  handleSsoCallback(async (req) => {
+    let relay;
+    try {
+      relay = verifyPurposeToken(req.body.RelayState || '', 'sso_relay');
+    } catch (error) {
+      throw new AuthenticationError('Your sign-in session has expired, please try again');
+    }
+
+    if (relay.companyId !== req.params.id) {
+      throw new AuthenticationError('Sign-in response does not match this company');
+    }
+
+    const user = await CompanySso.completeSamlLogin(req.params.id, req.body);
+    return { user, rememberMe: relay.rememberMe };
+  })
+);
+
+// SAML service provider metadata, for registering SignInSoft with the IdP
+router.get('/sso/:id/saml/metadata',
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    const metadata = await CompanySso.getSamlMetadata(req.params.id);
+    res.type('application/xml').send(metadata);
+  })
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh',
+  validations.validateRefreshToken,
+  asyncHandler(async (req, res) => {
+    const { session, refreshToken } = await UserSession.rotate(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const user = await User.findById(session.userId);
+
+    if (!user.isActive) {
+      await UserSession.revokeFamily(session.familyId);
+      throw new AuthenticationError('Account is deactivated');
+    }
+
+    res.json({
+      success: true,
+      data: await UserSession.buildTokens(user, session, refreshToken)
+    });
+  })
+);
+
+// Log out the current user
+router.post('/logout',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (req.user.sessionId) {
+      const session = await UserSession.findBySessionToken(req.user.sessionId);
+
+      if (session && session.userId === req.user.id) {
+        await UserSession.revokeFamily(session.familyId);
+      }
+    }
+
+    logger.logAuthEvent('logout', req.user.id, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  })
+);
+
+// List the devices currently signed in to my account
+router.get('/sessions',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    const sessions = await UserSession.findActiveByUser(req.user.id);
+    const current = req.user.sessionId
+      ? await UserSession.findBySessionToken(req.user.sessionId)
+      : null;
+
+    res.json({
+      success: true,
+      data: sessions.map(session => UserSession.formatDevice(session, current && current.familyId))
+    });
+  })
+);
+
+// Sign out every device (optionally keeping the current one)
+router.delete('/sessions',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+    const current = exceptCurrent && req.user.sessionId
+      ? await UserSession.findBySessionToken(req.user.sessionId)
+      : null;
+
+    const revokedCount = await UserSession.revokeAllForUser(req.user.id, {
+      exceptFamilyId: current ? current.familyId : undefined
+    });
+
+    logger.logSecurityEvent('sessions_revoked', {
+      userId: req.user.id,
+      exceptCurrent,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: exceptCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+      data: { revokedCount }
+    });
+  })
+);
+
+// Sign out a single device
+router.delete('/sessions/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await UserSession.revoke(req.params.id, req.user.id);
+
+    logger.logSecurityEvent('session_revoked', {
+      userId: req.user.id,
+      sessionId: req.params.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  })
+);
+
+// List the scopes that can be granted to an API key
+router.get('/api-keys/scopes',
+  authenticateToken,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        scopes: ALL_PERMISSIONS,
+        grantable: req.user.permissions
+      }
+    });
+  }
+);
+
+// List my personal API keys
+router.get('/api-keys',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await ApiKey.findByOwner({ userId: req.user.id })
+    });
+  })
+);
+
+// Create a personal API key; the key itself is only shown in this response
+router.post('/api-keys',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateApiKeyCreate,
+  asyncHandler(async (req, res) => {
+    const { key, apiKey } = await ApiKey.create({ userId: req.user.id }, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { key, apiKey }
+    });
+  })
+);
+
+// Revoke one of my personal API keys
+router.delete('/api-keys/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await ApiKey.revoke(req.params.id, { userId: req.user.id }, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  })
+);
+
+// List access token signing keys (Admin only)
+router.get('/keys',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await SigningKey.findAll()
+    });
+  })
+);
+
+// Rotate the access token signing key now (Admin only)
+// revokePrevious invalidates every outstanding access token, for use after a key leak
+router.post('/keys/rotate',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateKeyRotation,
+  asyncHandler(async (req, res) => {
+    const kid = await SigningKey.rotate({
+      reason: 'manual',
+      revokePrevious: req.body.revokePrevious,
+      rotatedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated',
+      data: { kid }
+    });
+  })
+);
+
+// Verify an email address using the token from the verification email
+router.post('/verify-email',
+  validations.validateEmailVerification,
+  asyncHandler(async (req, res) => {
+    const userId = await EmailVerification.verify(req.body.token);
+
+    logger.logAuthEvent('email_verified', userId, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  })
+);
+
+// Send a fresh verification email to the current user
+router.post('/resend-verification',
+  authenticateToken,
+  rejectApiKeys,
+  asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+      throw new ValidationError('Email address is already verified');
+    }
+
+    const sent = await sendEmailVerification(req.user);
+    if (!sent) {
+      throw new ApiError('Could not send verification email, please try again later', 503);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  })
+);
+
+// Unlock an account using the token from the account locked email
+router.post('/unlock',
+  validations.validateAccountUnlock,
+  asyncHandler(async (req, res) => {
+    const userId = await AccountLockout.unlockWithToken(req.body.token, req.ip);
+
+    logger.logAuthEvent('account_unlocked', userId, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+  })
+);
+
+// Get the current user's profile
+router.get('/me',
+  authenticateToken,
+  authorizeScopes('profile:read'),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...user,
+        permissions: req.user.permissions,
+        impersonator: req.user.impersonator || null
+      }
+    });
+  })
+);
+
+// Stop impersonating; the impersonation token is rejected from now on
+router.post('/impersonation/stop',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (!req.user.impersonationId) {
+      throw new ValidationError('You are not impersonating a user');
+    }
+
+    await Impersonation.stop(req.user.impersonationId, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  })
+);
+
+// Change password for the current user
+router.post('/change-password',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validatePasswordChange,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    await User.updatePassword(req.user.id, currentPassword, newPassword);
+
+    logger.logAuthEvent('password_changed', req.user.id, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  })
+);
+
+// Request a password reset link
+router.post('/forgot-password',
+  validations.validatePasswordResetRequest,
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    if (user && user.isActive) {
+      const token = await PasswordReset.create(user.id);
+
+      // Not awaited: waiting on SMTP would make known emails measurably slower
+      sendPasswordResetEmail(user, token).catch(error => {
+        logger.logError('Failed to send password reset email', error, { userId: user.id });
+      });
+
+      logger.logAuthEvent('password_reset_requested', user.id, { ip: req.ip });
+    } else {
+      logger.logSecurityEvent('password_reset_unknown_email', { email, ip: req.ip });
+    }
+
+    // Same response either way so the endpoint cannot be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  })
+);
+
+// Reset password using a token from the reset email
+router.post('/reset-password',
+  validations.validatePasswordReset,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    let userId;
+    try {
+      userId = await User.resetPassword(token, password);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        logger.logSecurityEvent('password_reset_invalid_token', { ip: req.ip });
+      }
+      throw error;
+    }
+
+    logger.logAuthEvent('password_reset', userId, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please sign in again on all devices.'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const Candidate = require('../models/Candidate');
+const Match = require('../models/Match');
+const { authenticateToken, authorizeRoles, authorizeScopes } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Get own candidate profile (null until the first update)
+router.get('/me',
+  authenticateToken,
+  authorizeScopes('profile:read'),
+  authorizeRoles(['candidate']),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await Candidate.findByUserId(req.user.id)
+    });
+  })
+);
+
+// Create or update own profile details
+router.put('/me',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateCandidateProfile,
+  asyncHandler(async (req, res) => {
+    const profile = await Candidate.updateProfile(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: profile
+    });
+  })
+);
+
+// Replace own skills
+router.put('/me/skills',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateCandidateSkills,
+  asyncHandler(async (req, res) => {
+    const skills = await Candidate.setSkills(req.user.id, req.body.skills);
+
+    res.json({
+      success: true,
+      message: 'Skills updated',
+      data: skills
+    });
+  })
+);
+
+// Get open jobs ranked by how well they fit own profile
+router.get('/me/job-matches',
+  authenticateToken,
+  authorizeScopes('profile:read'),
+  authorizeRoles(['candidate']),
+  validations.validatePagination,
+  asyncHandler(async (req, res) => {
+    const { jobs, pagination } = await Match.rankJobs(req.user.id, req.query);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination
+    });
+  })
+);
+
+// Get a suggested profile parsed from own uploaded resume
+router.get('/me/resume/suggestion',
+  authenticateToken,
+  authorizeScopes('profile:read'),
+  authorizeRoles(['candidate']),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await Candidate.suggestFromResume(req.user.id)
+    });
+  })
+);
+
+// Save the confirmed parts of a resume suggestion to own profile
+router.post('/me/resume/apply',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateResumeSuggestion,
+  asyncHandler(async (req, res) => {
+    const profile = await Candidate.applyResumeSuggestion(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Profile updated from resume',
+      data: profile
+    });
+  })
+);
+
+// Add a work experience entry
+router.post('/me/experiences',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateWorkExperience,
+  asyncHandler(async (req, res) => {
+    const experience = await Candidate.addExperience(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Work experience added',
+      data: experience
+    });
+  })
+);
+
+// Update a work experience entry
+router.put('/me/experiences/:id',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateIdParam,
+  validations.validateWorkExperience,
+  asyncHandler(async (req, res) => {
+    const experience = await Candidate.updateExperience(req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Work experience updated',
+      data: experience
+    });
+  })
+);
+
+// Delete a work experience entry
+router.delete('/me/experiences/:id',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await Candidate.deleteItem('work_experiences', req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Work experience deleted'
+    });
+  })
+);
+
+// Add an education entry
+router.post('/me/educations',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateEducation,
+  asyncHandler(async (req, res) => {
+    const education = await Candidate.addEducation(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Education added',
+      data: education
+    });
+  })
+);
+
+// Update an education entry
+router.put('/me/educations/:id',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateIdParam,
+  validations.validateEducation,
+  asyncHandler(async (req, res) => {
+    const education = await Candidate.updateEducation(req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Education updated',
+      data: education
+    });
+  })
+);
+
+// Delete an education entry
+router.delete('/me/educations/:id',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  authorizeRoles(['candidate']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await Candidate.deleteItem('educations', req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Education deleted'
+    });
+  })
+);
+
+// Get an applicant's full profile by their user id (Admin, or HR of a company they applied to)
+router.get('/:id',
+  authenticateToken,
+  authorizeScopes('candidates:read'),
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await Candidate.findForViewer(req.params.id, req.user)
+    });
+  })
+);
+
+module.exports = router;
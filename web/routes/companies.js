@@ -1,9 +1,306 @@
 const express = require('express');
 const router = express.Router();
+const Company = require('../models/Company');
+const CompanySso = require('../models/CompanySso');
+const ApiKey = require('../models/ApiKey');
+const CompanyInvitation = require('../models/CompanyInvitation');
+const { authenticateToken, authorizeRoles, requireInteractiveAuth } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+const { sendInvitationEmail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+/**
+ * HR users may only manage their own company
+ */
+const assertCanManageCompany = (req, companyId) => {
+  if (req.user.baseRole === 'hr' && req.user.companyId !== companyId) {
+    throw new AuthorizationError('You can only manage your own company');
+  }
+};
+
+/**
+ * Email an invitation; a failure is reported rather than thrown so the invitation can be resent
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const deliverInvitation = async (invitation, token) => {
+  try {
+    await sendInvitationEmail(invitation, token);
+    return true;
+  } catch (error) {
+    logger.logError('Failed to send company invitation email', error, { invitationId: invitation.id });
+    return false;
+  }
+};
 
 // Test route
 router.get('/test', (req, res) => {
   res.json({ message: 'Companies route working' });
 });
 
-module.exports = router;
\ No newline at end of file
+// Update company security policy (Admin/HR of the company)
+router.patch('/:id/security-policy',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  validations.validateSecurityPolicy,
+  asyncHandler(async (req, res) => {
+    const companyId = req.params.id;
+    assertCanManageCompany(req, companyId);
+
+    const company = await Company.update(companyId, {
+      mfaRequired: req.body.mfaRequired
+    });
+
+    logger.logSecurityEvent('company_security_policy_updated', {
+      companyId,
+      updatedBy: req.user.id,
+      mfaRequired: req.body.mfaRequired
+    });
+
+    res.json({
+      success: true,
+      message: 'Security policy updated successfully',
+      data: {
+        companyId: company.id,
+        mfaRequired: company.mfaRequired
+      }
+    });
+  })
+);
+
+// Get the company's single sign-on configuration (Admin/HR of the company)
+router.get('/:id/sso',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    const config = await CompanySso.findByCompanyId(req.params.id);
+    if (!config) {
+      throw new NotFoundError('SSO is not configured for this company');
+    }
+
+    res.json({
+      success: true,
+      data: config
+    });
+  })
+);
+
+// Create or replace the company's identity provider configuration (Admin/HR of the company)
+router.put('/:id/sso',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  validations.validateSsoConfig,
+  asyncHandler(async (req, res) => {
+    const companyId = req.params.id;
+    assertCanManageCompany(req, companyId);
+
+    await Company.findById(companyId);
+    const config = await CompanySso.save(companyId, req.body, req.user);
+
+    logger.logSecurityEvent('company_sso_updated', {
+      companyId,
+      updatedBy: req.user.id,
+      protocol: config.protocol,
+      enabled: config.enabled
+    });
+
+    res.json({
+      success: true,
+      message: 'Single sign-on configuration saved',
+      data: config
+    });
+  })
+);
+
+// Remove the company's single sign-on configuration (Admin/HR of the company)
+router.delete('/:id/sso',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    await CompanySso.remove(req.params.id);
+
+    logger.logSecurityEvent('company_sso_removed', {
+      companyId: req.params.id,
+      removedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Single sign-on configuration removed'
+    });
+  })
+);
+
+// Set the email domains that sign in through the company's IdP (Admin only)
+// Claiming a domain routes its users to this IdP, so it is not left to company HR
+router.put('/:id/sso/domains',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  validations.validateSsoDomains,
+  asyncHandler(async (req, res) => {
+    await Company.findById(req.params.id);
+    const domains = await CompanySso.setDomains(req.params.id, req.body.domains);
+
+    logger.logSecurityEvent('company_sso_domains_updated', {
+      companyId: req.params.id,
+      updatedBy: req.user.id,
+      domains
+    });
+
+    res.json({
+      success: true,
+      message: 'Single sign-on domains updated',
+      data: { domains }
+    });
+  })
+);
+
+// List the company's API keys (Admin/HR of the company)
+router.get('/:id/api-keys',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    res.json({
+      success: true,
+      data: await ApiKey.findByOwner({ companyId: req.params.id })
+    });
+  })
+);
+
+// Create a company API key for an integration (Admin/HR of the company)
+// Company keys keep working when the person who created them leaves
+router.post('/:id/api-keys',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  validations.validateApiKeyCreate,
+  asyncHandler(async (req, res) => {
+    const companyId = req.params.id;
+    assertCanManageCompany(req, companyId);
+
+    await Company.findById(companyId);
+    const { key, apiKey } = await ApiKey.create({ companyId }, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { key, apiKey }
+    });
+  })
+);
+
+// Revoke a company API key (Admin/HR of the company)
+router.delete('/:id/api-keys/:keyId',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateCompanyApiKeyParams,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    await ApiKey.revoke(req.params.keyId, { companyId: req.params.id }, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  })
+);
+
+// List open invitations (Admin/HR of the company)
+router.get('/:id/invitations',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    res.json({
+      success: true,
+      data: await CompanyInvitation.findOpenByCompany(req.params.id)
+    });
+  })
+);
+
+// Invite a colleague to join the company with a role (Admin/HR of the company)
+router.post('/:id/invitations',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  validations.validateInvitationCreate,
+  asyncHandler(async (req, res) => {
+    const companyId = req.params.id;
+    assertCanManageCompany(req, companyId);
+
+    await Company.findById(companyId);
+    const { token, invitation } = await CompanyInvitation.create(companyId, req.body, req.user);
+    const emailSent = await deliverInvitation(invitation, token);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invitation sent to ${invitation.email}` : 'Invitation created, but the email could not be sent. Try resending it.',
+      data: { invitation, emailSent }
+    });
+  })
+);
+
+// Resend an invitation with a fresh link (Admin/HR of the company)
+router.post('/:id/invitations/:invitationId/resend',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateInvitationParams,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    const { token, invitation } = await CompanyInvitation.resend(req.params.invitationId, req.params.id, req.user.id);
+    const emailSent = await deliverInvitation(invitation, token);
+
+    res.json({
+      success: true,
+      message: emailSent ? `Invitation resent to ${invitation.email}` : 'The invitation email could not be sent',
+      data: { invitation, emailSent }
+    });
+  })
+);
+
+// Revoke an open invitation (Admin/HR of the company)
+router.delete('/:id/invitations/:invitationId',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin', 'hr']),
+  validations.validateInvitationParams,
+  asyncHandler(async (req, res) => {
+    assertCanManageCompany(req, req.params.id);
+
+    await CompanyInvitation.revoke(req.params.invitationId, req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  })
+);
+
+module.exports = router;
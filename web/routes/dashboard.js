@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, rejectApiKeys } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const db = require('../config/database');
@@ -8,6 +8,7 @@ const db = require('../config/database');
 // Get dashboard overview (Role-based)
 router.get('/overview',
   authenticateToken,
+  rejectApiKeys,
   asyncHandler(async (req, res) => {
     const { period = '30' } = req.query; // days
     const periodDays = parseInt(period);
@@ -96,7 +97,7 @@ router.get('/overview',
         recentActivities
       };
       
-    } else if (req.user.role === 'hr') {
+    } else if (req.user.baseRole === 'hr') {
       // HR Dashboard
       const [jobStats] = await db.query(`
         SELECT 
@@ -184,7 +185,7 @@ router.get('/overview',
         upcomingEvents
       };
       
-    } else if (req.user.role === 'candidate') {
+    } else if (req.user.baseRole === 'candidate') {
       // Candidate Dashboard
       const [applicationStats] = await db.query(`
         SELECT 
@@ -307,6 +308,7 @@ router.get('/overview',
 // Get analytics data (Admin/HR only)
 router.get('/analytics',
   authenticateToken,
+  rejectApiKeys,
   authorizeRoles(['admin', 'hr']),
   asyncHandler(async (req, res) => {
     const { period = '30', type = 'overview' } = req.query;
@@ -317,8 +319,8 @@ router.get('/analytics',
     
     if (type === 'overview' || type === 'users') {
       // User analytics
-      const userWhereClause = req.user.role === 'hr' ? 'WHERE company_id = ?' : '';
-      const userParams = req.user.role === 'hr' ? [req.user.companyId] : [];
+      const userWhereClause = req.user.baseRole === 'hr' ? 'WHERE company_id = ?' : '';
+      const userParams = req.user.baseRole === 'hr' ? [req.user.companyId] : [];
       
       const [userTrends] = await db.query(`
         SELECT 
@@ -337,8 +339,8 @@ router.get('/analytics',
     
     if (type === 'overview' || type === 'jobs') {
       // Job analytics
-      const jobWhereClause = req.user.role === 'hr' ? 'WHERE company_id = ?' : '';
-      const jobParams = req.user.role === 'hr' ? [req.user.companyId] : [];
+      const jobWhereClause = req.user.baseRole === 'hr' ? 'WHERE company_id = ?' : '';
+      const jobParams = req.user.baseRole === 'hr' ? [req.user.companyId] : [];
       
       const [jobTrends] = await db.query(`
         SELECT 
@@ -378,7 +380,7 @@ router.get('/analytics',
       
       const applicationParams = [];
       
-      if (req.user.role === 'hr') {
+      if (req.user.baseRole === 'hr') {
         applicationQuery += ` JOIN jobs j ON a.job_id = j.id WHERE j.company_id = ?`;
         applicationParams.push(req.user.companyId);
       } else {
@@ -401,7 +403,7 @@ router.get('/analytics',
       
       const successRateParams = [];
       
-      if (req.user.role === 'hr') {
+      if (req.user.baseRole === 'hr') {
         successRateQuery += ` JOIN jobs j ON a.job_id = j.id WHERE j.company_id = ?`;
         successRateParams.push(req.user.companyId);
       }
@@ -456,6 +458,7 @@ router.get('/analytics',
 // Get quick stats (All authenticated users)
 router.get('/quick-stats',
   authenticateToken,
+  rejectApiKeys,
   asyncHandler(async (req, res) => {
     let quickStats = {};
     
@@ -469,7 +472,7 @@ router.get('/quick-stats',
       `);
       quickStats = stats[0];
       
-    } else if (req.user.role === 'hr') {
+    } else if (req.user.baseRole === 'hr') {
       const [stats] = await db.query(`
         SELECT 
           (SELECT COUNT(*) FROM jobs WHERE company_id = ? AND status = 'active') as active_jobs,
@@ -479,7 +482,7 @@ router.get('/quick-stats',
       `, [req.user.companyId, req.user.companyId, req.user.companyId, req.user.companyId]);
       quickStats = stats[0];
       
-    } else if (req.user.role === 'candidate') {
+    } else if (req.user.baseRole === 'candidate') {
       const [stats] = await db.query(`
         SELECT 
           (SELECT COUNT(*) FROM applications WHERE candidate_id = ?) as my_applications,
@@ -505,6 +508,7 @@ router.get('/quick-stats',
 // Get notifications/alerts (All authenticated users)
 router.get('/notifications',
   authenticateToken,
+  rejectApiKeys,
   asyncHandler(async (req, res) => {
     const { limit = 10 } = req.query;
     
@@ -527,7 +531,7 @@ router.get('/notifications',
       `, [parseInt(limit)]);
       notifications = adminNotifications;
       
-    } else if (req.user.role === 'hr') {
+    } else if (req.user.baseRole === 'hr') {
       // HR notifications
       const [hrNotifications] = await db.query(`
         SELECT 'new_application' as type, CONCAT('New application for ', j.title, ' from ', u.first_name, ' ', u.last_name) as message, a.applied_at as notification_date
@@ -544,7 +548,7 @@ router.get('/notifications',
       `, [req.user.companyId, req.user.id, parseInt(limit)]);
       notifications = hrNotifications;
       
-    } else if (req.user.role === 'candidate') {
+    } else if (req.user.baseRole === 'candidate') {
       // Candidate notifications
       const [candidateNotifications] = await db.query(`
         SELECT 'application_update' as type, CONCAT('Application status updated for ', j.title, ': ', a.status) as message, a.updated_at as notification_date
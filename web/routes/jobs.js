@@ -1,9 +1,32 @@
 const express = require('express');
 const router = express.Router();
+const Match = require('../models/Match');
+const { authenticateToken, authorizeRoles, authorizeScopes, authorizeResource } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
 
 // Test route
 router.get('/test', (req, res) => {
   res.json({ message: 'Jobs route working' });
 });
 
+// Get a job's applicants ranked by fit, best match first (Admin, or HR of the job's company)
+router.get('/:id/matches',
+  authenticateToken,
+  authorizeScopes(['jobs:update', 'applications:read']),
+  authorizeRoles(['admin', 'hr']),
+  validations.validateIdParam,
+  authorizeResource('job', 'update'),
+  validations.validateApplicantMatches,
+  asyncHandler(async (req, res) => {
+    const { applicants, pagination } = await Match.rankApplicants(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: applicants,
+      pagination
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
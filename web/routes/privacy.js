@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const DataErasure = require('../models/DataErasure');
+const { authenticateToken, authorizeRoles, requireInteractiveAuth } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+
+// Request a copy of all personal data we hold about the signed-in user
+router.post('/exports',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    const dataExport = await DataExport.request(req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+      data: dataExport
+    });
+  })
+);
+
+// List own recent data exports
+router.get('/exports',
+  authenticateToken,
+  requireInteractiveAuth,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await DataExport.findByUser(req.user.id)
+    });
+  })
+);
+
+// Download an export from the emailed link; the token is the credential
+router.get('/exports/download',
+  validations.validateDataExportDownload,
+  asyncHandler(async (req, res) => {
+    const { filePath, filename } = await DataExport.resolveDownload(req.query.token);
+
+    res.set('Cache-Control', 'no-store');
+    res.download(filePath, filename);
+  })
+);
+
+// Get the status of one of own data exports
+router.get('/exports/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await DataExport.findById(req.params.id, req.user.id)
+    });
+  })
+);
+
+// Erase own account: personal data is anonymized and files deleted; this cannot be undone
+router.post('/erasure',
+  authenticateToken,
+  requireInteractiveAuth,
+  validations.validateErasureRequest,
+  asyncHandler(async (req, res) => {
+    const { email, password, reason } = req.body;
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    if (email !== user.email.toLowerCase()) {
+      throw new ValidationError('The email address does not match your account');
+    }
+    if (user.password && (!password || !await User.validatePassword(password, user.password))) {
+      throw new ValidationError('Password is incorrect');
+    }
+
+    await DataErasure.erase(req.user.id, { erasedBy: req.user.id, reason });
+
+    res.json({
+      success: true,
+      message: 'Your account has been erased'
+    });
+  })
+);
+
+// Erasure audit trail (Admin only)
+router.get('/erasures',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validatePagination,
+  asyncHandler(async (req, res) => {
+    const { erasures, pagination } = await DataErasure.findAll(req.query);
+
+    res.json({
+      success: true,
+      data: erasures,
+      pagination
+    });
+  })
+);
+
+module.exports = router;
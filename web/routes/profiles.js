@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { validations } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Get a user's public profile; only the fields they made public are included,
+// and users who made nothing public are not found
+router.get('/:id',
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await User.getPublicProfile(req.params.id)
+    });
+  })
+);
+
+module.exports = router;
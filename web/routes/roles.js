@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const { authenticateToken, authorizeRoles, requireInteractiveAuth } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { PERMISSION_CATALOG, ALL_PERMISSIONS } = require('../utils/permissions');
+
+// List roles with their permissions and user counts (Admin only)
+router.get('/',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  asyncHandler(async (req, res) => {
+    const roles = await Role.findAll();
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  })
+);
+
+// List the permissions that can be granted to a role (Admin only)
+router.get('/permissions',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        catalog: PERMISSION_CATALOG,
+        permissions: ALL_PERMISSIONS
+      }
+    });
+  }
+);
+
+// Get a role (Admin only)
+router.get('/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    const role = await Role.findById(req.params.id);
+
+    res.json({
+      success: true,
+      data: role
+    });
+  })
+);
+
+// Create a custom role (Admin only)
+router.post('/',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateRoleCreate,
+  asyncHandler(async (req, res) => {
+    const role = await Role.create(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      data: role
+    });
+  })
+);
+
+// Update a role's description, base role or permissions (Admin only)
+router.put('/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  validations.validateRoleUpdate,
+  asyncHandler(async (req, res) => {
+    const role = await Role.update(req.params.id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: role
+    });
+  })
+);
+
+// Delete a custom role that is not assigned to anyone (Admin only)
+router.delete('/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await Role.delete(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  })
+);
+
+module.exports = router;
@@ -3,10 +3,13 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, authorizeScopes, authorizeResource, rejectApiKeys } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const db = require('../config/database');
+const { checkAccess } = require('../utils/policies');
+const { extractResumeText } = require('../utils/resumeParser');
+const Candidate = require('../models/Candidate');
 
 // Ensure upload directories exist
 const ensureUploadDirs = async () => {
@@ -122,6 +125,7 @@ const upload = multer({
 // Upload profile picture
 router.post('/profile',
   authenticateToken,
+  authorizeScopes('profile:update'),
   upload.single('profilePicture'),
   asyncHandler(async (req, res) => {
     if (!req.file) {
@@ -163,6 +167,7 @@ router.post('/profile',
 // Upload resume
 router.post('/resume',
   authenticateToken,
+  authorizeScopes('profile:update'),
   authorizeRoles(['candidate']),
   upload.single('resume'),
   asyncHandler(async (req, res) => {
@@ -189,6 +194,17 @@ router.post('/resume',
       filePath: filePath
     });
     
+    // Parse the resume into a suggested profile; an unreadable resume is still a valid upload
+    let text = null;
+    try {
+      text = await extractResumeText(await fs.readFile(req.file.path), req.file.originalname);
+    } catch (error) {
+      logger.logError('Failed to extract resume text', error, { userId: req.user.id, fileName: req.file.filename });
+    }
+    
+    await Candidate.saveResume(req.user.id, fileUrl, text);
+    const suggestedProfile = text ? await Candidate.suggestFromResume(req.user.id) : null;
+    
     res.json({
       success: true,
       message: 'Resume uploaded successfully',
@@ -196,7 +212,9 @@ router.post('/resume',
         fileName: req.file.filename,
         originalName: req.file.originalname,
         fileUrl: fileUrl,
-        fileSize: req.file.size
+        fileSize: req.file.size,
+        parsed: Boolean(text),
+        suggestedProfile
       }
     });
   })
@@ -205,6 +223,7 @@ router.post('/resume',
 // Upload company logo
 router.post('/company-logo',
   authenticateToken,
+  rejectApiKeys,
   authorizeRoles(['admin', 'hr']),
   upload.single('logo'),
   asyncHandler(async (req, res) => {
@@ -218,7 +237,7 @@ router.post('/company-logo',
     const { companyId } = req.body;
     
     // Verify company access for HR users
-    if (req.user.role === 'hr' && req.user.companyId !== parseInt(companyId)) {
+    if (req.user.baseRole === 'hr' && req.user.companyId !== parseInt(companyId)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied: You can only upload logos for your own company'
@@ -258,6 +277,7 @@ router.post('/company-logo',
 // Upload content media (images, videos, etc.)
 router.post('/content-media',
   authenticateToken,
+  authorizeScopes('content:create'),
   authorizeRoles(['admin', 'hr']),
   upload.array('media', 5),
   asyncHandler(async (req, res) => {
@@ -296,6 +316,8 @@ router.post('/content-media',
 // Upload project files
 router.post('/project-files/:projectId',
   authenticateToken,
+  authorizeScopes('projects:update'),
+  authorizeResource('project', 'upload', 'projectId'),
   upload.array('files', 10),
   asyncHandler(async (req, res) => {
     const { projectId } = req.params;
@@ -307,37 +329,6 @@ router.post('/project-files/:projectId',
       });
     }
     
-    // Verify project access
-    const [project] = await db.query(
-      'SELECT * FROM projects WHERE id = ?',
-      [projectId]
-    );
-    
-    if (project.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-    
-    // Check if user has access to this project
-    const [access] = await db.query(`
-      SELECT 1 FROM projects p
-      WHERE p.id = ? AND (
-        p.manager_id = ? OR
-        EXISTS (SELECT 1 FROM project_team pt WHERE pt.project_id = p.id AND pt.user_id = ?) OR
-        (? = 'admin') OR
-        (? = 'hr' AND p.company_id = ?)
-      )
-    `, [projectId, req.user.id, req.user.id, req.user.role, req.user.role, req.user.companyId]);
-    
-    if (access.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied: You do not have permission to upload files to this project'
-      });
-    }
-    
     // Save file information to database
     const fileInserts = req.files.map(file => {
       const filePath = file.path.replace(/\\/g, '/');
@@ -386,29 +377,13 @@ router.post('/project-files/:projectId',
 // Get uploaded files for a project
 router.get('/project-files/:projectId',
   authenticateToken,
+  authorizeScopes('projects:read'),
+  authorizeResource('project', 'read', 'projectId'),
   asyncHandler(async (req, res) => {
     const { projectId } = req.params;
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
     
-    // Verify project access
-    const [access] = await db.query(`
-      SELECT 1 FROM projects p
-      WHERE p.id = ? AND (
-        p.manager_id = ? OR
-        EXISTS (SELECT 1 FROM project_team pt WHERE pt.project_id = p.id AND pt.user_id = ?) OR
-        (? = 'admin') OR
-        (? = 'hr' AND p.company_id = ?)
-      )
-    `, [projectId, req.user.id, req.user.id, req.user.role, req.user.role, req.user.companyId]);
-    
-    if (access.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied: You do not have permission to view files for this project'
-      });
-    }
-    
     const [files] = await db.query(`
       SELECT 
         pf.*,
@@ -442,6 +417,7 @@ router.get('/project-files/:projectId',
 // Delete uploaded file
 router.delete('/file/:fileId',
   authenticateToken,
+  authorizeScopes('projects:update'),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
     const { type } = req.query; // 'project', 'content', etc.
@@ -451,30 +427,17 @@ router.delete('/file/:fileId',
     
     if (type === 'project') {
       // Check project file access
-      const [projectFile] = await db.query(`
-        SELECT 
-          pf.*,
-          p.manager_id,
-          p.company_id
-        FROM project_files pf
-        JOIN projects p ON pf.project_id = p.id
-        WHERE pf.id = ?
-      `, [fileId]);
+      const access = await checkAccess(req.user, 'file', 'delete', fileId);
       
-      if (projectFile.length === 0) {
+      if (!access.exists) {
         return res.status(404).json({
           success: false,
           message: 'File not found'
         });
       }
       
-      fileRecord = projectFile[0];
-      canDelete = (
-        req.user.role === 'admin' ||
-        fileRecord.uploaded_by === req.user.id ||
-        fileRecord.manager_id === req.user.id ||
-        (req.user.role === 'hr' && fileRecord.company_id === req.user.companyId)
-      );
+      fileRecord = await db.findById('project_files', fileId);
+      canDelete = access.allowed;
       
       if (canDelete) {
         await db.query('DELETE FROM project_files WHERE id = ?', [fileId]);
@@ -516,6 +479,7 @@ router.delete('/file/:fileId',
 // Get file info
 router.get('/file-info/:fileId',
   authenticateToken,
+  authorizeScopes('projects:read'),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
     const { type } = req.query;
@@ -523,6 +487,15 @@ router.get('/file-info/:fileId',
     let fileInfo = null;
     
     if (type === 'project') {
+      const access = await checkAccess(req.user, 'file', 'read', fileId);
+      
+      if (access.exists && !access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: You do not have permission to view this file'
+        });
+      }
+      
       const [projectFile] = await db.query(`
         SELECT 
           pf.*,
@@ -557,6 +530,7 @@ router.get('/file-info/:fileId',
 // Clean up temporary files (Admin only)
 router.post('/cleanup-temp',
   authenticateToken,
+  rejectApiKeys,
   authorizeRoles(['admin']),
   asyncHandler(async (req, res) => {
     const tempDir = 'uploads/temp';
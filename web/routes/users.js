@@ -1,8 +1,389 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const UserImport = require('../models/UserImport');
+const DataErasure = require('../models/DataErasure');
+const UserSession = require('../models/UserSession');
+const AccountLockout = require('../models/AccountLockout');
+const Impersonation = require('../models/Impersonation');
+const { authenticateToken, authorizeRoles, authorizeScopes, requireInteractiveAuth } = require('../middleware/auth');
+const { validations } = require('../middleware/validation');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { sendInvitationEmail, sendAccountSetupEmail } = require('../utils/mailer');
+
+// Import files are parsed from memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (UserImport.isSupportedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Import files must be CSV or Excel (.csv, .xlsx, .xls)'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
 
 router.get('/test', (req, res) => {
   res.json({ message: 'Users route working' });
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Admins cannot lock themselves out through the user management API
+ */
+const assertNotSelf = (req, message) => {
+  if (req.user.id === req.params.id) {
+    throw new ValidationError(message);
+  }
+};
+
+// List and search users (Admin only)
+router.get('/',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateUserSearch,
+  asyncHandler(async (req, res) => {
+    const { users, pagination } = await User.findAll(req.query);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination
+    });
+  })
+);
+
+// User statistics (Admin only)
+router.get('/stats',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await User.getUserStats()
+    });
+  })
+);
+
+// Import users from a CSV or Excel file (Admin only)
+// Runs as a dry run unless dryRun is false; nothing is imported while any row is invalid
+router.post('/import',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  importUpload.single('file'),
+  validations.validateUserImportOptions,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    const { dryRun, companyId = null, sendInvitations } = req.body;
+    const company = companyId ? await Company.findById(companyId) : null;
+
+    const rows = await UserImport.parse(req.file);
+    const { report, users } = await UserImport.validate(rows, { companyId, sendInvitations });
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: report.invalidRows === 0
+          ? `All ${report.totalRows} rows are valid`
+          : `${report.invalidRows} of ${report.totalRows} rows have errors`,
+        data: { dryRun: true, report }
+      });
+    }
+
+    if (report.invalidRows > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.invalidRows} of ${report.totalRows} rows have errors. Nothing was imported.`,
+        data: { dryRun: false, report }
+      });
+    }
+
+    const { created, accounts, invitations } = await UserImport.run(users, { companyId, sendInvitations }, req.user);
+
+    let emailsFailed = 0;
+    for (const invitation of invitations) {
+      try {
+        await sendInvitationEmail({
+          ...invitation,
+          companyName: company.name,
+          inviterName: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ')
+        }, invitation.token);
+      } catch (error) {
+        emailsFailed++;
+        logger.logError('Failed to send imported user invitation email', error, { invitationId: invitation.id });
+      }
+    }
+
+    for (const account of accounts) {
+      try {
+        await sendAccountSetupEmail(account, account.token, account.expiresAt);
+      } catch (error) {
+        emailsFailed++;
+        logger.logError('Failed to send imported user setup email', error, { userId: account.id });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: sendInvitations
+        ? `${invitations.length} invitations created`
+        : `${created} users imported and emailed a link to choose their password`,
+      data: {
+        dryRun: false,
+        report,
+        created,
+        invited: invitations.length,
+        emailsFailed
+      }
+    });
+  })
+);
+
+// Get own profile
+router.get('/me',
+  authenticateToken,
+  authorizeScopes('profile:read'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await User.findById(req.user.id)
+    });
+  })
+);
+
+// Update own profile
+router.patch('/me',
+  authenticateToken,
+  authorizeScopes('profile:update'),
+  validations.validateProfileUpdate,
+  asyncHandler(async (req, res) => {
+    const user = await User.update(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: user
+    });
+  })
+);
+
+// Get a user (Admin only)
+router.get('/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await User.findById(req.params.id)
+    });
+  })
+);
+
+// Reactivate a user (Admin only)
+router.patch('/:id/activate',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await User.findById(req.params.id);
+    await User.activate(req.params.id);
+
+    logger.logSecurityEvent('user_activated', { userId: req.params.id, adminId: req.user.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'User activated',
+      data: await User.findById(req.params.id)
+    });
+  })
+);
+
+// Deactivate a user and sign them out everywhere (Admin only)
+router.patch('/:id/deactivate',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    assertNotSelf(req, 'You cannot deactivate your own account');
+
+    await User.findById(req.params.id);
+    await User.deactivate(req.params.id);
+    await UserSession.revokeAllForUser(req.params.id);
+
+    logger.logSecurityEvent('user_deactivated', { userId: req.params.id, adminId: req.user.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: await User.findById(req.params.id)
+    });
+  })
+);
+
+// Erase a user: anonymize their personal data and delete their files (Admin only)
+router.delete('/:id',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  validations.validateUserErasure,
+  asyncHandler(async (req, res) => {
+    assertNotSelf(req, 'You cannot erase your own account here');
+
+    const erasure = await DataErasure.erase(req.params.id, {
+      erasedBy: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User erased. Their personal data was anonymized and their files deleted.',
+      data: erasure
+    });
+  })
+);
+
+// List a user's active sessions (Admin only)
+router.get('/:id/sessions',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await User.findById(req.params.id);
+    const sessions = await UserSession.findActiveByUser(req.params.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => UserSession.formatDevice(session))
+    });
+  })
+);
+
+// Force-logout a user from every device (Admin only)
+router.delete('/:id/sessions',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await User.findById(req.params.id);
+    const revokedCount = await UserSession.revokeAllForUser(req.params.id);
+
+    logger.logSecurityEvent('admin_force_logout', {
+      adminId: req.user.id,
+      userId: req.params.id,
+      revokedCount,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'User has been signed out of all devices',
+      data: { revokedCount }
+    });
+  })
+);
+
+// Clear a login lockout (Admin only)
+router.post('/:id/unlock',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    await AccountLockout.unlock(user.email, {
+      userId: user.id,
+      unlockedBy: req.user.id,
+      method: 'admin',
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  })
+);
+
+// Assign a user a role (Admin only)
+router.put('/:id/role',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  validations.validateUserRoleUpdate,
+  asyncHandler(async (req, res) => {
+    const user = await User.updateRole(req.params.id, req.body.role, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: user
+    });
+  })
+);
+
+// Start acting as a user to see what they see (Admin only)
+// Returns a short-lived token for the user; keep the admin's own token to return to afterwards
+router.post('/:id/impersonate',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  validations.validateImpersonationStart,
+  asyncHandler(async (req, res) => {
+    const { token, expiresAt, user, impersonation } = await Impersonation.start(req.user, req.params.id, {
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are now impersonating ${user.email}`,
+      data: {
+        token,
+        expiresAt,
+        user,
+        impersonation
+      }
+    });
+  })
+);
+
+// Impersonation history of a user (Admin only)
+router.get('/:id/impersonations',
+  authenticateToken,
+  requireInteractiveAuth,
+  authorizeRoles(['admin']),
+  validations.validateIdParam,
+  asyncHandler(async (req, res) => {
+    await User.findById(req.params.id);
+
+    res.json({
+      success: true,
+      data: await Impersonation.findByUser(req.params.id)
+    });
+  })
+);
+
+module.exports = router;
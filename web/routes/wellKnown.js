@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const SigningKey = require('../models/SigningKey');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Public keys for verifying access tokens (RFC 7517)
+// Verifiers should cache this document and refetch it when they meet an unknown `kid`
+router.get('/jwks.json', asyncHandler(async (req, res) => {
+  const jwks = await SigningKey.getJwks();
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(jwks);
+}));
+
+module.exports = router;
@@ -17,26 +17,33 @@ const MySQLStore = require('express-mysql-session')(session);
 const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
+const cron = require('node-cron');
 require('dotenv').config();
 console.log('Basic modules loaded');
 
 // Import database connection
 console.log('Loading database config...');
 const db = require('./config/database');
+const { configurePassport } = require('./config/passport');
 console.log('Database config loaded');
 
 // Import routes
 console.log('Loading routes...');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const profileRoutes = require('./routes/profiles');
+const privacyRoutes = require('./routes/privacy');
 const jobRoutes = require('./routes/jobs');
 const applicationRoutes = require('./routes/applications');
+const candidateRoutes = require('./routes/candidates');
 const companyRoutes = require('./routes/companies');
 const contentRoutes = require('./routes/content');
 const projectRoutes = require('./routes/projects');
 const calendarRoutes = require('./routes/calendar');
 const dashboardRoutes = require('./routes/dashboard');
 const uploadRoutes = require('./routes/uploads');
+const wellKnownRoutes = require('./routes/wellKnown');
 console.log('Routes loaded');
 
 // Import middleware
@@ -45,6 +52,8 @@ const { authenticateToken, authorizeRoles } = require('./middleware/auth');
 const { validateRequest } = require('./middleware/validation');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
+const SigningKey = require('./models/SigningKey');
+const DataExport = require('./models/DataExport');
 console.log('Middleware loaded');
 
 // Initialize Express app
@@ -136,6 +145,9 @@ app.use(session({
   }
 }));
 
+// OAuth sign-in (Google, LinkedIn); strategies keep their state nonce in the session above
+app.use(configurePassport().initialize());
+
 // Static file serving
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/public', express.static(path.join(__dirname, 'public')));
@@ -191,11 +203,18 @@ if (process.env.ENABLE_SWAGGER === 'true') {
   app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 }
 
+// Public discovery documents (JWKS for access token verification)
+app.use('/.well-known', wellKnownRoutes);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/roles', authenticateToken, roleRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/privacy', privacyRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', authenticateToken, applicationRoutes);
+app.use('/api/candidates', authenticateToken, candidateRoutes);
 app.use('/api/companies', authenticateToken, companyRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/projects', authenticateToken, projectRoutes);
@@ -213,8 +232,12 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       users: '/api/users',
+      roles: '/api/roles',
+      profiles: '/api/profiles',
+      privacy: '/api/privacy',
       jobs: '/api/jobs',
       applications: '/api/applications',
+      candidates: '/api/candidates',
       companies: '/api/companies',
       content: '/api/content',
       projects: '/api/projects',
@@ -234,8 +257,12 @@ app.use('*', (req, res) => {
       '/health',
       '/api/auth',
       '/api/users',
+      '/api/roles',
+      '/api/profiles',
+      '/api/privacy',
       '/api/jobs',
       '/api/applications',
+      '/api/candidates',
       '/api/companies',
       '/api/content',
       '/api/projects',
@@ -249,21 +276,6 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Database connection test
-async function testDatabaseConnection() {
-  try {
-    const connection = await createConnection(true);
-    await connection.execute('SELECT 1');
-    await connection.end();
-    logger.info('Database connection successful');
-    return true;
-  } catch (error) {
-    logger.error('Database connection failed:', error.message);
-    logger.warn('Server will start but database operations will fail');
-    return false;
-  }
-}
-
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
@@ -278,8 +290,10 @@ process.on('SIGINT', () => {
 // Start server
 async function startServer() {
   try {
-    // Test database connection
-    await testDatabaseConnection();
+    // Open the connection pool every model uses; nothing works without it,
+    // so a failure stops startup
+    await db.connect();
+    logger.info('Database connection successful');
     
     // Create necessary directories
     const dirs = ['uploads', 'uploads/profiles', 'uploads/resumes', 'uploads/documents', 'logs'];
@@ -290,6 +304,20 @@ async function startServer() {
       }
     });
     
+    // Rotate the access token signing key when it is due (daily check by default)
+    cron.schedule(process.env.JWT_KEY_ROTATION_CRON || '0 3 * * *', () => {
+      SigningKey.rotateIfDue().catch(error => {
+        logger.error('Scheduled JWT key rotation failed:', error);
+      });
+    });
+    
+    // Delete personal data exports whose download links have expired (hourly by default)
+    cron.schedule(process.env.DATA_EXPORT_CLEANUP_CRON || '0 * * * *', () => {
+      DataExport.purgeExpired().catch(error => {
+        logger.error('Scheduled data export cleanup failed:', error);
+      });
+    });
+    
     // Start listening
     app.listen(PORT, () => {
       logger.info(`SignInSoft API Server running on port ${PORT}`);
@@ -0,0 +1,53 @@
+/**
+ * Breached Password Utility
+ *
+ * Checks passwords against a locally bundled list of passwords known from
+ * public breaches, so no password ever leaves the server. The default list
+ * lives in data/breached-passwords.txt; BREACHED_PASSWORDS_FILE can point to
+ * a larger one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_LIST = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+let breachedPasswords = null;
+
+/**
+ * Load the list once; lines starting with # are comments
+ */
+const loadList = () => {
+  if (breachedPasswords) {
+    return breachedPasswords;
+  }
+
+  const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_LIST;
+
+  try {
+    breachedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    logger.error(`Failed to load breached password list from ${file}:`, error.message);
+    breachedPasswords = new Set();
+  }
+
+  return breachedPasswords;
+};
+
+/**
+ * Whether a password appears in the breached list (case-insensitive)
+ * @param {string} password - Candidate password
+ */
+const isBreachedPassword = (password) => {
+  return loadList().has(password.toLowerCase());
+};
+
+module.exports = {
+  isBreachedPassword
+};
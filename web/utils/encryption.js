@@ -0,0 +1,48 @@
+/**
+ * Encryption Utility
+ *
+ * Symmetric encryption for secrets that must be stored recoverably,
+ * such as TOTP shared secrets and SSO client secrets.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Key used to encrypt secrets at rest
+ * Refuses to fall back to a key anyone could derive when none is configured.
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM, iv:tag:ciphertext in hex)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
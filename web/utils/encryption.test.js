@@ -0,0 +1,51 @@
+const { encryptSecret, decryptSecret } = require('./encryption');
+
+const ENV_KEYS = ['MFA_ENCRYPTION_KEY', 'JWT_SECRET'];
+
+describe('encryption', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+  });
+
+  it('decrypts what it encrypted', () => {
+    process.env.MFA_ENCRYPTION_KEY = 'test-key';
+
+    const payload = encryptSecret('JBSWY3DPEHPK3PXP');
+
+    expect(payload).toMatch(/^[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+    expect(decryptSecret(payload)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('does not decrypt with another key', () => {
+    process.env.MFA_ENCRYPTION_KEY = 'test-key';
+    const payload = encryptSecret('secret');
+
+    process.env.MFA_ENCRYPTION_KEY = 'other-key';
+    expect(() => decryptSecret(payload)).toThrow();
+  });
+
+  it('falls back to JWT_SECRET', () => {
+    process.env.JWT_SECRET = 'jwt-secret';
+
+    expect(decryptSecret(encryptSecret('secret'))).toBe('secret');
+  });
+
+  it('refuses to work without a configured key', () => {
+    expect(() => encryptSecret('secret')).toThrow('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  });
+});
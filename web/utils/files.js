@@ -0,0 +1,34 @@
+/**
+ * Uploaded File Utility
+ *
+ * Maps the public URLs stored for uploads (e.g. '/uploads/resumes/cv.pdf')
+ * back to files on disk without letting a stored URL escape the uploads
+ * directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Path on disk of an uploaded file's URL
+ * @param {string} fileUrl - URL as stored in the database
+ * @returns {string|null} Absolute path, or null when it is not an existing local upload
+ */
+const resolveUploadPath = (fileUrl) => {
+  if (!fileUrl || !fileUrl.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const filePath = path.resolve(UPLOADS_DIR, fileUrl.slice('/uploads/'.length));
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep) || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return filePath;
+};
+
+module.exports = {
+  resolveUploadPath
+};
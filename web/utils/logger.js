@@ -132,6 +132,7 @@ const requestLogger = (req, res, next) => {
       duration: `${duration}ms`,
       ip: req.ip,
       userId: req.user?.id,
+      impersonatorId: req.user?.impersonator?.id,
       timestamp: new Date().toISOString()
     });
   });
@@ -221,6 +222,40 @@ const logRateLimit = (ip, endpoint, details = {}) => {
   });
 };
 
+// Model and data-layer loggers, called as (message, details)
+const logAuth = (message, details = {}) => {
+  logger.info(message, {
+    category: 'auth',
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const logBusiness = (message, details = {}) => {
+  logger.info(message, {
+    category: 'business',
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const logDatabase = (message, details = {}) => {
+  logger.debug(message, {
+    category: 'database',
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const logError = (message, error, details = {}) => {
+  logger.error(message, {
+    error: error && error.message,
+    stack: error && error.stack,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
 // Cleanup old log files (run periodically)
 const cleanupLogs = () => {
   const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
@@ -271,5 +306,9 @@ module.exports = {
   logEmailEvent,
   logFileOperation,
   logRateLimit,
+  logAuth,
+  logBusiness,
+  logDatabase,
+  logError,
   cleanupLogs
 };
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Mailer Utility
+ *
+ * Wraps the nodemailer transport used for transactional emails
+ * (password resets, verification links, invitations).
+ */
+
+const nodemailer = require('nodemailer');
+const { logger, logEmailEvent } = require('./logger');
+
+let transporter = null;
+
+/**
+ * Lazily create the SMTP transport
+ * Falls back to a JSON transport when no EMAIL_HOST is configured so that
+ * local development and tests never try to reach a real mail server.
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (process.env.EMAIL_HOST) {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD };
+
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER ? auth : undefined
+    });
+  } else {
+    logger.warn('EMAIL_HOST not configured, emails will be logged instead of sent');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+/**
+ * Escape a value for an HTML email body
+ * Names, company names and other user-supplied text must never add markup or links.
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Build an absolute link into the frontend application
+ * @param {string} pathname - Path on the frontend, e.g. '/reset-password'
+ * @param {Object} query - Query string parameters
+ */
+const buildFrontendUrl = (pathname, query = {}) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const url = new URL(pathname, baseUrl);
+
+  Object.keys(query).forEach(key => url.searchParams.set(key, query[key]));
+
+  return url.toString();
+};
+
+/**
+ * Send an email
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} options.html - HTML body (optional)
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || 'noreply@signinsoft.com',
+      to,
+      subject,
+      text,
+      html
+    });
+
+    logEmailEvent('Email sent', to, { subject, messageId: info.messageId });
+    return info;
+  } catch (error) {
+    logEmailEvent('Email delivery failed', to, { subject, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - Formatted user (email, firstName)
+ * @param {string} token - Reset token to embed in the link
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = buildFrontendUrl('/reset-password', { token });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your SignInSoft password',
+    text: `Hi ${user.firstName},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `If you did not request a password reset you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>We received a request to reset your password. Use the link below to choose a new one:</p>` +
+      `<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>` +
+      `<p>If you did not request a password reset you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - Formatted user (email, firstName)
+ * @param {string} token - Verification token to embed in the link
+ */
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = buildFrontendUrl('/verify-email', { token });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your SignInSoft email address',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `If you did not create a SignInSoft account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>Please confirm your email address by opening the link below:</p>` +
+      `<p><a href="${escapeHtml(verifyUrl)}">Verify email address</a></p>` +
+      `<p>If you did not create a SignInSoft account you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Tell a user their account was locked and offer an unlock link
+ * @param {Object} user - Formatted user (email, firstName)
+ * @param {string} token - Unlock token to embed in the link
+ */
+const sendAccountLockedEmail = async (user, token) => {
+  const unlockUrl = buildFrontendUrl('/unlock-account', { token });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your SignInSoft account has been locked',
+    text: `Hi ${user.firstName},\n\n` +
+      `Your account was temporarily locked after several failed sign-in attempts.\n\n` +
+      `If this was you, unlock it now with the link below:\n\n` +
+      `${unlockUrl}\n\n` +
+      `If this was not you, we recommend resetting your password.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>Your account was temporarily locked after several failed sign-in attempts.</p>` +
+      `<p>If this was you, unlock it now with the link below:</p>` +
+      `<p><a href="${escapeHtml(unlockUrl)}">Unlock account</a></p>` +
+      `<p>If this was not you, we recommend resetting your password.</p>`
+  });
+};
+
+/**
+ * Send a passwordless sign-in link
+ * @param {Object} user - Formatted user (email, firstName)
+ * @param {string} token - Sign-in token to embed in the link
+ */
+const sendMagicLinkEmail = async (user, token) => {
+  const signInUrl = buildFrontendUrl('/magic-link', { token });
+  const minutes = Math.round((parseInt(process.env.MAGIC_LINK_EXPIRES) || 15 * 60 * 1000) / 60000);
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your SignInSoft sign-in link',
+    text: `Hi ${user.firstName},\n\n` +
+      `Use the link below to sign in. It works once and expires in ${minutes} minutes:\n\n` +
+      `${signInUrl}\n\n` +
+      `If you did not ask to sign in you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>Use the link below to sign in. It works once and expires in ${escapeHtml(minutes)} minutes:</p>` +
+      `<p><a href="${escapeHtml(signInUrl)}">Sign in to SignInSoft</a></p>` +
+      `<p>If you did not ask to sign in you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Invite someone to join a company
+ * @param {Object} invitation - Formatted invitation (email, companyName, inviterName, expiresAt)
+ * @param {string} token - Invitation token to embed in the link
+ */
+const sendInvitationEmail = async (invitation, token) => {
+  const acceptUrl = buildFrontendUrl('/accept-invitation', { token });
+  const inviter = invitation.inviterName || 'A colleague';
+  const expiresOn = new Date(invitation.expiresAt).toDateString();
+
+  return await sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${invitation.companyName} on SignInSoft`,
+    text: `Hi,\n\n` +
+      `${inviter} has invited you to join ${invitation.companyName} on SignInSoft.\n\n` +
+      `Accept the invitation here (the link expires on ${expiresOn}):\n\n` +
+      `${acceptUrl}\n\n` +
+      `If you were not expecting this invitation you can ignore this email.`,
+    html: `<p>Hi,</p>` +
+      `<p>${escapeHtml(inviter)} has invited you to join ${escapeHtml(invitation.companyName)} on SignInSoft.</p>` +
+      `<p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a> (the link expires on ${escapeHtml(expiresOn)})</p>` +
+      `<p>If you were not expecting this invitation you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send the download link for a personal data export
+ * @param {Object} user - Formatted user (email, firstName)
+ * @param {string} token - Download token to embed in the link
+ * @param {Date} expiresAt - When the link stops working
+ */
+const sendDataExportEmail = async (user, token, expiresAt) => {
+  const downloadUrl = buildFrontendUrl('/data-export', { token });
+  const expiresOn = new Date(expiresAt).toUTCString();
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your SignInSoft data export is ready',
+    text: `Hi ${user.firstName},\n\n` +
+      `The copy of your personal data you requested is ready. Download it here (the link expires on ${expiresOn}):\n\n` +
+      `${downloadUrl}\n\n` +
+      `If you did not request this export, change your password and contact support.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>The copy of your personal data you requested is ready.</p>` +
+      `<p><a href="${escapeHtml(downloadUrl)}">Download your data</a> (the link expires on ${escapeHtml(expiresOn)})</p>` +
+      `<p>If you did not request this export, change your password and contact support.</p>`
+  });
+};
+
+/**
+ * Send the link for choosing a password to an account created by an admin
+ * @param {Object} user - { email, firstName }
+ * @param {string} token - Password reset token to embed in the link
+ * @param {Date} expiresAt - When the link stops working
+ */
+const sendAccountSetupEmail = async (user, token, expiresAt) => {
+  const setupUrl = buildFrontendUrl('/reset-password', { token });
+  const expiresOn = new Date(expiresAt).toDateString();
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your SignInSoft account is ready',
+    text: `Hi ${user.firstName},\n\n` +
+      `An account has been created for you on SignInSoft. Choose your password here (the link expires on ${expiresOn}):\n\n` +
+      `${setupUrl}\n\n` +
+      `If you were not expecting this account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>An account has been created for you on SignInSoft.</p>` +
+      `<p><a href="${escapeHtml(setupUrl)}">Choose your password</a> (the link expires on ${escapeHtml(expiresOn)})</p>` +
+      `<p>If you were not expecting this account you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  buildFrontendUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendAccountSetupEmail,
+  sendDataExportEmail
+};
@@ -0,0 +1,38 @@
+const mockSendMail = jest.fn();
+
+jest.mock('nodemailer', () => ({ createTransport: () => ({ sendMail: mockSendMail }) }));
+jest.mock('./logger', () => ({ logger: { warn: jest.fn() }, logEmailEvent: jest.fn() }));
+
+const { sendInvitationEmail, sendPasswordResetEmail } = require('./mailer');
+
+describe('mailer', () => {
+  beforeEach(() => {
+    mockSendMail.mockResolvedValue({ messageId: 'message-1' });
+  });
+
+  afterEach(() => {
+    mockSendMail.mockReset();
+  });
+
+  it('escapes user-supplied text in HTML bodies', async () => {
+    await sendPasswordResetEmail({ email: 'jane@example.com', firstName: '<b>Jane</b>' }, 'token');
+
+    const { html, text } = mockSendMail.mock.calls[0][0];
+    expect(html).toContain('Hi &lt;b&gt;Jane&lt;/b&gt;,');
+    expect(text).toContain('Hi <b>Jane</b>,');
+  });
+
+  it('escapes invitation details so they cannot add links', async () => {
+    await sendInvitationEmail({
+      email: 'jane@example.com',
+      companyName: 'Acme <a href="https://evil.example">Claim prize</a>',
+      inviterName: 'Tom & "Co"',
+      expiresAt: new Date('2026-01-01')
+    }, 'token');
+
+    const { html } = mockSendMail.mock.calls[0][0];
+    expect(html).not.toContain('evil.example">');
+    expect(html).toContain('Acme &lt;a href=&quot;https://evil.example&quot;&gt;Claim prize&lt;/a&gt;');
+    expect(html).toContain('Tom &amp; &quot;Co&quot; has invited you');
+  });
+});
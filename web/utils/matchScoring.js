@@ -0,0 +1,229 @@
+/**
+ * Match Scoring Utility
+ *
+ * Scores how well a candidate fits a job from 0 to 100. Four components are
+ * compared: skills (proficiency against each skill's required level),
+ * experience (years against the job's experience level), location (remote,
+ * same place or willing to relocate) and salary (expectation against the
+ * job's range). Each component comes with a short explanation so recruiters
+ * and candidates can see why a score is what it is. Components that cannot be
+ * judged, e.g. a job with no salary range, are left out rather than counted
+ * as a mismatch.
+ */
+
+// Share of the total score per component
+const WEIGHTS = {
+  skills: 50,
+  experience: 20,
+  location: 15,
+  salary: 15
+};
+
+const SKILL_LEVELS = ['basic', 'intermediate', 'advanced', 'expert'];
+
+// Nice-to-have skills count half as much as required ones
+const OPTIONAL_SKILL_WEIGHT = 0.5;
+
+// Years of experience expected at each job experience level, [min, max]
+const EXPERIENCE_YEARS = {
+  entry: [0, 2],
+  junior: [1, 3],
+  mid: [3, 6],
+  senior: [5, 10],
+  lead: [7, Infinity],
+  executive: [10, Infinity]
+};
+
+// Expectations this far above the top of the range score zero
+const SALARY_TOLERANCE = 0.2;
+
+const levelOf = (level) => Math.max(SKILL_LEVELS.indexOf(level), 0) + 1;
+
+const component = (score, explanation, details = {}) => ({
+  score: score === null ? null : Math.round(Math.min(Math.max(score, 0), 1) * 100),
+  explanation,
+  ...details
+});
+
+/**
+ * Skill overlap, with partial credit for skills below the required level
+ */
+const scoreSkills = (job, candidate) => {
+  const jobSkills = job.skills || [];
+  if (jobSkills.length === 0) {
+    return component(null, 'The job lists no skills');
+  }
+
+  const candidateSkills = new Map(
+    (candidate.skills || []).map(skill => [skill.name.toLowerCase(), skill])
+  );
+
+  const matched = [];
+  const belowLevel = [];
+  const missing = [];
+  let earned = 0;
+  let possible = 0;
+
+  jobSkills.forEach(jobSkill => {
+    const required = jobSkill.is_required === undefined ? true : Boolean(jobSkill.is_required);
+    const requiredLevel = jobSkill.required_level || 'intermediate';
+    const weight = required ? 1 : OPTIONAL_SKILL_WEIGHT;
+    const skill = candidateSkills.get(jobSkill.name.toLowerCase());
+
+    possible += weight;
+
+    if (!skill) {
+      missing.push({ name: jobSkill.name, required });
+      return;
+    }
+
+    const proficiency = skill.proficiency || 'intermediate';
+    const credit = Math.min(levelOf(proficiency) / levelOf(requiredLevel), 1);
+    earned += weight * credit;
+
+    if (credit < 1) {
+      belowLevel.push({ name: jobSkill.name, proficiency, requiredLevel });
+    } else {
+      matched.push({ name: jobSkill.name, proficiency, requiredLevel });
+    }
+  });
+
+  const requiredCount = jobSkills.filter(skill => skill.is_required === undefined || skill.is_required).length;
+  const missingRequired = missing.filter(skill => skill.required);
+  const missingOptional = missing.filter(skill => !skill.required);
+
+  let explanation = `Has ${requiredCount - missingRequired.length} of ${requiredCount} required skills`;
+  if (belowLevel.length > 0) {
+    explanation += `; below the required level in ${belowLevel.map(skill => skill.name).join(', ')}`;
+  }
+  if (missingRequired.length > 0) {
+    explanation += `; missing ${missingRequired.map(skill => skill.name).join(', ')}`;
+  }
+  if (missingOptional.length > 0) {
+    explanation += `; lacks nice-to-have ${missingOptional.map(skill => skill.name).join(', ')}`;
+  }
+
+  return component(earned / possible, explanation, { matched, belowLevel, missing });
+};
+
+/**
+ * Years of experience against the range expected for the job's level
+ * Falling short costs more than being over-qualified.
+ */
+const scoreExperience = (job, candidate) => {
+  const range = EXPERIENCE_YEARS[job.experienceLevel];
+  const years = candidate.experienceYears;
+
+  if (!range) {
+    return component(null, 'The job has no experience level');
+  }
+  if (years === null || years === undefined) {
+    return component(null, 'The candidate has not stated their years of experience');
+  }
+
+  const [min, max] = range;
+  const expected = max === Infinity ? `${min}+` : `${min}-${max}`;
+
+  if (years < min) {
+    return component(1 - (min - years) / Math.max(min, 1),
+      `${years} years of experience; ${job.experienceLevel} roles usually need ${expected}`);
+  }
+  if (years > max) {
+    return component(0.8, `${years} years of experience; may be over-qualified for a ${job.experienceLevel} role (${expected})`);
+  }
+
+  return component(1, `${years} years of experience fits a ${job.experienceLevel} role (${expected})`);
+};
+
+const sameLocation = (a, b) => {
+  const normalize = (value) => value.toLowerCase().split(',')[0].trim();
+  return Boolean(a && b) && normalize(a) === normalize(b);
+};
+
+const scoreLocation = (job, candidate) => {
+  if (job.isRemote) {
+    return component(1, 'The job can be done remotely');
+  }
+  if (!job.location) {
+    return component(null, 'The job has no location');
+  }
+
+  const locations = [candidate.location, ...(candidate.preferredLocations || [])].filter(Boolean);
+
+  if (locations.some(location => sameLocation(location, job.location))) {
+    return component(1, `Based in or prefers ${job.location}`);
+  }
+  if (candidate.willingToRelocate) {
+    return component(0.6, `Not based in ${job.location}, but willing to relocate`);
+  }
+  if (locations.length === 0) {
+    return component(null, 'The candidate has not stated a location');
+  }
+
+  return component(0, `Not based in ${job.location} and not willing to relocate`);
+};
+
+/**
+ * Expected salary against the job's range; anything up to the top of the range fits
+ */
+const scoreSalary = (job, candidate) => {
+  const expected = candidate.expectedSalary === null || candidate.expectedSalary === undefined
+    ? null
+    : Number(candidate.expectedSalary);
+  const min = job.salaryMin === null || job.salaryMin === undefined ? null : Number(job.salaryMin);
+  const max = job.salaryMax === null || job.salaryMax === undefined ? min : Number(job.salaryMax);
+
+  if (max === null) {
+    return component(null, 'The job has no salary range');
+  }
+  if (expected === null) {
+    return component(null, 'The candidate has not stated a salary expectation');
+  }
+  if (job.currency && candidate.currency && job.currency !== candidate.currency) {
+    return component(null, `Salary expectation is in ${candidate.currency}, the job pays in ${job.currency}`);
+  }
+
+  if (expected <= max) {
+    return component(1, `Expects ${expected}, within the job's range (${min === null ? '' : min}-${max})`);
+  }
+
+  const over = (expected - max) / Math.max(max, 1);
+  return component(1 - over / SALARY_TOLERANCE,
+    `Expects ${expected}, ${Math.round(over * 100)}% above the top of the job's range (${max})`);
+};
+
+/**
+ * Score a candidate against a job
+ * @param {Object} job - Formatted job with skills (name, required_level, is_required)
+ * @param {Object} candidate - Formatted candidate profile with skills (name, proficiency)
+ * @returns {Object} { score, components: { skills, experience, location, salary } }
+ *   score is null when no component could be judged
+ */
+const scoreMatch = (job, candidate) => {
+  const components = {
+    skills: scoreSkills(job, candidate),
+    experience: scoreExperience(job, candidate),
+    location: scoreLocation(job, candidate),
+    salary: scoreSalary(job, candidate)
+  };
+
+  let total = 0;
+  let weights = 0;
+  Object.keys(components).forEach(name => {
+    components[name].weight = WEIGHTS[name];
+    if (components[name].score !== null) {
+      total += components[name].score * WEIGHTS[name];
+      weights += WEIGHTS[name];
+    }
+  });
+
+  return {
+    score: weights > 0 ? Math.round(total / weights) : null,
+    components
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  scoreMatch
+};
@@ -0,0 +1,162 @@
+const { WEIGHTS, scoreMatch } = require('./matchScoring');
+
+const componentOf = (name, job, candidate) => scoreMatch(job, candidate).components[name];
+
+describe('matchScoring', () => {
+  describe('skills', () => {
+    const skills = (job, candidate) => componentOf('skills', { skills: job }, { skills: candidate });
+
+    it('is not judged when the job lists no skills', () => {
+      expect(skills([], [{ name: 'Node.js' }])).toMatchObject({ score: null, explanation: 'The job lists no skills' });
+    });
+
+    it('scores full marks at or above every required level', () => {
+      const component = skills(
+        [{ name: 'Node.js', required_level: 'advanced', is_required: 1 }, { name: 'SQL' }],
+        [{ name: 'node.js', proficiency: 'expert' }, { name: 'SQL', proficiency: 'intermediate' }]
+      );
+
+      expect(component.score).toBe(100);
+      expect(component.explanation).toBe('Has 2 of 2 required skills');
+      expect(component.matched.map(skill => skill.name)).toEqual(['Node.js', 'SQL']);
+    });
+
+    it('gives partial credit below the required level and none for missing skills', () => {
+      const component = skills(
+        [
+          { name: 'Node.js', required_level: 'advanced', is_required: 1 },
+          { name: 'Python', required_level: 'basic', is_required: 1 },
+          { name: 'Docker', required_level: 'basic', is_required: 0 }
+        ],
+        [{ name: 'Node.js', proficiency: 'intermediate' }]
+      );
+
+      // (2/3 for Node.js) out of 1 + 1 + 0.5
+      expect(component.score).toBe(27);
+      expect(component.explanation)
+        .toBe('Has 1 of 2 required skills; below the required level in Node.js; missing Python; lacks nice-to-have Docker');
+      expect(component.belowLevel).toEqual([{ name: 'Node.js', proficiency: 'intermediate', requiredLevel: 'advanced' }]);
+      expect(component.missing).toEqual([{ name: 'Python', required: true }, { name: 'Docker', required: false }]);
+    });
+
+    it('counts nice-to-have skills half', () => {
+      expect(skills(
+        [{ name: 'Node.js', is_required: 1 }, { name: 'Docker', is_required: 0 }],
+        [{ name: 'Node.js' }]
+      ).score).toBe(67);
+    });
+  });
+
+  describe('experience', () => {
+    const experience = (experienceLevel, experienceYears) =>
+      componentOf('experience', { experienceLevel }, { experienceYears });
+
+    it('is not judged without a job level or candidate years', () => {
+      expect(experience(null, 4)).toMatchObject({ score: null, explanation: 'The job has no experience level' });
+      expect(experience('mid', null).score).toBeNull();
+      expect(experience('mid', undefined).score).toBeNull();
+    });
+
+    it('scores full marks within the range for the level', () => {
+      expect(experience('mid', 4)).toMatchObject({ score: 100, explanation: '4 years of experience fits a mid role (3-6)' });
+      expect(experience('lead', 20).score).toBe(100);
+    });
+
+    it('scores the share of the minimum reached below the range', () => {
+      expect(experience('senior', 2)).toMatchObject({
+        score: 40,
+        explanation: '2 years of experience; senior roles usually need 5-10'
+      });
+      expect(experience('executive', 0).score).toBe(0);
+    });
+
+    it('scores over-qualified candidates slightly lower', () => {
+      expect(experience('junior', 8).score).toBe(80);
+    });
+  });
+
+  describe('location', () => {
+    const location = (job, candidate) => componentOf('location', job, candidate);
+
+    it('is not judged without a job location or candidate locations', () => {
+      expect(location({ location: null }, { location: 'Berlin' }).score).toBeNull();
+      expect(location({ location: 'Berlin' }, { location: null, preferredLocations: [] }).score).toBeNull();
+    });
+
+    it('scores full marks for remote jobs and matching places', () => {
+      expect(location({ isRemote: true, location: 'Berlin' }, { location: 'Paris' }).score).toBe(100);
+      expect(location({ location: 'Berlin, Germany' }, { location: 'berlin' }).score).toBe(100);
+      expect(location({ location: 'Berlin' }, { location: 'Paris', preferredLocations: ['Berlin, DE'] }).score).toBe(100);
+    });
+
+    it('scores candidates willing to relocate partly', () => {
+      expect(location({ location: 'Berlin' }, { location: 'Paris', willingToRelocate: true }).score).toBe(60);
+      expect(location({ location: 'Berlin' }, { willingToRelocate: true }).score).toBe(60);
+    });
+
+    it('scores zero elsewhere', () => {
+      expect(location({ location: 'Berlin' }, { location: 'Paris', willingToRelocate: false })).toMatchObject({
+        score: 0,
+        explanation: 'Not based in Berlin and not willing to relocate'
+      });
+    });
+  });
+
+  describe('salary', () => {
+    const salary = (job, expectedSalary, currency) => componentOf('salary', job, { expectedSalary, currency });
+
+    it('is not judged without a range, an expectation or a common currency', () => {
+      expect(salary({}, 50000).score).toBeNull();
+      expect(salary({ salaryMin: 40000, salaryMax: 60000 }, null).score).toBeNull();
+      expect(salary({ salaryMin: 40000, salaryMax: 60000, currency: 'USD' }, 50000, 'EUR')).toMatchObject({
+        score: null,
+        explanation: 'Salary expectation is in EUR, the job pays in USD'
+      });
+    });
+
+    it('scores full marks up to the top of the range', () => {
+      expect(salary({ salaryMin: 40000, salaryMax: 60000, currency: 'USD' }, 30000, 'USD').score).toBe(100);
+      expect(salary({ salaryMin: '40000.00', salaryMax: '60000.00' }, '60000.00').score).toBe(100);
+      expect(salary({ salaryMin: 50000 }, 50000).score).toBe(100);
+    });
+
+    it('loses marks over the range up to the tolerance', () => {
+      expect(salary({ salaryMin: 80000, salaryMax: 100000 }, 110000)).toMatchObject({
+        score: 50,
+        explanation: 'Expects 110000, 10% above the top of the job\'s range (100000)'
+      });
+      expect(salary({ salaryMin: 80000, salaryMax: 100000 }, 130000).score).toBe(0);
+    });
+  });
+
+  describe('scoreMatch', () => {
+    it('weights every component', () => {
+      const { components } = scoreMatch({}, {});
+
+      Object.keys(WEIGHTS).forEach(name => {
+        expect(components[name].weight).toBe(WEIGHTS[name]);
+      });
+    });
+
+    it('has no score when no component can be judged', () => {
+      expect(scoreMatch({}, {}).score).toBeNull();
+    });
+
+    it('averages the judged components by weight', () => {
+      const job = {
+        skills: [{ name: 'Node.js' }],
+        location: 'Berlin',
+        salaryMin: 80000,
+        salaryMax: 100000
+      };
+      const candidate = {
+        skills: [{ name: 'Node.js' }],
+        location: 'Paris',
+        expectedSalary: 110000
+      };
+
+      // Skills 100, location 0, salary 50; experience is not judged
+      expect(scoreMatch(job, candidate).score).toBe(Math.round((100 * 50 + 0 * 15 + 50 * 15) / 80));
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * OpenID Connect Utility
+ *
+ * Relying-party helpers for the authorization code flow used by company SSO:
+ * provider discovery, PKCE, code exchange and ID token validation.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Fetch a JSON document, turning OAuth error bodies into readable errors
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with status ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+
+  return body;
+};
+
+/**
+ * Load (and cache) a provider's discovery document
+ * @param {string} discoveryUrl - The .well-known/openid-configuration URL
+ */
+const discover = async (discoveryUrl) => {
+  const cached = discoveryCache.get(discoveryUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(discoveryUrl);
+
+  ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri'].forEach(field => {
+    if (!metadata || !metadata[field]) {
+      throw new Error(`OIDC discovery document is missing ${field}`);
+    }
+  });
+
+  discoveryCache.set(discoveryUrl, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Build the authorization redirect
+ * The returned state, nonce and codeVerifier must be kept until the callback.
+ * @param {Object} metadata - Discovery document
+ * @param {Object} options - { clientId, redirectUri, scope }
+ */
+const createAuthorizationRequest = (metadata, options) => {
+  const { clientId, redirectUri, scope = 'openid email profile' } = options;
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * Exchange an authorization code for tokens (client_secret_post)
+ * @param {Object} metadata - Discovery document
+ * @param {Object} options - { clientId, clientSecret, redirectUri, code, codeVerifier }
+ */
+const exchangeCode = async (metadata, options) => {
+  const { clientId, clientSecret, redirectUri, code, codeVerifier } = options;
+
+  return await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret,
+      code_verifier: codeVerifier
+    })
+  });
+};
+
+/**
+ * Find the JWK an ID token was signed with
+ * The key set is refetched once on a miss, since providers rotate keys.
+ */
+const findSigningKey = async (jwksUri, kid) => {
+  const match = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && cached.expiresAt > Date.now()) {
+    const key = match(cached.keys);
+    if (key) {
+      return key;
+    }
+  }
+
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return match(keys);
+};
+
+/**
+ * Validate an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} metadata - Discovery document
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} options - { clientId, nonce }
+ * @returns {Promise<Object>} The token's claims
+ */
+const verifyIdToken = async (metadata, idToken, options) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('Malformed ID token');
+  }
+
+  const jwk = await findSigningKey(metadata.jwks_uri, decoded.header.kid);
+  if (!jwk) {
+    throw new jwt.JsonWebTokenError('ID token is signed with an unknown key');
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    audience: options.clientId,
+    issuer: metadata.issuer
+  });
+
+  if (claims.nonce !== options.nonce) {
+    throw new jwt.JsonWebTokenError('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  discover,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken
+};
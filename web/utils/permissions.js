@@ -0,0 +1,71 @@
+/**
+ * Permission Utility
+ *
+ * Permissions are 'resource:action' strings such as 'jobs:create'. Roles store
+ * them grouped by resource ({"jobs": ["create", "read"]}, or {"all": true} for
+ * administrators); authorizePermissions and API key scopes work with the flat
+ * strings produced here.
+ */
+
+// Every permission that can be granted to a role or an API key
+const PERMISSION_CATALOG = {
+  jobs: ['create', 'read', 'update', 'delete'],
+  applications: ['create', 'read', 'update'],
+  interviews: ['create', 'read', 'update', 'delete'],
+  candidates: ['read'],
+  projects: ['read', 'update'],
+  content: ['create', 'read', 'update', 'delete'],
+  profile: ['read', 'update']
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSION_CATALOG).flatMap(resource =>
+  PERMISSION_CATALOG[resource].map(action => `${resource}:${action}`)
+);
+
+/**
+ * Turn a role's stored permissions into a list of permission strings
+ * @param {string|Object|string[]} rolePermissions - roles.permissions, raw or parsed
+ * @returns {string[]}
+ */
+const resolvePermissions = (rolePermissions) => {
+  if (!rolePermissions) {
+    return [];
+  }
+
+  const permissions = typeof rolePermissions === 'string'
+    ? JSON.parse(rolePermissions)
+    : rolePermissions;
+
+  if (Array.isArray(permissions)) {
+    return permissions;
+  }
+
+  if (permissions.all === true) {
+    return [...ALL_PERMISSIONS];
+  }
+
+  return Object.keys(permissions).flatMap(resource => {
+    const actions = Array.isArray(permissions[resource]) ? permissions[resource] : [];
+    return actions.map(action => `${resource}:${action}`);
+  });
+};
+
+/**
+ * Group permission strings by resource for storing in roles.permissions
+ * @param {string[]} permissions - e.g. ['jobs:create', 'jobs:read']
+ * @returns {Object} e.g. {"jobs": ["create", "read"]}
+ */
+const groupPermissions = (permissions) => {
+  return permissions.reduce((grouped, permission) => {
+    const [resource, action] = permission.split(':');
+    grouped[resource] = [...(grouped[resource] || []), action];
+    return grouped;
+  }, {});
+};
+
+module.exports = {
+  PERMISSION_CATALOG,
+  ALL_PERMISSIONS,
+  resolvePermissions,
+  groupPermissions
+};
@@ -0,0 +1,60 @@
+const { PERMISSION_CATALOG, ALL_PERMISSIONS, resolvePermissions, groupPermissions } = require('./permissions');
+
+describe('permissions', () => {
+  describe('ALL_PERMISSIONS', () => {
+    it('lists every catalog action as resource:action', () => {
+      const count = Object.values(PERMISSION_CATALOG).reduce((total, actions) => total + actions.length, 0);
+
+      expect(ALL_PERMISSIONS).toHaveLength(count);
+      expect(ALL_PERMISSIONS).toContain('jobs:create');
+      expect(ALL_PERMISSIONS).toContain('profile:update');
+    });
+  });
+
+  describe('resolvePermissions', () => {
+    it('returns no permissions for an empty role', () => {
+      expect(resolvePermissions(null)).toEqual([]);
+      expect(resolvePermissions(undefined)).toEqual([]);
+      expect(resolvePermissions('')).toEqual([]);
+    });
+
+    it('flattens permissions grouped by resource', () => {
+      expect(resolvePermissions({ jobs: ['create', 'read'], profile: ['read'] }))
+        .toEqual(['jobs:create', 'jobs:read', 'profile:read']);
+    });
+
+    it('parses the JSON stored in roles.permissions', () => {
+      expect(resolvePermissions('{"applications": ["create", "read"]}'))
+        .toEqual(['applications:create', 'applications:read']);
+    });
+
+    it('grants the whole catalog for {"all": true}', () => {
+      const permissions = resolvePermissions('{"all": true}');
+
+      expect(permissions).toEqual(ALL_PERMISSIONS);
+      expect(permissions).not.toBe(ALL_PERMISSIONS);
+    });
+
+    it('passes flat permission lists through', () => {
+      expect(resolvePermissions(['jobs:read'])).toEqual(['jobs:read']);
+      expect(resolvePermissions('["jobs:read"]')).toEqual(['jobs:read']);
+    });
+
+    it('ignores resources whose actions are not a list', () => {
+      expect(resolvePermissions({ jobs: 'read', profile: ['read'] })).toEqual(['profile:read']);
+    });
+
+    it('throws on malformed JSON', () => {
+      expect(() => resolvePermissions('{jobs')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('groupPermissions', () => {
+    it('is the inverse of resolvePermissions', () => {
+      const permissions = ['jobs:create', 'jobs:read', 'profile:read'];
+
+      expect(groupPermissions(permissions)).toEqual({ jobs: ['create', 'read'], profile: ['read'] });
+      expect(resolvePermissions(groupPermissions(permissions))).toEqual(permissions);
+    });
+  });
+});
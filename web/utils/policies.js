@@ -0,0 +1,223 @@
+/**
+ * Access Policy Utility
+ *
+ * Resource-level access rules for jobs, applications, candidate profiles,
+ * projects, project files and calendar events. Each policy lists, per action, the grants that let a
+ * user act on a row: by role, company membership, team membership or
+ * ownership. Grants are SQL conditions on the resource's own table, so the
+ * same rules check a single record (authorizeResource, checkAccess) and filter
+ * lists inside models (accessCondition). Table and column names only ever come
+ * from the policies below, never from callers.
+ *
+ * API keys get no grant, not even their owner's admin access, unless they hold
+ * the catalog permission listed for the action under the policy's scopes.
+ * Actions without one are closed to API keys.
+ */
+
+const database = require('../config/database');
+
+const isAdmin = (user) => user.role === 'admin';
+
+// HR users (and roles based on HR) act for their company, as do company API keys
+const isCompanyStaff = (user) => ['hr', 'service'].includes(user.baseRole) && Boolean(user.companyId);
+
+const grant = (sql, values = []) => ({ sql, values });
+
+const hasScope = (user, policy, action) => {
+  const scope = policy.scopes[action];
+  return Boolean(scope) && (user.permissions || []).includes(scope);
+};
+
+/**
+ * Grants of a project's members: its manager, its team and its company's staff
+ * @param {Object} user - req.user
+ * @param {string} a - Alias of the projects table
+ */
+const projectGrants = (user, a) => [
+  user.id && grant(`${a}.manager_id = ?`, [user.id]),
+  user.id && grant(`EXISTS (SELECT 1 FROM project_team pt WHERE pt.project_id = ${a}.id AND pt.user_id = ?)`, [user.id]),
+  isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId])
+];
+
+const POLICIES = {
+  job: {
+    table: 'jobs',
+    scopes: { read: 'jobs:read', update: 'jobs:update', delete: 'jobs:delete' },
+    actions: {
+      // Published jobs are public; drafts and closed jobs only to their company
+      read: (user, a) => [
+        grant(`${a}.status = 'active'`),
+        isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId]),
+        user.id && grant(`${a}.created_by = ?`, [user.id])
+      ],
+      update: (user, a) => [
+        isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId]),
+        user.id && grant(`${a}.created_by = ?`, [user.id])
+      ],
+      delete: (user, a) => [
+        isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId])
+      ]
+    }
+  },
+
+  application: {
+    table: 'job_applications',
+    scopes: { read: 'applications:read', update: 'applications:update' },
+    actions: {
+      read: (user, a) => [
+        user.id && grant(`${a}.candidate_id = ?`, [user.id]),
+        isCompanyStaff(user) && grant(`EXISTS (SELECT 1 FROM jobs aj WHERE aj.id = ${a}.job_id AND aj.company_id = ?)`, [user.companyId])
+      ],
+      update: (user, a) => [
+        isCompanyStaff(user) && grant(`EXISTS (SELECT 1 FROM jobs aj WHERE aj.id = ${a}.job_id AND aj.company_id = ?)`, [user.companyId])
+      ],
+      // Candidates may withdraw their own applications
+      delete: (user, a) => [
+        user.id && grant(`${a}.candidate_id = ?`, [user.id])
+      ]
+    }
+  },
+
+  candidate: {
+    table: 'candidates',
+    scopes: { read: 'candidates:read' },
+    actions: {
+      // Candidates see their own profile; company staff see the profiles of people who applied to them
+      read: (user, a) => [
+        user.id && grant(`${a}.user_id = ?`, [user.id]),
+        isCompanyStaff(user) && grant(
+          `EXISTS (SELECT 1 FROM job_applications ca JOIN jobs cj ON ca.job_id = cj.id WHERE ca.candidate_id = ${a}.user_id AND cj.company_id = ?)`,
+          [user.companyId]
+        )
+      ]
+    }
+  },
+
+  project: {
+    table: 'projects',
+    scopes: { read: 'projects:read', upload: 'projects:update', update: 'projects:update' },
+    actions: {
+      read: (user, a) => projectGrants(user, a),
+      upload: (user, a) => projectGrants(user, a),
+      update: (user, a) => [
+        user.id && grant(`${a}.manager_id = ?`, [user.id]),
+        isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId])
+      ],
+      delete: (user, a) => [
+        isCompanyStaff(user) && grant(`${a}.company_id = ?`, [user.companyId])
+      ]
+    }
+  },
+
+  file: {
+    table: 'project_files',
+    scopes: { read: 'projects:read', update: 'projects:update', delete: 'projects:update' },
+    actions: {
+      // Files are visible to everyone on their project
+      read: (user, a) => {
+        const grants = projectGrants(user, 'fp').filter(Boolean);
+        if (grants.length === 0) {
+          return [];
+        }
+
+        return [grant(
+          `EXISTS (SELECT 1 FROM projects fp WHERE fp.id = ${a}.project_id AND (${grants.map(({ sql }) => sql).join(' OR ')}))`,
+          grants.flatMap(({ values }) => values)
+        )];
+      },
+      update: (user, a) => [
+        user.id && grant(`${a}.uploaded_by = ?`, [user.id])
+      ],
+      delete: (user, a) => [
+        user.id && grant(`${a}.uploaded_by = ?`, [user.id]),
+        user.id && grant(`EXISTS (SELECT 1 FROM projects fp WHERE fp.id = ${a}.project_id AND fp.manager_id = ?)`, [user.id]),
+        isCompanyStaff(user) && grant(`EXISTS (SELECT 1 FROM projects fp WHERE fp.id = ${a}.project_id AND fp.company_id = ?)`, [user.companyId])
+      ]
+    }
+  },
+
+  event: {
+    table: 'calendar_events',
+    scopes: {},
+    actions: {
+      read: (user, a) => [
+        user.id && grant(`${a}.organizer_id = ?`, [user.id]),
+        user.id && grant(`EXISTS (SELECT 1 FROM event_attendees ea WHERE ea.event_id = ${a}.id AND ea.user_id = ?)`, [user.id]),
+        isCompanyStaff(user) && grant(`EXISTS (SELECT 1 FROM users eu WHERE eu.id = ${a}.organizer_id AND eu.company_id = ?)`, [user.companyId])
+      ],
+      update: (user, a) => [
+        user.id && grant(`${a}.organizer_id = ?`, [user.id])
+      ],
+      delete: (user, a) => [
+        user.id && grant(`${a}.organizer_id = ?`, [user.id])
+      ]
+    }
+  }
+};
+
+const getRule = (resource, action) => {
+  const policy = POLICIES[resource];
+  const rule = policy && policy.actions[action];
+
+  if (!rule) {
+    throw new Error(`No access policy for ${action} on ${resource}`);
+  }
+
+  return { policy, rule };
+};
+
+/**
+ * SQL condition limiting a query to the rows a user may act on
+ * @param {Object} user - req.user
+ * @param {string} resource - Policy name, e.g. 'project'
+ * @param {string} action - e.g. 'read'
+ * @param {string} alias - Alias of the resource's table in the query
+ * @returns {Object} { sql, values } to AND into a WHERE clause
+ */
+const accessCondition = (user, resource, action, alias) => {
+  const { policy, rule } = getRule(resource, action);
+
+  if (user.apiKeyId && !hasScope(user, policy, action)) {
+    return { sql: '1 = 0', values: [] };
+  }
+
+  if (isAdmin(user)) {
+    return { sql: '1 = 1', values: [] };
+  }
+
+  const grants = rule(user, alias).filter(Boolean);
+  if (grants.length === 0) {
+    return { sql: '1 = 0', values: [] };
+  }
+
+  return {
+    sql: `(${grants.map(({ sql }) => sql).join(' OR ')})`,
+    values: grants.flatMap(({ values }) => values)
+  };
+};
+
+/**
+ * Check whether a user may act on one record
+ * @returns {Promise<Object>} { exists, allowed }
+ */
+const checkAccess = async (user, resource, action, id) => {
+  const { policy } = getRule(resource, action);
+  const condition = accessCondition(user, resource, action, 'r');
+
+  const rows = await database.query(
+    `SELECT r.id, ${condition.sql} as allowed FROM ${policy.table} r WHERE r.id = ?`,
+    [...condition.values, id]
+  );
+
+  if (rows.length === 0) {
+    return { exists: false, allowed: false };
+  }
+
+  return { exists: true, allowed: Boolean(rows[0].allowed) };
+};
+
+module.exports = {
+  POLICIES,
+  accessCondition,
+  checkAccess
+};
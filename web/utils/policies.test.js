@@ -0,0 +1,86 @@
+jest.mock('../config/database', () => ({}));
+
+const { POLICIES, accessCondition } = require('./policies');
+const { ALL_PERMISSIONS } = require('./permissions');
+
+const admin = { id: 1, role: 'admin', baseRole: 'admin', permissions: [] };
+const hr = { id: 2, role: 'hr', baseRole: 'hr', companyId: 5, permissions: ['jobs:read', 'jobs:update'] };
+const candidate = { id: 3, role: 'candidate', baseRole: 'candidate', companyId: null, permissions: ['applications:read'] };
+const userKey = (owner, scopes) => ({ ...owner, permissions: scopes, apiKeyId: 10 });
+const companyKey = (scopes) => ({ id: null, role: 'service', baseRole: 'service', companyId: 5, permissions: scopes, apiKeyId: 11 });
+
+const NONE = { sql: '1 = 0', values: [] };
+const ALL = { sql: '1 = 1', values: [] };
+
+describe('policies', () => {
+  describe('accessCondition', () => {
+    it('lets admins act on every row', () => {
+      expect(accessCondition(admin, 'job', 'delete', 'j')).toEqual(ALL);
+      expect(accessCondition(admin, 'event', 'update', 'e')).toEqual(ALL);
+    });
+
+    it('ORs the grants that apply, with their values in order', () => {
+      expect(accessCondition(hr, 'job', 'update', 'j')).toEqual({
+        sql: '(j.company_id = ? OR j.created_by = ?)',
+        values: [5, 2]
+      });
+    });
+
+    it('skips grants that do not apply to the user', () => {
+      expect(accessCondition(candidate, 'job', 'read', 'j')).toEqual({
+        sql: "(j.status = 'active' OR j.created_by = ?)",
+        values: [3]
+      });
+    });
+
+    it('matches no rows when no grant applies', () => {
+      expect(accessCondition(candidate, 'application', 'update', 'a')).toEqual(NONE);
+    });
+
+    it('throws for unknown resources and actions', () => {
+      expect(() => accessCondition(hr, 'invoice', 'read', 'i')).toThrow('No access policy for read on invoice');
+      expect(() => accessCondition(hr, 'candidate', 'delete', 'c')).toThrow('No access policy for delete on candidate');
+    });
+
+    it('only lists scopes from the permission catalog', () => {
+      Object.values(POLICIES).forEach(policy => {
+        Object.entries(policy.scopes).forEach(([action, scope]) => {
+          expect(Object.keys(policy.actions)).toContain(action);
+          expect(ALL_PERMISSIONS).toContain(scope);
+        });
+      });
+    });
+
+    describe('with an API key', () => {
+      it('applies the owner grants when the key holds the scope', () => {
+        expect(accessCondition(userKey(hr, ['jobs:update']), 'job', 'update', 'j'))
+          .toEqual(accessCondition(hr, 'job', 'update', 'j'));
+      });
+
+      it('matches no rows without the scope', () => {
+        expect(accessCondition(userKey(hr, ['jobs:read']), 'job', 'update', 'j')).toEqual(NONE);
+        expect(accessCondition(userKey(candidate, []), 'job', 'read', 'j')).toEqual(NONE);
+      });
+
+      it('does not give admin-owned keys more than their scopes', () => {
+        expect(accessCondition(userKey(admin, ['jobs:read']), 'job', 'delete', 'j')).toEqual(NONE);
+        expect(accessCondition(userKey(admin, ['jobs:delete']), 'job', 'delete', 'j')).toEqual(ALL);
+      });
+
+      it('limits company keys to the company rows their scopes cover', () => {
+        expect(accessCondition(companyKey(['applications:read']), 'application', 'read', 'a')).toEqual({
+          sql: '(EXISTS (SELECT 1 FROM jobs aj WHERE aj.id = a.job_id AND aj.company_id = ?))',
+          values: [5]
+        });
+        expect(accessCondition(companyKey(['applications:read']), 'application', 'update', 'a')).toEqual(NONE);
+        expect(accessCondition(companyKey(['projects:read']), 'project', 'delete', 'p')).toEqual(NONE);
+      });
+
+      it('closes actions without a catalog scope', () => {
+        expect(accessCondition(userKey(candidate, ['applications:read', 'applications:update']), 'application', 'delete', 'a'))
+          .toEqual(NONE);
+        expect(accessCondition(userKey(admin, []), 'event', 'read', 'e')).toEqual(NONE);
+      });
+    });
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Resume Parser Utility
+ *
+ * Extracts the text of uploaded resumes (PDF, DOCX or plain text) and turns
+ * it into a suggested candidate profile: contact details, work history,
+ * education and skills from the skills catalog. Resumes have no fixed
+ * layout, so the result is a best-effort suggestion the candidate reviews
+ * before it is saved, never something written to their profile directly.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const pdfParse = require('pdf-parse');
+
+const MAX_TEXT_LENGTH = 100000;
+
+// Real resumes unzip to a few megabytes at most; anything bigger is a ZIP bomb
+const MAX_DOCX_UNCOMPRESSED_SIZE = 20 * 1024 * 1024;
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A month and year ("March 2019", "Mar. 2019", "03/2019") or just a year
+const DATE = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+|\\d{1,2}/)?(?:19|20)\\d{2}';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const SECTION_HEADINGS = {
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'education and training', 'academic background', 'qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'competencies'],
+  // Anything else ends the current section
+  other: ['summary', 'profile', 'about me', 'objective', 'projects', 'certifications', 'certificates', 'languages',
+    'interests', 'hobbies', 'references', 'awards', 'publications', 'volunteering', 'contact', 'personal details']
+};
+
+const DEGREE = /\b(bachelor|master|doctor|ph\.?d|mba|b\.?sc|m\.?sc|b\.?a\b|m\.?a\b|b\.?eng|m\.?eng|diploma|associate|certificate|a-levels?|high school diploma)/i;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic|universit[äa]t|hochschule)\b/i;
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE = /(?:\+|\b)\d[\d\s().-]{6,18}\d\b/;
+// Links with a scheme or www, or bare domains on common TLDs (so "Node.js" is not a link)
+const URL = /(?:https?:\/\/|www\.)[^\s,;()]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|dev|io|me|net|org|app|co|page|site|info|tech)\b(?:\/[^\s,;()]*)?/gi;
+
+/**
+ * Entries listed in a ZIP archive's central directory, read without inflating anything
+ */
+const readZipEntries = (buffer) => {
+  const signature = Buffer.alloc(4);
+  signature.writeUInt32LE(ZIP_END_OF_CENTRAL_DIRECTORY);
+
+  const end = buffer.lastIndexOf(signature);
+  if (end < 0 || end + 22 > buffer.length) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = buffer.readUInt16LE(end + 10); index > 0; index--) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+};
+
+/**
+ * Contents of one ZIP entry
+ * The output limit also stops entries whose headers understate their size.
+ */
+const readZipEntry = (buffer, entry) => {
+  const header = entry.headerOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error('Corrupt ZIP file header');
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_DOCX_UNCOMPRESSED_SIZE });
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+};
+
+/**
+ * Plain text of a DOCX document (word/document.xml inside the ZIP container)
+ * Refuses documents that would unzip to more than MAX_DOCX_UNCOMPRESSED_SIZE.
+ */
+const extractDocxText = (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (totalSize > MAX_DOCX_UNCOMPRESSED_SIZE) {
+    throw new Error('DOCX file is too large to read');
+  }
+
+  const document = entries.find(entry => entry.name === 'word/document.xml');
+  if (!document) {
+    return '';
+  }
+
+  return readZipEntry(buffer, document).toString('utf8')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Text of an uploaded resume
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name, used for the file type
+ * @returns {Promise<string|null>} null for formats that cannot be read (e.g. legacy .doc)
+ */
+const extractResumeText = async (buffer, filename) => {
+  const extension = path.extname(filename).toLowerCase();
+  let text;
+
+  if (extension === '.pdf') {
+    text = (await pdfParse(buffer)).text;
+  } else if (extension === '.docx') {
+    text = extractDocxText(buffer);
+  } else if (extension === '.txt') {
+    text = buffer.toString('utf8');
+  } else {
+    return null;
+  }
+
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+};
+
+/**
+ * First day of the month a resume date refers to, as YYYY-MM-DD
+ */
+const toIsoDate = (value) => {
+  const year = value.match(/(?:19|20)\d{2}/)[0];
+  const monthName = value.toLowerCase().match(/^[a-z]{3}/);
+  const monthNumber = value.match(/^(\d{1,2})\//);
+
+  let month = 1;
+  if (monthName && MONTHS.includes(monthName[0])) {
+    month = MONTHS.indexOf(monthName[0]) + 1;
+  } else if (monthNumber && parseInt(monthNumber[1]) >= 1 && parseInt(monthNumber[1]) <= 12) {
+    month = parseInt(monthNumber[1]);
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-01`;
+};
+
+const headingOf = (line) => {
+  const normalized = line.toLowerCase().replace(/[^a-z ]/g, '').trim();
+  if (normalized.length === 0 || line.length > 40) {
+    return null;
+  }
+
+  return Object.keys(SECTION_HEADINGS).find(section => SECTION_HEADINGS[section].includes(normalized)) || null;
+};
+
+/**
+ * Lines of each section; lines before the first heading are the 'header'
+ */
+const splitSections = (lines) => {
+  const sections = { header: [], experience: [], education: [], skills: [], other: [] };
+  let current = 'header';
+
+  lines.forEach(line => {
+    const heading = headingOf(line);
+    if (heading) {
+      current = heading;
+    } else {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+};
+
+const splitParts = (line) => {
+  return line.split(/\s+(?:at|@)\s+|\s+[|–—-]\s+|,\s+/i).map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Split "Senior Developer at Acme Corp" style lines into position and company
+ */
+const splitRole = (line) => {
+  const parts = splitParts(line);
+
+  return { position: parts[0] || '', companyName: parts.slice(1).join(', ') };
+};
+
+const parseExperiences = (lines) => {
+  const experiences = [];
+  let current = null;
+  // Lines before the first dated entry; the last one may be its title and company
+  const unclaimed = [];
+
+  lines.forEach(line => {
+    const range = line.match(DATE_RANGE);
+    const pending = current ? current.description : unclaimed;
+
+    if (!range) {
+      pending.push(line);
+      return;
+    }
+
+    const header = line.replace(range[0], '').replace(/^[\s,|–—-]+|[\s,|(–—-]+$/g, '');
+    const role = splitRole(header);
+
+    // "Acme Corp" on one line and "Developer  Jan 2019 - Present" on the next,
+    // or "Developer at Acme Corp" above a line with only the dates
+    const previous = pending[pending.length - 1];
+    if (previous && previous.length <= 60 && !/[.:;]$/.test(previous) && (!role.position || !role.companyName)) {
+      pending.pop();
+      if (role.position) {
+        role.companyName = previous;
+      } else {
+        Object.assign(role, splitRole(previous));
+      }
+    }
+    if (!role.position) {
+      return;
+    }
+
+    const isCurrent = /present|current|now|today/i.test(range[2]);
+    current = {
+      ...role,
+      startDate: toIsoDate(range[1]),
+      endDate: isCurrent ? null : toIsoDate(range[2]),
+      isCurrent,
+      description: []
+    };
+    experiences.push(current);
+  });
+
+  return experiences.slice(0, 20).map(experience => ({
+    ...experience,
+    description: experience.description.join('\n').slice(0, 5000)
+  }));
+};
+
+const parseEducations = (lines) => {
+  const educations = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const years = line.match(YEAR) || [];
+    const parts = splitParts(line.replace(YEAR, '').replace(/[\s,|(–—-]+$/, ''));
+    const institution = parts.find(part => INSTITUTION.test(part));
+    const degree = parts.find(part => DEGREE.test(part) && part !== institution);
+
+    // A second institution or degree starts the next entry
+    if ((institution || degree) &&
+        (!current || (institution && current.institution) || (degree && current.degree))) {
+      current = { institution: '', degree: '', startDate: null, endDate: null };
+      educations.push(current);
+    }
+    if (!current) {
+      return;
+    }
+
+    if (institution) current.institution = institution;
+    if (degree) current.degree = degree;
+    if (years.length > 0 && !current.startDate) {
+      current.startDate = `${years[0]}-01-01`;
+      current.endDate = years.length > 1 ? `${years[years.length - 1]}-01-01` : null;
+    }
+  });
+
+  return educations.slice(0, 10);
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Catalog skills mentioned anywhere in the text
+ * Boundaries allow names like "C++", "C#" and "Node.js".
+ */
+const matchSkills = (text, skillNames) => {
+  const lowered = text.toLowerCase();
+
+  return skillNames
+    .filter(name => {
+      const pattern = new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(name.toLowerCase())}(?![a-z0-9+#])`);
+      return pattern.test(lowered);
+    })
+    .slice(0, 100);
+};
+
+const parseContact = (text, headerLines) => {
+  const email = text.match(EMAIL);
+  const phone = text.replace(URL, ' ').match(PHONE);
+  const urls = (text.replace(EMAIL, ' ').match(URL) || []).map(url => url.replace(/[.)]+$/, ''));
+  const withScheme = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+  const linkedin = urls.find(url => /linkedin\.com\//i.test(url));
+  const github = urls.find(url => /github\.com\//i.test(url));
+  const portfolio = urls.find(url => url !== linkedin && url !== github);
+
+  // The name is usually the first line: two to four capitalised words
+  const name = headerLines.find(line => /^[A-Z][\p{L}'-]+(?: [A-Z][\p{L}'.-]+){1,3}$/u.test(line)) || null;
+
+  return {
+    name,
+    email: email ? email[0].toLowerCase() : null,
+    phone: phone ? phone[0].trim() : null,
+    linkedinUrl: linkedin ? withScheme(linkedin) : null,
+    githubUrl: github ? withScheme(github) : null,
+    portfolioUrl: portfolio ? withScheme(portfolio) : null
+  };
+};
+
+/**
+ * Suggest a candidate profile from resume text
+ * @param {string} text - Text from extractResumeText
+ * @param {string[]} skillNames - Names in the skills catalog
+ * @returns {Object} { contact, profile, experiences, educations, skills }
+ */
+const parseResume = (text, skillNames = []) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const sections = splitSections(lines);
+
+  const contact = parseContact(text, sections.header.slice(0, 5));
+  const experiences = parseExperiences(sections.experience);
+  const educations = parseEducations(sections.education);
+  const skills = matchSkills(text, skillNames).map(name => ({ name, proficiency: 'intermediate', yearsExperience: 0 }));
+
+  // A short line under the name, e.g. "Senior Backend Engineer"
+  const headline = sections.header.find(line =>
+    line !== contact.name && line.length <= 80 && !/\d|@|\//.test(line)
+  );
+
+  const currentRole = experiences.find(experience => experience.isCurrent);
+  const firstStart = experiences.map(experience => experience.startDate).sort()[0];
+
+  const profile = {
+    headline,
+    currentPosition: currentRole && currentRole.position,
+    currentCompany: currentRole && currentRole.companyName,
+    experienceYears: firstStart
+      ? Math.max(0, Math.floor((Date.now() - new Date(firstStart).getTime()) / (365.25 * 24 * 60 * 60 * 1000)))
+      : undefined,
+    linkedinUrl: contact.linkedinUrl,
+    githubUrl: contact.githubUrl,
+    portfolioUrl: contact.portfolioUrl
+  };
+  Object.keys(profile).forEach(key => {
+    if (profile[key] === undefined || profile[key] === null || profile[key] === '') {
+      delete profile[key];
+    }
+  });
+
+  return { contact, profile, experiences, educations, skills };
+};
+
+module.exports = {
+  extractResumeText,
+  parseResume
+};
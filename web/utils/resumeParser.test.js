@@ -0,0 +1,162 @@
+jest.mock('pdf-parse', () => jest.fn());
+
+const XLSX = require('xlsx');
+const { extractResumeText, parseResume } = require('./resumeParser');
+
+const docx = (documentXml) => {
+  const container = XLSX.CFB.utils.cfb_new();
+  XLSX.CFB.utils.cfb_add(container, '/word/document.xml', Buffer.from(documentXml));
+  return XLSX.CFB.write(container, { type: 'buffer', fileType: 'zip', compression: true });
+};
+
+// Rewrite every central directory entry to claim a tiny uncompressed size
+const understateSizes = (buffer) => {
+  const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+  for (let offset = buffer.indexOf(signature); offset >= 0; offset = buffer.indexOf(signature, offset + 1)) {
+    buffer.writeUInt32LE(100, offset + 24);
+  }
+  return buffer;
+};
+
+describe('resumeParser', () => {
+  describe('parseResume', () => {
+    describe('experiences', () => {
+      it('reads the title and company from the line above date-only lines', () => {
+        const { experiences } = parseResume(
+          'Jane Doe\nExperience\nSenior Engineer at Acme\nJan 2019 - Present\nBuilt APIs.\nEngineer at Globex\nMar 2015 - Dec 2018',
+          []
+        );
+
+        expect(experiences).toEqual([
+          {
+            position: 'Senior Engineer',
+            companyName: 'Acme',
+            startDate: '2019-01-01',
+            endDate: null,
+            isCurrent: true,
+            description: 'Built APIs.'
+          },
+          {
+            position: 'Engineer',
+            companyName: 'Globex',
+            startDate: '2015-03-01',
+            endDate: '2018-12-01',
+            isCurrent: false,
+            description: ''
+          }
+        ]);
+      });
+
+      it('reads "Title at Company, dates" lines', () => {
+        const { experiences } = parseResume(
+          'Jane Doe\nWork Experience\nSenior Engineer at Acme, Jan 2019 - Present\nBuilt APIs.\nLed a team of four.\n' +
+          'Engineer at Globex, 03/2015 to 12/2018',
+          []
+        );
+
+        expect(experiences).toHaveLength(2);
+        expect(experiences[0]).toMatchObject({
+          position: 'Senior Engineer',
+          companyName: 'Acme',
+          startDate: '2019-01-01',
+          isCurrent: true,
+          description: 'Built APIs.\nLed a team of four.'
+        });
+        expect(experiences[1]).toMatchObject({
+          position: 'Engineer',
+          companyName: 'Globex',
+          startDate: '2015-03-01',
+          endDate: '2018-12-01',
+          isCurrent: false
+        });
+      });
+
+      it('reads the company from the line above "Title dates" lines', () => {
+        const { experiences } = parseResume('Experience\nAcme Corp\nDeveloper Jan 2019 - Present', []);
+
+        expect(experiences).toEqual([expect.objectContaining({ position: 'Developer', companyName: 'Acme Corp' })]);
+      });
+
+      it('does not take a sentence above the dates as the title', () => {
+        const { experiences } = parseResume('Experience\nBuilt APIs.\n2019 - 2020', []);
+
+        expect(experiences).toEqual([]);
+      });
+
+      it('fills the current position and years of experience', () => {
+        const { profile } = parseResume('Experience\nSenior Engineer at Acme\nJan 2019 - Present', []);
+
+        expect(profile).toMatchObject({ currentPosition: 'Senior Engineer', currentCompany: 'Acme' });
+        expect(profile.experienceYears).toBeGreaterThanOrEqual(5);
+      });
+    });
+
+    it('reads educations in either order of degree and institution', () => {
+      const { educations } = parseResume(
+        'Education\nBSc Computer Science, University of Leeds, 2011 - 2014\nStanford University\nMSc Data Science 2015',
+        []
+      );
+
+      expect(educations).toEqual([
+        { institution: 'University of Leeds', degree: 'BSc Computer Science', startDate: '2011-01-01', endDate: '2014-01-01' },
+        { institution: 'Stanford University', degree: 'MSc Data Science', startDate: '2015-01-01', endDate: null }
+      ]);
+    });
+
+    it('reads contact details from the text', () => {
+      const { contact, profile } = parseResume(
+        'Jane Doe\nBackend Engineer\njane.doe@example.com | +44 20 7946 0958\nlinkedin.com/in/janedoe github.com/janedoe',
+        []
+      );
+
+      expect(contact).toEqual({
+        name: 'Jane Doe',
+        email: 'jane.doe@example.com',
+        phone: '+44 20 7946 0958',
+        linkedinUrl: 'https://linkedin.com/in/janedoe',
+        githubUrl: 'https://github.com/janedoe',
+        portfolioUrl: null
+      });
+      expect(profile.headline).toBe('Backend Engineer');
+    });
+
+    it('matches catalog skills on word boundaries', () => {
+      const { skills } = parseResume('Skills\nNode.js, C++, Java and PostgreSQL', ['Node.js', 'C++', 'Java', 'JavaScript', 'Go']);
+
+      expect(skills.map(skill => skill.name)).toEqual(['Node.js', 'C++', 'Java']);
+    });
+  });
+
+  describe('extractResumeText', () => {
+    it('collapses spaces, tabs and non-breaking spaces in text files', async () => {
+      const text = await extractResumeText(Buffer.from('Jane\u00a0 Doe\r\n\tEngineer\n\n\n\nSkills'), 'resume.txt');
+
+      expect(text).toBe('Jane Doe\n Engineer\n\nSkills');
+    });
+
+    it('reads the paragraphs of DOCX files', async () => {
+      const buffer = docx(
+        '<w:document><w:body><w:p><w:r><w:t>Jane Doe</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:t>Skills</w:t><w:tab/><w:t>C++ &amp; Go</w:t></w:r></w:p></w:body></w:document>'
+      );
+
+      await expect(extractResumeText(buffer, 'resume.docx')).resolves.toBe('Jane Doe\nSkills C++ & Go');
+    });
+
+    it('refuses DOCX files that unzip to more than the size limit', async () => {
+      const buffer = docx(' '.repeat(21 * 1024 * 1024));
+
+      await expect(extractResumeText(buffer, 'resume.docx')).rejects.toThrow('DOCX file is too large to read');
+    });
+
+    it('stops inflating DOCX files that understate their size', async () => {
+      const buffer = understateSizes(docx(' '.repeat(21 * 1024 * 1024)));
+
+      await expect(extractResumeText(buffer, 'resume.docx')).rejects.toMatchObject({ code: 'ERR_BUFFER_TOO_LARGE' });
+    });
+
+    it('returns null for formats it cannot read', async () => {
+      await expect(extractResumeText(Buffer.from(''), 'resume.doc')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Token Utility
+ *
+ * Helpers for issuing the JWTs consumed by the authentication middleware
+ * and the opaque tokens stored (hashed) for sessions and email links.
+ * Access tokens use the rotating asymmetric keys in jwt_signing_keys; short-lived
+ * purpose tokens that never leave this API stay HMAC-signed with JWT_SECRET.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+
+const getIssuer = () => process.env.JWT_ISSUER || 'signinsoft-api';
+
+/**
+ * Sign a short-lived access token for a user
+ * Access tokens are signed with the current asymmetric key (RS256/ES256) and
+ * carry its `kid`, so other services can verify them against our JWKS.
+ * The payload carries `userId`, which authenticateToken uses to load the user,
+ * and `sid`, the session_token of the user_sessions row it was issued with.
+ * Impersonation tokens carry `imp`, the session_token of their
+ * impersonation_sessions row, and the admin's `impersonatorId` instead.
+ * @param {Object} user - User with an `id`
+ * @param {Object} options - { sessionId, impersonation: { id, impersonatorId }, expiresIn }
+ */
+const signAccessToken = async (user, options = {}) => {
+  const payload = { userId: user.id };
+
+  if (options.sessionId) {
+    payload.sid = options.sessionId;
+  }
+
+  if (options.impersonation) {
+    payload.imp = options.impersonation.id;
+    payload.impersonatorId = options.impersonation.impersonatorId;
+  }
+
+  const key = await SigningKey.getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    issuer: getIssuer(),
+    expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '15m'
+  });
+};
+
+/**
+ * Verify an access token against the published signing keys
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} The decoded payload
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new jwt.JsonWebTokenError('Invalid token');
+  }
+
+  const key = await SigningKey.getVerificationKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  const payload = jwt.verify(token, key.publicKey, {
+    algorithms: [key.algorithm],
+    issuer: getIssuer()
+  });
+
+  // Tokens issued for a specific purpose (e.g. MFA challenges) are not access tokens
+  if (payload.purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a short-lived, single-purpose token
+ * The `purpose` claim keeps these tokens from being accepted as access
+ * tokens or swapped between flows.
+ * @param {Object} claims - Token payload
+ * @param {string} purpose - Token purpose
+ * @param {string} expiresIn - Lifetime, e.g. '5m'
+ */
+const signPurposeToken = (claims, purpose, expiresIn) => {
+  return jwt.sign({ ...claims, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a token from signPurposeToken and check its purpose
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ */
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token for the second step of login
+ * Purposes: 'mfa_challenge' (enter a code) and 'mfa_setup' (policy requires
+ * enrollment before a session is issued).
+ * @param {Object} user - User with an `id`
+ * @param {string} purpose - Token purpose
+ * @param {Object} claims - Extra claims carried to the second step (e.g. rememberMe)
+ */
+const signMfaToken = (user, purpose, claims = {}) => {
+  return signPurposeToken({ ...claims, userId: user.id }, purpose, process.env.MFA_TOKEN_EXPIRES_IN || '5m');
+};
+
+/**
+ * Verify a token from signMfaToken and check its purpose
+ * @param {string} token - Token from the first login step
+ * @param {string} purpose - Expected purpose
+ */
+const verifyMfaToken = (token, purpose) => verifyPurposeToken(token, purpose);
+
+/**
+ * Generate an opaque random token (refresh tokens, email links)
+ * @param {number} bytes - Amount of randomness
+ */
+const generateToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage
+ * Only the hash is persisted so a database leak does not expose usable tokens.
+ * @param {string} token - Raw token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  signMfaToken,
+  verifyMfaToken,
+  generateToken,
+  hashToken
+};
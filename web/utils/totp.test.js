@@ -0,0 +1,78 @@
+const { generateSecret, generateCode, currentStep, verifyCode, buildOtpauthUri } = require('./totp');
+
+// RFC 6238 appendix B: ASCII "12345678901234567890", SHA1, last six digits of each vector
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateCode', () => {
+    it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+      expect(generateCode(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+    });
+
+    it('accepts lower-case, padded and spaced secrets', () => {
+      const step = currentStep(59000);
+      expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', step)).toBe('287082');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('returns 32 base32 characters (160 bits)', () => {
+      expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111111 * 1000;
+    const step = currentStep(now);
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    it('returns the matched step for the current code', () => {
+      expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+    });
+
+    it('ignores spaces inside the code', () => {
+      expect(verifyCode(RFC_SECRET, '050 471')).toBe(step);
+    });
+
+    it('allows one step of clock drift either side by default', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+    });
+
+    it('rejects codes from steps at or before the last used step', () => {
+      expect(verifyCode(RFC_SECRET, '050471', { lastUsedStep: step })).toBeNull();
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { lastUsedStep: step - 1 })).toBeNull();
+      expect(verifyCode(RFC_SECRET, '050471', { lastUsedStep: step - 1 })).toBe(step);
+    });
+
+    it.each(['', '12345', '1234567', 'abcdef', '000000'])('rejects %p', (code) => {
+      expect(verifyCode(RFC_SECRET, code)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('includes the issuer, account and parameters', () => {
+      const uri = buildOtpauthUri(RFC_SECRET, 'jane@example.com');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/SignInSoft%3Ajane%40example\.com\?/);
+      expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+      expect(new URL(uri).searchParams.get('digits')).toBe('6');
+    });
+  });
+});